@@ -2,22 +2,32 @@
 
 /**
  * IoT Load Test Script
- * Simulates multiple IoT devices sending water level data
- * 
+ * Simulates multiple IoT devices sending water level data, plus optional
+ * reader clients polling /api/latest
+ *
  * Usage:
  *   node load-test.js [options]
- * 
+ *
  * Options:
- *   --devices=N    Number of IoT devices to simulate (default: 5)
- *   --interval=N   Interval between requests in seconds (default: 60)
- *   --duration=N   Test duration in minutes (default: 5)
- *   --url=URL      API URL (default: http://localhost:3000)
- *   --api-key=KEY  API key (default: WATER_TANK_API_KEY_2024_SECURE)
- * 
+ *   --devices=N        Number of IoT devices to simulate (default: 5)
+ *   --interval=N       Interval between requests in seconds (default: 60)
+ *   --duration=N       Test duration in minutes (default: 5)
+ *   --url=URL          API URL (default: http://localhost:3000)
+ *   --api-key=KEY      API key (default: $API_KEY, required)
+ *   --scenario=NAME    random | cycles | faults | offline | burst | mixed (default: random)
+ *   --readers=N        Reader clients polling /api/latest (default: 0)
+ *   --read-interval=N  Interval between reads per reader in seconds (default: 1)
+ *   --report=FILE      Write a JSON report to FILE
+ *   --fail-if=EXPR     Exit with code 2 if a threshold is exceeded, e.g.
+ *                      "p95>200,errorRate>0.01,write.rateLimited>0" (repeatable)
+ *   --quiet            Don't print a line per device request
+ *
  * Example:
  *   node load-test.js --devices=10 --interval=30 --duration=10
+ *   node load-test.js --scenario=mixed --readers=5 --report=report.json --fail-if="write.p99>500"
  */
 
+const fs = require('fs');
 const http = require('http');
 const https = require('https');
 
@@ -28,43 +38,130 @@ const config = {
   interval: 60, // seconds
   duration: 5, // minutes
   url: 'http://localhost:3000',
-  apiKey: 'WATER_TANK_API_KEY_2024_SECURE'
+  apiKey: process.env.API_KEY || null,
+  scenario: 'random',
+  readers: 0,
+  readInterval: 1, // seconds
+  report: null,
+  failIf: [],
+  quiet: false
 };
 
 // Parse command line arguments
 args.forEach(arg => {
+  const value = arg.slice(arg.indexOf('=') + 1);
   if (arg.startsWith('--devices=')) {
-    config.devices = parseInt(arg.split('=')[1]) || 5;
+    config.devices = parseInt(value) || 5;
   } else if (arg.startsWith('--interval=')) {
-    config.interval = parseInt(arg.split('=')[1]) || 60;
+    config.interval = parseFloat(value) || 60;
   } else if (arg.startsWith('--duration=')) {
-    config.duration = parseInt(arg.split('=')[1]) || 5;
+    config.duration = parseFloat(value) || 5;
   } else if (arg.startsWith('--url=')) {
-    config.url = arg.split('=')[1];
+    config.url = value;
   } else if (arg.startsWith('--api-key=')) {
-    config.apiKey = arg.split('=')[1];
+    config.apiKey = value;
+  } else if (arg.startsWith('--scenario=')) {
+    config.scenario = value;
+  } else if (arg.startsWith('--readers=')) {
+    config.readers = parseInt(value) || 0;
+  } else if (arg.startsWith('--read-interval=')) {
+    config.readInterval = parseFloat(value) || 1;
+  } else if (arg.startsWith('--report=')) {
+    config.report = value;
+  } else if (arg.startsWith('--fail-if=')) {
+    config.failIf.push(...value.split(',').map(expression => expression.trim()).filter(Boolean));
+  } else if (arg === '--quiet') {
+    config.quiet = true;
   }
 });
 
+// ============================================================================
+// SCENARIOS
+// ============================================================================
+// random:  independent random distances (the original behaviour)
+// cycles:  each device models a tank that drains with use and refills (pump)
+// faults:  cycles + sensor faults: spikes, dropouts (no echo), stuck values
+// offline: cycles + devices going offline, replaying buffered readings through
+//          /api/water-level/batch when they come back
+// burst:   cycles + devices occasionally sending a quick burst of readings
+// mixed:   everything above
+const SCENARIOS = {
+  random: { tank: false, faults: false, offline: false, bursts: false },
+  cycles: { tank: true, faults: false, offline: false, bursts: false },
+  faults: { tank: true, faults: true, offline: false, bursts: false },
+  offline: { tank: true, faults: false, offline: true, bursts: false },
+  burst: { tank: true, faults: false, offline: false, bursts: true },
+  mixed: { tank: true, faults: true, offline: true, bursts: true }
+};
+
+// Tank model (cm and cm per minute; a 100 cm tank takes ~1-3 hours to drain)
+const TANK_HEIGHT_CM = 100;
+const DRAIN_RATE_CM_PER_MINUTE = [0.5, 2];
+const FILL_RATE_CM_PER_MINUTE = [3, 8];
+const PUMP_ON_PERCENT = 20;
+const PUMP_OFF_PERCENT = 95;
+const SENSOR_NOISE_CM = 0.3;
+
+// Probabilities per reading / per interval
+const FAULT_PROBABILITY = { spike: 0.03, dropout: 0.02, stuck: 0.01 };
+const STUCK_READINGS = [3, 8];
+const OFFLINE_PROBABILITY = 0.02;
+const OFFLINE_INTERVALS = [3, 10];
+const BURST_PROBABILITY = 0.03;
+const BURST_SIZE = 10;
+const BURST_SPACING_MS = 100;
+
+// Endpoints tracked in the statistics
+const ENDPOINTS = {
+  write: 'POST /api/water-level',
+  batch: 'POST /api/water-level/batch',
+  read: 'GET /api/latest'
+};
+
 // Statistics
 const stats = {
-  totalRequests: 0,
-  successful: 0,
-  failed: 0,
   errors: [],
   startTime: null,
-  endTime: null
+  endTime: null,
+  endpoints: {},
+  scenario: {
+    spikes: 0,
+    dropouts: 0,
+    stuckPeriods: 0,
+    offlinePeriods: 0,
+    bufferedReadings: 0,
+    bursts: 0
+  }
 };
 
+Object.keys(ENDPOINTS).forEach(endpoint => {
+  stats.endpoints[endpoint] = {
+    requests: 0,
+    successful: 0,
+    failed: 0,
+    networkErrors: 0,
+    statusCodes: {},
+    latencies: []
+  };
+});
+
+function randomBetween([min, max]) {
+  return min + Math.random() * (max - min);
+}
+
+function formatDeviceId(deviceId) {
+  return `ESP32_${String(deviceId).padStart(3, '0')}`;
+}
+
 // Generate random water level data
 function generateWaterLevelData(deviceId) {
-  const tankHeight = 100; // cm
+  const tankHeight = TANK_HEIGHT_CM; // cm
   const distance = (Math.random() * 30 + 10).toFixed(1); // 10-40 cm from sensor
   const waterLevel = (tankHeight - parseFloat(distance)).toFixed(1);
   const percentage = ((parseFloat(waterLevel) / tankHeight) * 100).toFixed(1);
-  
+
   return {
-    deviceId: `ESP32_${String(deviceId).padStart(3, '0')}`,
+    deviceId: formatDeviceId(deviceId),
     distanceCm: distance,
     waterLevelCm: waterLevel,
     waterPercentage: percentage,
@@ -73,116 +170,452 @@ function generateWaterLevelData(deviceId) {
   };
 }
 
-// Send POST request
-function sendWaterLevelData(deviceId, attempt = 1) {
-  return new Promise((resolve, reject) => {
-    const data = generateWaterLevelData(deviceId);
-    const postData = JSON.stringify(data);
-    
-    const url = new URL(config.url + '/api/water-level');
+// Simulated tank + sensor of one device
+function createTank() {
+  return {
+    levelCm: randomBetween([30, 90]),
+    filling: false,
+    drainRate: randomBetween(DRAIN_RATE_CM_PER_MINUTE),
+    fillRate: randomBetween(FILL_RATE_CM_PER_MINUTE),
+    lastUpdate: Date.now(),
+    stuckReadings: 0,
+    stuckDistance: null
+  };
+}
+
+// Advances the tank to `now` (pump hysteresis between PUMP_ON / PUMP_OFF)
+function advanceTank(tank, now) {
+  const minutes = (now - tank.lastUpdate) / 60000;
+  tank.lastUpdate = now;
+  tank.levelCm += (tank.filling ? tank.fillRate : -tank.drainRate) * minutes;
+  tank.levelCm = Math.min(Math.max(tank.levelCm, 0), TANK_HEIGHT_CM);
+
+  const percentage = (tank.levelCm / TANK_HEIGHT_CM) * 100;
+  if (!tank.filling && percentage <= PUMP_ON_PERCENT) {
+    tank.filling = true;
+    tank.fillRate = randomBetween(FILL_RATE_CM_PER_MINUTE);
+  } else if (tank.filling && percentage >= PUMP_OFF_PERCENT) {
+    tank.filling = false;
+    tank.drainRate = randomBetween(DRAIN_RATE_CM_PER_MINUTE);
+  }
+}
+
+// What the ultrasonic sensor reports, with injected faults; returns { distance, fault }
+function readSensor(tank, withFaults) {
+  const distance = Math.max(TANK_HEIGHT_CM - tank.levelCm + (Math.random() * 2 - 1) * SENSOR_NOISE_CM, 0);
+  if (!withFaults) return { distance, fault: null };
+
+  if (tank.stuckReadings > 0) {
+    tank.stuckReadings--;
+    return { distance: tank.stuckDistance, fault: 'stuck' };
+  }
+
+  const roll = Math.random();
+  if (roll < FAULT_PROBABILITY.spike) {
+    // Echo off the tank wall or a ripple: a far-off distance for one reading
+    stats.scenario.spikes++;
+    const jump = randomBetween([30, 60]) * (Math.random() < 0.5 ? -1 : 1);
+    return { distance: Math.min(Math.max(distance + jump, 0), TANK_HEIGHT_CM), fault: 'spike' };
+  }
+  if (roll < FAULT_PROBABILITY.spike + FAULT_PROBABILITY.dropout) {
+    // No echo: cheap sensors report 0 cm, i.e. a full tank
+    stats.scenario.dropouts++;
+    return { distance: 0, fault: 'dropout' };
+  }
+  if (roll < FAULT_PROBABILITY.spike + FAULT_PROBABILITY.dropout + FAULT_PROBABILITY.stuck) {
+    stats.scenario.stuckPeriods++;
+    tank.stuckReadings = Math.round(randomBetween(STUCK_READINGS)) - 1;
+    tank.stuckDistance = distance;
+    return { distance, fault: 'stuck' };
+  }
+  return { distance, fault: null };
+}
+
+// Reading of a simulated tank at `now`, in the same shape as generateWaterLevelData
+function generateTankReading(deviceId, tank, now, withFaults) {
+  advanceTank(tank, now);
+  const { distance, fault } = readSensor(tank, withFaults);
+  const waterLevel = Math.max(TANK_HEIGHT_CM - distance, 0);
+
+  return {
+    data: {
+      deviceId: formatDeviceId(deviceId),
+      distanceCm: distance.toFixed(1),
+      waterLevelCm: waterLevel.toFixed(1),
+      waterPercentage: ((waterLevel / TANK_HEIGHT_CM) * 100).toFixed(1),
+      tankHeightCm: String(TANK_HEIGHT_CM),
+      timestamp: new Date(now).toISOString()
+    },
+    fault
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Send a request and record it under `endpoint` (see ENDPOINTS).
+// Always resolves: { statusCode, body, latencyMs } or { error }
+function sendRequest(endpoint, method, path, payload = null) {
+  return new Promise((resolve) => {
+    const postData = payload === null ? null : JSON.stringify(payload);
+
+    const url = new URL(config.url + path);
     const isHttps = url.protocol === 'https:';
     const httpModule = isHttps ? https : http;
-    
+
+    const headers = { Accept: 'application/json' };
+    if (postData !== null) {
+      headers['Content-Type'] = 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(postData);
+      headers['x-api-key'] = config.apiKey;
+    }
+
     const options = {
       hostname: url.hostname,
       port: url.port || (isHttps ? 443 : 80),
-      path: url.pathname,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData),
-        'x-api-key': config.apiKey
-      },
+      path: url.pathname + url.search,
+      method,
+      headers,
       timeout: 10000
     };
-    
+
+    const endpointStats = stats.endpoints[endpoint];
+    const start = process.hrtime.bigint();
+    let settled = false;
+
+    const fail = (message) => {
+      if (settled) return;
+      settled = true;
+      endpointStats.requests++;
+      endpointStats.failed++;
+      endpointStats.networkErrors++;
+      resolve({ error: message });
+    };
+
     const req = httpModule.request(options, (res) => {
       let responseData = '';
-      
+
       res.on('data', (chunk) => {
         responseData += chunk;
       });
-      
+
       res.on('end', () => {
-        stats.totalRequests++;
-        
-        if (res.statusCode === 200) {
-          stats.successful++;
-          if (attempt === 1) {
-            process.stdout.write(`✅ Device ${data.deviceId}: ${data.waterPercentage}% (${res.statusCode})\n`);
-          }
-          resolve({ success: true, deviceId: data.deviceId, statusCode: res.statusCode });
+        if (settled) return;
+        settled = true;
+        const latencyMs = Number(process.hrtime.bigint() - start) / 1e6;
+        endpointStats.requests++;
+        endpointStats.latencies.push(latencyMs);
+        endpointStats.statusCodes[res.statusCode] = (endpointStats.statusCodes[res.statusCode] || 0) + 1;
+
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          endpointStats.successful++;
         } else {
-          stats.failed++;
-          const error = `Device ${data.deviceId}: HTTP ${res.statusCode} - ${responseData}`;
-          stats.errors.push(error);
-          if (attempt === 1) {
-            process.stdout.write(`❌ ${error}\n`);
-          }
-          resolve({ success: false, deviceId: data.deviceId, statusCode: res.statusCode, error });
+          endpointStats.failed++;
         }
+        resolve({ statusCode: res.statusCode, body: responseData, latencyMs });
       });
     });
-    
-    req.on('error', (error) => {
-      stats.totalRequests++;
-      stats.failed++;
-      const errorMsg = `Device ${data.deviceId}: ${error.message}`;
-      stats.errors.push(errorMsg);
-      if (attempt === 1) {
-        process.stdout.write(`❌ ${errorMsg}\n`);
-      }
-      reject(error);
-    });
-    
+
+    req.on('error', (error) => fail(error.message));
+
     req.on('timeout', () => {
       req.destroy();
-      stats.totalRequests++;
-      stats.failed++;
-      const errorMsg = `Device ${data.deviceId}: Request timeout`;
-      stats.errors.push(errorMsg);
-      if (attempt === 1) {
-        process.stdout.write(`❌ ${errorMsg}\n`);
-      }
-      reject(new Error('Request timeout'));
+      fail('Request timeout');
     });
-    
-    req.write(postData);
+
+    if (postData !== null) req.write(postData);
     req.end();
   });
 }
 
+function recordError(message) {
+  // Keep memory bounded on long runs
+  if (stats.errors.length < 1000) stats.errors.push(message);
+}
+
+// Send POST request
+async function sendWaterLevelData(data, fault = null) {
+  const result = await sendRequest('write', 'POST', '/api/water-level', data);
+  const marker = fault ? ` [${fault}]` : '';
+
+  if (result.error) {
+    const errorMsg = `Device ${data.deviceId}: ${result.error}`;
+    recordError(errorMsg);
+    if (!config.quiet) process.stdout.write(`❌ ${errorMsg}\n`);
+    return { success: false, deviceId: data.deviceId, error: result.error };
+  }
+
+  if (result.statusCode >= 200 && result.statusCode < 300) {
+    if (!config.quiet) {
+      process.stdout.write(`✅ Device ${data.deviceId}: ${data.waterPercentage}% (${result.statusCode})${marker}\n`);
+    }
+    return { success: true, deviceId: data.deviceId, statusCode: result.statusCode };
+  }
+
+  const error = `Device ${data.deviceId}: HTTP ${result.statusCode} - ${result.body}`;
+  recordError(error);
+  if (!config.quiet) process.stdout.write(`❌ ${error}${marker}\n`);
+  return { success: false, deviceId: data.deviceId, statusCode: result.statusCode, error };
+}
+
+// Replays readings buffered while offline
+async function sendBatch(deviceId, readings) {
+  const result = await sendRequest('batch', 'POST', '/api/water-level/batch', readings);
+  const label = formatDeviceId(deviceId);
+
+  if (result.error || result.statusCode < 200 || result.statusCode >= 300) {
+    const error = `Device ${label}: batch of ${readings.length} - ${result.error || `HTTP ${result.statusCode} - ${result.body}`}`;
+    recordError(error);
+    if (!config.quiet) process.stdout.write(`❌ ${error}\n`);
+    return;
+  }
+  if (!config.quiet) {
+    process.stdout.write(`📦 Device ${label}: replayed ${readings.length} buffered readings (${result.statusCode})\n`);
+  }
+}
+
 // Simulate IoT device
 async function simulateDevice(deviceId) {
+  const scenario = SCENARIOS[config.scenario];
   const endTime = Date.now() + (config.duration * 60 * 1000);
-  
+  const tank = createTank();
+  let offlineIntervals = 0;
+  let buffer = [];
+
   while (Date.now() < endTime) {
     try {
-      await sendWaterLevelData(deviceId);
+      if (!scenario.tank) {
+        await sendWaterLevelData(generateWaterLevelData(deviceId));
+      } else if (offlineIntervals > 0) {
+        // Offline: keep measuring, send nothing
+        buffer.push(generateTankReading(deviceId, tank, Date.now(), scenario.faults).data);
+        stats.scenario.bufferedReadings++;
+        offlineIntervals--;
+        if (offlineIntervals === 0) {
+          await sendBatch(deviceId, buffer);
+          buffer = [];
+        }
+      } else if (scenario.offline && Math.random() < OFFLINE_PROBABILITY) {
+        stats.scenario.offlinePeriods++;
+        offlineIntervals = Math.round(randomBetween(OFFLINE_INTERVALS));
+        if (!config.quiet) process.stdout.write(`📴 Device ${formatDeviceId(deviceId)}: offline for ${offlineIntervals} intervals\n`);
+      } else if (scenario.bursts && Math.random() < BURST_PROBABILITY) {
+        stats.scenario.bursts++;
+        for (let i = 0; i < BURST_SIZE; i++) {
+          const { data, fault } = generateTankReading(deviceId, tank, Date.now(), scenario.faults);
+          await sendWaterLevelData(data, fault || 'burst');
+          await sleep(BURST_SPACING_MS);
+        }
+      } else {
+        const { data, fault } = generateTankReading(deviceId, tank, Date.now(), scenario.faults);
+        await sendWaterLevelData(data, fault);
+      }
     } catch (error) {
-      // Error already logged in sendWaterLevelData
+      recordError(`Device ${formatDeviceId(deviceId)}: ${error.message}`);
     }
-    
+
     // Wait for next interval
-    await new Promise(resolve => setTimeout(resolve, config.interval * 1000));
+    await sleep(config.interval * 1000);
   }
+
+  // Deliver what is still buffered when the test ends
+  if (buffer.length > 0) await sendBatch(deviceId, buffer);
+}
+
+// Simulate a client polling the latest reading (one device or all)
+async function simulateReader() {
+  const endTime = Date.now() + (config.duration * 60 * 1000);
+
+  while (Date.now() < endTime) {
+    const deviceId = Math.floor(Math.random() * (config.devices + 1));
+    const path = deviceId === 0 ? '/api/latest' : `/api/latest?deviceId=${formatDeviceId(deviceId)}`;
+    const result = await sendRequest('read', 'GET', path);
+    if (result.error) {
+      recordError(`Reader: ${result.error}`);
+    } else if (result.statusCode === 429 || result.statusCode >= 500) {
+      // 404 before a device has reported is expected
+      recordError(`Reader: HTTP ${result.statusCode} - ${result.body}`);
+    }
+
+    await sleep(config.readInterval * 1000);
+  }
+}
+
+// ============================================================================
+// REPORT & THRESHOLDS
+// ============================================================================
+
+// Nearest-rank percentile of sorted values
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.max(Math.ceil((p / 100) * sorted.length) - 1, 0)];
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+function summarize(endpointStats, seconds) {
+  const sorted = [...endpointStats.latencies].sort((a, b) => a - b);
+  const count = (code) => endpointStats.statusCodes[code] || 0;
+  return {
+    requests: endpointStats.requests,
+    successful: endpointStats.successful,
+    failed: endpointStats.failed,
+    errorRate: endpointStats.requests ? round(endpointStats.failed / endpointStats.requests) : 0,
+    rps: seconds > 0 ? round(endpointStats.requests / seconds) : 0,
+    rateLimited: count(429),
+    authFailures: count(401) + count(403),
+    networkErrors: endpointStats.networkErrors,
+    statusCodes: endpointStats.statusCodes,
+    latencyMs: {
+      min: round(sorted.length ? sorted[0] : null),
+      mean: round(sorted.length ? sorted.reduce((sum, value) => sum + value, 0) / sorted.length : null),
+      p50: round(percentile(sorted, 50)),
+      p95: round(percentile(sorted, 95)),
+      p99: round(percentile(sorted, 99)),
+      max: round(sorted.length ? sorted[sorted.length - 1] : null)
+    }
+  };
+}
+
+// Flat metric map used by --fail-if: "p95", "errorRate", "write.p99", "read.rateLimited", ...
+function collectMetrics(report) {
+  const metrics = {};
+  const add = (prefix, summary) => {
+    ['requests', 'successful', 'failed', 'errorRate', 'rps', 'rateLimited', 'authFailures', 'networkErrors'].forEach(name => {
+      metrics[prefix + name] = summary[name];
+    });
+    ['min', 'mean', 'p50', 'p95', 'p99', 'max'].forEach(name => {
+      metrics[prefix + name] = summary.latencyMs[name];
+    });
+  };
+  add('', report.totals);
+  Object.entries(report.endpoints).forEach(([endpoint, summary]) => add(`${endpoint}.`, summary));
+  return metrics;
+}
+
+const THRESHOLD_PATTERN = /^([a-zA-Z0-9.]+)\s*(>=|<=|==|>|<)\s*(-?\d+(?:\.\d+)?)$/;
+const COMPARATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b
+};
+
+// Parses --fail-if expressions; returns { thresholds, errors }
+function parseThresholds(expressions, knownMetrics) {
+  const thresholds = [];
+  const errors = [];
+  expressions.forEach(expression => {
+    const match = THRESHOLD_PATTERN.exec(expression);
+    if (!match) {
+      errors.push(`"${expression}" is not <metric><op><number>`);
+    } else if (!knownMetrics.includes(match[1])) {
+      errors.push(`"${expression}": unknown metric ${match[1]}`);
+    } else {
+      thresholds.push({ expression, metric: match[1], operator: match[2], value: Number(match[3]) });
+    }
+  });
+  return { thresholds, errors };
+}
+
+function buildReport(thresholds) {
+  const seconds = ((stats.endTime || Date.now()) - (stats.startTime || Date.now())) / 1000;
+  const all = Object.values(stats.endpoints).reduce((total, endpointStats) => {
+    total.requests += endpointStats.requests;
+    total.successful += endpointStats.successful;
+    total.failed += endpointStats.failed;
+    total.networkErrors += endpointStats.networkErrors;
+    total.latencies.push(...endpointStats.latencies);
+    Object.entries(endpointStats.statusCodes).forEach(([code, count]) => {
+      total.statusCodes[code] = (total.statusCodes[code] || 0) + count;
+    });
+    return total;
+  }, { requests: 0, successful: 0, failed: 0, networkErrors: 0, statusCodes: {}, latencies: [] });
+
+  const endpoints = {};
+  Object.entries(stats.endpoints).forEach(([endpoint, endpointStats]) => {
+    if (endpointStats.requests > 0) {
+      endpoints[endpoint] = { endpoint: ENDPOINTS[endpoint], ...summarize(endpointStats, seconds) };
+    }
+  });
+
+  const report = {
+    config: { ...config, apiKey: undefined },
+    startedAt: stats.startTime ? new Date(stats.startTime).toISOString() : null,
+    finishedAt: stats.endTime ? new Date(stats.endTime).toISOString() : null,
+    durationSeconds: round(seconds),
+    totals: summarize(all, seconds),
+    endpoints,
+    scenario: { name: config.scenario, ...stats.scenario },
+    errors: stats.errors.slice(0, 10),
+    thresholds: [],
+    passed: true
+  };
+
+  const metrics = collectMetrics(report);
+  report.thresholds = thresholds.map(threshold => {
+    // Metrics of endpoints without requests count as 0
+    const actual = metrics[threshold.metric] === undefined || metrics[threshold.metric] === null ? 0 : metrics[threshold.metric];
+    return { ...threshold, actual, breached: COMPARATORS[threshold.operator](actual, threshold.value) };
+  });
+  report.passed = report.thresholds.every(threshold => !threshold.breached);
+  return report;
+}
+
+// Metric names --fail-if accepts (same keys as collectMetrics)
+function knownMetricNames() {
+  const empty = { requests: 0, successful: 0, failed: 0, networkErrors: 0, statusCodes: {}, latencies: [] };
+  const endpoints = {};
+  Object.keys(ENDPOINTS).forEach(endpoint => {
+    endpoints[endpoint] = summarize(empty, 0);
+  });
+  return Object.keys(collectMetrics({ totals: summarize(empty, 0), endpoints }));
 }
 
 // Print statistics
-function printStats() {
+function printStats(report) {
+  const formatMs = (value) => (value === null ? '-' : `${value.toFixed(1)}ms`);
+  const percent = (count) => (report.totals.requests ? ((count / report.totals.requests) * 100).toFixed(2) : '0.00');
+
   console.log('\n' + '='.repeat(60));
   console.log('📊 LOAD TEST RESULTS');
   console.log('='.repeat(60));
   console.log(`Test Duration: ${config.duration} minutes`);
   console.log(`Devices Simulated: ${config.devices}`);
+  console.log(`Scenario: ${config.scenario}`);
+  console.log(`Readers: ${config.readers}`);
   console.log(`Request Interval: ${config.interval} seconds`);
   console.log(`API URL: ${config.url}`);
   console.log('='.repeat(60));
-  console.log(`Total Requests: ${stats.totalRequests}`);
-  console.log(`✅ Successful: ${stats.successful} (${((stats.successful / stats.totalRequests) * 100).toFixed(2)}%)`);
-  console.log(`❌ Failed: ${stats.failed} (${((stats.failed / stats.totalRequests) * 100).toFixed(2)}%)`);
+  console.log(`Total Requests: ${report.totals.requests}`);
+  console.log(`✅ Successful: ${report.totals.successful} (${percent(report.totals.successful)}%)`);
+  console.log(`❌ Failed: ${report.totals.failed} (${percent(report.totals.failed)}%)`);
+  console.log(`   Rate limited (429): ${report.totals.rateLimited}`);
+  console.log(`   Auth failures (401/403): ${report.totals.authFailures}`);
+  console.log(`   Network errors/timeouts: ${report.totals.networkErrors}`);
   console.log('='.repeat(60));
-  
+
+  console.log('\n⏱️  Latency per endpoint:');
+  Object.values(report.endpoints).forEach(summary => {
+    const { latencyMs } = summary;
+    console.log(`   ${summary.endpoint}`);
+    console.log(`     ${summary.requests} requests, ${summary.failed} failed (429: ${summary.rateLimited}, 401/403: ${summary.authFailures})`);
+    console.log(`     p50 ${formatMs(latencyMs.p50)}  p95 ${formatMs(latencyMs.p95)}  p99 ${formatMs(latencyMs.p99)}  max ${formatMs(latencyMs.max)}`);
+    console.log(`     status codes: ${Object.entries(summary.statusCodes).map(([code, count]) => `${code}×${count}`).join(', ') || '-'}`);
+  });
+
+  if (config.scenario !== 'random') {
+    const { scenario } = report;
+    console.log('\n🧪 Scenario events:');
+    console.log(`   Spikes: ${scenario.spikes}, dropouts: ${scenario.dropouts}, stuck periods: ${scenario.stuckPeriods}`);
+    console.log(`   Offline periods: ${scenario.offlinePeriods} (${scenario.bufferedReadings} readings buffered)`);
+    console.log(`   Bursts: ${scenario.bursts}`);
+  }
+
   if (stats.errors.length > 0) {
     console.log('\n⚠️  Errors (showing first 10):');
     stats.errors.slice(0, 10).forEach((error, index) => {
@@ -192,66 +625,104 @@ function printStats() {
       console.log(`  ... and ${stats.errors.length - 10} more errors`);
     }
   }
-  
+
   // Calculate requests per minute
-  const actualDuration = (stats.endTime - stats.startTime) / 1000 / 60; // minutes
-  const requestsPerMinute = stats.totalRequests / actualDuration;
   console.log(`\n📈 Performance:`);
-  console.log(`   Requests per minute: ${requestsPerMinute.toFixed(2)}`);
-  console.log(`   Requests per second: ${(requestsPerMinute / 60).toFixed(2)}`);
+  console.log(`   Requests per minute: ${(report.totals.rps * 60).toFixed(2)}`);
+  console.log(`   Requests per second: ${report.totals.rps.toFixed(2)}`);
+
+  if (report.thresholds.length > 0) {
+    console.log('\n🚦 Thresholds:');
+    report.thresholds.forEach(threshold => {
+      console.log(`   ${threshold.breached ? '❌' : '✅'} ${threshold.expression} (actual: ${threshold.actual})`);
+    });
+  }
   console.log('='.repeat(60) + '\n');
 }
 
+// Prints the results, writes the JSON report; exit code 2 if a threshold was breached
+function finish(thresholds) {
+  const report = buildReport(thresholds);
+  printStats(report);
+
+  if (config.report) {
+    fs.writeFileSync(config.report, JSON.stringify(report, null, 2) + '\n');
+    console.log(`📝 JSON report written to ${config.report}`);
+  }
+  if (!report.passed) {
+    console.error('❌ Thresholds exceeded');
+    process.exit(2);
+  }
+}
+
 // Main function
 async function main() {
+  // There is no built-in server key: without one every write would be a 401
+  if (!config.apiKey) {
+    console.error('❌ No API key: pass --api-key=KEY or set API_KEY (the key the server was started with)');
+    process.exit(1);
+  }
+  if (!SCENARIOS[config.scenario]) {
+    console.error(`❌ Unknown scenario "${config.scenario}" (use ${Object.keys(SCENARIOS).join(', ')})`);
+    process.exit(1);
+  }
+  const { thresholds, errors } = parseThresholds(config.failIf, knownMetricNames());
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`❌ --fail-if ${error}`));
+    console.error(`   Metrics: ${knownMetricNames().join(', ')}`);
+    process.exit(1);
+  }
+
   console.log('🚀 Starting IoT Load Test');
   console.log('='.repeat(60));
   console.log(`Devices: ${config.devices}`);
+  console.log(`Scenario: ${config.scenario}`);
+  console.log(`Readers: ${config.readers}`);
   console.log(`Interval: ${config.interval} seconds`);
   console.log(`Duration: ${config.duration} minutes`);
   console.log(`API URL: ${config.url}`);
   console.log('='.repeat(60) + '\n');
-  
+
   // Test connection first
   console.log('🔍 Testing connection...');
-  try {
-    await sendWaterLevelData(1);
-    console.log('✅ Connection successful!\n');
-  } catch (error) {
+  const check = await sendRequest('write', 'POST', '/api/water-level', generateWaterLevelData(1));
+  if (check.error) {
     console.error('❌ Connection failed! Make sure server is running.');
-    console.error(`   Error: ${error.message}`);
+    console.error(`   Error: ${check.error}`);
     process.exit(1);
   }
-  
+  console.log(`✅ Connection successful! (HTTP ${check.statusCode})\n`);
+
   stats.startTime = Date.now();
-  
-  // Start all devices
-  console.log(`📡 Starting ${config.devices} IoT devices...\n`);
-  const devicePromises = [];
+
+  // Handle Ctrl+C gracefully
+  process.on('SIGINT', () => {
+    console.log('\n\n⚠️  Test interrupted by user');
+    stats.endTime = Date.now();
+    finish(thresholds);
+    process.exit(0);
+  });
+
+  // Start all devices and readers
+  console.log(`📡 Starting ${config.devices} IoT devices${config.readers ? ` and ${config.readers} readers` : ''}...\n`);
+  const clients = [];
   for (let i = 1; i <= config.devices; i++) {
-    devicePromises.push(simulateDevice(i));
+    clients.push(simulateDevice(i));
   }
-  
-  // Wait for all devices to complete
-  await Promise.all(devicePromises);
-  
-  stats.endTime = Date.now();
-  
-  // Print statistics
-  printStats();
-}
+  for (let i = 0; i < config.readers; i++) {
+    clients.push(simulateReader());
+  }
+
+  // Wait for all clients to complete
+  await Promise.all(clients);
 
-// Handle Ctrl+C gracefully
-process.on('SIGINT', () => {
-  console.log('\n\n⚠️  Test interrupted by user');
   stats.endTime = Date.now();
-  printStats();
-  process.exit(0);
-});
+
+  finish(thresholds);
+}
 
 // Run the test
 main().catch(error => {
   console.error('❌ Fatal error:', error);
   process.exit(1);
 });
-
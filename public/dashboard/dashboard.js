@@ -0,0 +1,298 @@
+/**
+ * Water Tank Dashboard
+ *
+ * Loads devices, history and active alerts from the public read API, then
+ * follows /api/stream (Server-Sent Events). If the stream is unavailable
+ * (e.g. SSE_MAX_CLIENTS reached) it falls back to polling (two requests per
+ * tick whatever the number of devices, backing off on 429) and retries the
+ * stream later. No external assets: plain DOM + inline SVG.
+ *
+ * Deployments with ANONYMOUS_READS=false need a read token: open
+ * /dashboard#token=<token> (the fragment never reaches the server or its logs).
+ */
+(() => {
+  'use strict';
+
+  const POLL_INTERVAL_MS = 15000;
+  const POLL_MAX_BACKOFF_MS = 5 * 60000;
+  const STREAM_RETRY_MS = 60000;
+  const HISTORY_LIMIT = 300;
+  const CHART_WIDTH = 300;
+  const CHART_HEIGHT = 80;
+  const READ_TOKEN = new URLSearchParams(window.location.hash.slice(1)).get('token');
+
+  // deviceId -> { data, lastUpdate, status, history: [{ t, value }], el }
+  const devices = new Map();
+  // alertId -> alert
+  const activeAlerts = new Map();
+
+  let stream = null;
+  let pollTimer = null;
+  let pollDelay = POLL_INTERVAL_MS;
+  let streamOpened = false;
+
+  const $ = (selector, root = document) => root.querySelector(selector);
+
+  const getJson = async (url) => {
+    const headers = { Accept: 'application/json' };
+    if (READ_TOKEN) headers.Authorization = `Bearer ${READ_TOKEN}`;
+    const response = await fetch(url, { headers });
+    if (!response.ok) {
+      const error = new Error(`${url} returned ${response.status}`);
+      error.status = response.status;
+      error.retryAfterMs = (parseInt(response.headers.get('Retry-After'), 10) || 0) * 1000;
+      throw error;
+    }
+    return response.json();
+  };
+
+  const isNumber = (value) => value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value));
+
+  // Percentage shown on the gauge: true volume percentage when the tank is defined
+  const getPercentage = (data) => {
+    if (!data) return null;
+    if (isNumber(data.volumePercentage)) return Number(data.volumePercentage);
+    return isNumber(data.waterPercentage) ? Number(data.waterPercentage) : null;
+  };
+
+  const formatAge = (seconds) => {
+    if (seconds < 60) return `${seconds}s ago`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    return `${Math.floor(seconds / 86400)}d ago`;
+  };
+
+  const setConnection = (state, text) => {
+    const el = $('#connection');
+    el.className = `connection ${state}`;
+    el.textContent = text;
+  };
+
+  const showError = (error) => {
+    if (error.status === 429) {
+      setConnection('polling', 'Rate limited, retrying');
+      return;
+    }
+    setConnection('error', error.status === 401 ? 'Read token required' : 'Server unreachable');
+  };
+
+  // ---------------------------------------------------------------------------
+  // Rendering
+  // ---------------------------------------------------------------------------
+
+  const getDevice = (deviceId) => {
+    let device = devices.get(deviceId);
+    if (!device) {
+      const el = $('#device-template').content.firstElementChild.cloneNode(true);
+      $('.device-id', el).textContent = deviceId;
+      $('#devices').appendChild(el);
+      device = { data: null, lastUpdate: null, status: null, history: [], el };
+      devices.set(deviceId, device);
+      $('#empty').hidden = true;
+    }
+    return device;
+  };
+
+  const renderChart = (device) => {
+    const points = device.history.filter((point) => point.value !== null);
+    const caption = $('.chart-caption', device.el);
+    if (points.length < 2) {
+      $('.chart-line', device.el).setAttribute('points', '');
+      caption.textContent = 'Not enough history yet';
+      return;
+    }
+    const first = points[0].t;
+    const span = Math.max(points[points.length - 1].t - first, 1);
+    const coordinates = points.map((point) => {
+      const x = ((point.t - first) / span) * CHART_WIDTH;
+      const y = CHART_HEIGHT - (Math.min(Math.max(point.value, 0), 100) / 100) * CHART_HEIGHT;
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+    $('.chart-line', device.el).setAttribute('points', coordinates.join(' '));
+    caption.textContent = `Last ${formatAge(Math.round(span / 1000)).replace(' ago', '')} · ${points.length} readings`;
+  };
+
+  const renderDevice = (deviceId) => {
+    const device = getDevice(deviceId);
+    const { data, el } = device;
+    const percentage = getPercentage(data);
+
+    el.className = `device ${device.status || ''}`;
+    $('.status', el).textContent = device.status || 'unknown';
+    $('.gauge-fill', el).style.strokeDasharray = `${percentage === null ? 0 : Math.min(Math.max(percentage, 0), 100)} 100`;
+    $('.gauge-value', el).textContent = percentage === null ? '–' : `${Math.round(percentage)}%`;
+    $('.level', el).textContent = data && isNumber(data.waterLevelCm) ? `${Number(data.waterLevelCm)} cm` : '–';
+    $('.volume', el).textContent = data && isNumber(data.volumeLitres)
+      ? `${Math.round(data.volumeLitres)} / ${Math.round(data.capacityLitres)} L`
+      : '–';
+    renderAge(device);
+    renderChart(device);
+  };
+
+  const renderAge = (device) => {
+    const age = $('.age', device.el);
+    if (!device.lastUpdate) {
+      age.textContent = '–';
+      return;
+    }
+    const seconds = Math.max(0, Math.floor((Date.now() - Date.parse(device.lastUpdate)) / 1000));
+    age.textContent = formatAge(seconds);
+  };
+
+  const renderAlerts = () => {
+    const list = $('#alert-list');
+    list.textContent = '';
+    activeAlerts.forEach((alert) => {
+      const item = document.createElement('li');
+      const name = alert.ruleName ? `${alert.ruleName}: ` : '';
+      item.textContent = `${alert.deviceId} - ${name}${alert.condition} (observed ${alert.observed})`;
+      list.appendChild(item);
+    });
+    $('#alerts').hidden = activeAlerts.size === 0;
+  };
+
+  // ---------------------------------------------------------------------------
+  // State updates
+  // ---------------------------------------------------------------------------
+
+  const addReading = (deviceId, data, lastUpdate) => {
+    const device = getDevice(deviceId);
+    device.data = data;
+    device.lastUpdate = lastUpdate;
+    const t = Date.parse(data.timestamp);
+    const last = device.history[device.history.length - 1];
+    if (!last || t > last.t) {
+      device.history.push({ t, value: getPercentage(data) });
+      if (device.history.length > HISTORY_LIMIT) device.history.shift();
+    }
+    renderDevice(deviceId);
+  };
+
+  const loadHistory = async (deviceId) => {
+    const body = await getJson(`/api/devices/${encodeURIComponent(deviceId)}/history?limit=${HISTORY_LIMIT}`);
+    const device = getDevice(deviceId);
+    device.history = body.points.map((point) => ({ t: Date.parse(point.timestamp), value: getPercentage(point) }));
+  };
+
+  const loadAlerts = async () => {
+    const body = await getJson('/api/alerts?status=active');
+    activeAlerts.clear();
+    body.alerts.forEach((alert) => activeAlerts.set(alert.alertId, alert));
+    renderAlerts();
+  };
+
+  // Fetches everything (initial load and polling fallback). Latest readings
+  // come with the device list; history only for devices without any yet.
+  const refresh = async ({ withHistory = false } = {}) => {
+    const body = await getJson('/api/devices?include=latest');
+    $('#empty').hidden = body.devices.length > 0;
+
+    await Promise.all(body.devices.map(async (summary) => {
+      const device = getDevice(summary.deviceId);
+      device.status = summary.status;
+      if (withHistory || device.history.length === 0) {
+        await loadHistory(summary.deviceId).catch(() => {});
+      }
+      if (summary.latest) addReading(summary.deviceId, summary.latest, summary.lastSeen);
+      else renderDevice(summary.deviceId);
+    }));
+    await loadAlerts();
+  };
+
+  // ---------------------------------------------------------------------------
+  // Live updates: SSE with polling fallback
+  // ---------------------------------------------------------------------------
+
+  // On 429 the next poll waits for Retry-After (at least double the last delay)
+  const poll = () => {
+    refresh()
+      .then(() => {
+        pollDelay = POLL_INTERVAL_MS;
+        if (pollTimer) setConnection('polling', 'Polling');
+      })
+      .catch((error) => {
+        showError(error);
+        pollDelay = error.status === 429
+          ? Math.min(Math.max(error.retryAfterMs, pollDelay * 2), POLL_MAX_BACKOFF_MS)
+          : POLL_INTERVAL_MS;
+      })
+      .then(() => {
+        // Stopped meanwhile, or restarted (then this loop replaces the new timer)
+        if (!pollTimer) return;
+        clearTimeout(pollTimer);
+        pollTimer = setTimeout(poll, pollDelay);
+      });
+  };
+
+  const startPolling = () => {
+    setConnection('polling', 'Polling');
+    setTimeout(connectStream, STREAM_RETRY_MS);
+    if (pollTimer) return;
+    pollTimer = setTimeout(poll, pollDelay);
+  };
+
+  const stopPolling = () => {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+    pollDelay = POLL_INTERVAL_MS;
+  };
+
+  const parseEvent = (handler) => (message) => {
+    try {
+      handler(JSON.parse(message.data));
+    } catch (error) {
+      // Ignore malformed events
+    }
+  };
+
+  function connectStream() {
+    if (stream || typeof EventSource === 'undefined') {
+      if (!stream) startPolling();
+      return;
+    }
+    stream = new EventSource(READ_TOKEN ? `/api/stream?token=${encodeURIComponent(READ_TOKEN)}` : '/api/stream');
+
+    stream.onopen = () => {
+      stopPolling();
+      setConnection('live', 'Live');
+      // Catch up on anything missed while polling or reconnecting
+      if (streamOpened) refresh().catch(() => {});
+      streamOpened = true;
+    };
+
+    stream.onerror = () => {
+      if (stream.readyState === EventSource.CLOSED) {
+        // The server refused the stream (e.g. too many clients): poll instead
+        stream = null;
+        startPolling();
+      } else {
+        setConnection('connecting', 'Reconnecting…');
+      }
+    };
+
+    stream.addEventListener('reading', parseEvent((event) => {
+      const data = event.volume ? { ...event.data, ...event.volume } : event.data;
+      addReading(event.deviceId, data, event.lastUpdate);
+    }));
+
+    stream.addEventListener('device-status', parseEvent((event) => {
+      const device = getDevice(event.deviceId);
+      device.status = event.status;
+      renderDevice(event.deviceId);
+    }));
+
+    stream.addEventListener('alert', parseEvent((event) => {
+      const { alert } = event;
+      if (alert.status === 'fired') activeAlerts.set(alert.alertId, alert);
+      else activeAlerts.delete(alert.alertId);
+      renderAlerts();
+    }));
+  }
+
+  // Ages tick between readings
+  setInterval(() => devices.forEach(renderAge), 1000);
+
+  refresh({ withHistory: true })
+    .catch(showError)
+    .then(connectStream);
+})();
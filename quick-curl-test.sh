@@ -4,7 +4,8 @@
 # Tests all endpoints with curl commands
 
 BASE_URL="http://localhost:3000"
-API_KEY="WATER_TANK_API_KEY_2024_SECURE"
+# The key the server was started with (there is no built-in default)
+API_KEY="${API_KEY:?Set API_KEY to the key the server was started with}"
 
 echo "🧪 Testing Water Tank API with CURL"
 echo "===================================="
@@ -2,17 +2,45 @@
  * IoT Pub/Sub API Server - Water Tank Level Tracker
  * 
  * A lightweight in-memory Pub/Sub API for high-frequency IoT data updates.
- * Stores only the most recent message in RAM (no database).
+ * Keeps the latest reading and a bounded history per device in RAM (no database),
+ * optionally persisted to a local append log (STORAGE_ADAPTER=file).
  * 
  * Endpoints:
  * - POST /api/water-level: Accepts water level data from IoT device
+ * - POST /api/water-level/batch: Accepts buffered readings replayed after an outage
+ * - POST /api/devices/:deviceId/commands: Command poll for devices that don't post readings (pump relays)
  * - GET /api/latest: Returns the most recent water level data
+ * - GET /api/devices: Lists every known device with its last-seen time
+ * - GET /api/devices/:deviceId/latest: Returns the latest reading of one device
+ * - GET /api/devices/:deviceId/history: Returns recent readings (raw or bucketed)
+ * - GET /api/devices/:deviceId/analytics: Fill/drain rate, time-to-empty/full, consumption
+ * - GET /api/devices/:deviceId/summary: Daily/weekly/monthly level, refill and consumption report
+ * - GET /api/devices/:deviceId/export: Stored readings as streamed CSV or NDJSON
+ * - GET /api/stream: Server-Sent Events push stream of accepted readings
+ * - WS  /ws: WebSocket pub/sub channel with topic subscriptions
+ * - MQTT tanks/+/level: Optional MQTT ingestion bridge (external or embedded broker)
+ * - GET /api/alerts: Log of fired and resolved threshold alerts
+ * - /api/admin/keys: Per-device API key registry (create, rotate, revoke)
+ * - /api/admin/read-tokens: Scoped read tokens (issue, revoke; see ANONYMOUS_READS)
+ * - /api/admin/alert-rules: Threshold alert rules (CRUD)
+ * - /api/admin/tanks: Tank geometry registry (volume in litres)
+ * - /api/admin/devices/:deviceId/commands: Downlink commands and remote config for devices
+ * - /api/admin/pumps: Automatic pump control with safety interlocks and audit log
+ * - /dashboard: Built-in live web dashboard (also / for browsers)
+ * - GET /metrics: Prometheus metrics (optional bearer token)
  * - GET /health: Health check with server status and uptime
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { AsyncLocalStorage } = require('async_hooks');
+const { EventEmitter } = require('events');
 const express = require('express');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
+const { WebSocketServer } = require('ws');
 
 // Initialize Express app
 const app = express();
@@ -24,41 +52,92 @@ const SERVER_START_TIME = Date.now();
 // ============================================================================
 // LOGGING CONFIGURATION (Minimal for free tier infrastructure)
 // ============================================================================
-// Enable logging via environment variable: ENABLE_LOGGING=true
-// Default: false (off) to minimize resource usage on free tiers
+// One JSON object per line: { time, level, msg, requestId?, deviceId?, ...fields }
+// Verbosity via LOG_LEVEL=debug|info|warn|error. Default: error only, to
+// minimize resource usage on free tiers (ENABLE_LOGGING=true still works and
+// means LOG_LEVEL=debug). Security events are always logged at warn level.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
 const ENABLE_LOGGING = process.env.ENABLE_LOGGING === 'true';
+const LOG_LEVEL = Object.prototype.hasOwnProperty.call(LOG_LEVELS, process.env.LOG_LEVEL)
+  ? process.env.LOG_LEVEL
+  : (ENABLE_LOGGING ? 'debug' : 'error');
 
-// Minimal logging utility - only logs if flag is enabled
-const logger = {
-  log: (...args) => {
-    if (ENABLE_LOGGING) {
-      console.log(...args);
+// Per-request context ({ requestId, deviceId }) picked up by every log line
+// written while the request is handled (see the request ID middleware)
+const logContext = new AsyncLocalStorage();
+
+// Sets the device of the current request / message once it is authenticated
+const setLogDeviceId = (deviceId) => {
+  const context = logContext.getStore();
+  if (context && deviceId) context.deviceId = String(deviceId);
+};
+
+// Extra arguments: an Error becomes `error`, an object adds fields, an array
+// becomes `details`, anything else is appended to the message
+const writeLog = (level, [message, ...args]) => {
+  const context = logContext.getStore();
+  const entry = { time: new Date().toISOString(), level, msg: String(message) };
+  if (context && context.requestId) entry.requestId = context.requestId;
+  if (context && context.deviceId) entry.deviceId = context.deviceId;
+  
+  args.forEach((arg) => {
+    if (arg instanceof Error) {
+      entry.error = { message: arg.message, stack: arg.stack };
+    } else if (Array.isArray(arg)) {
+      entry.details = arg;
+    } else if (arg && typeof arg === 'object') {
+      Object.assign(entry, arg);
+    } else if (arg !== undefined) {
+      entry.msg += ` ${arg}`;
     }
+  });
+  
+  const line = JSON.stringify(entry);
+  if (LOG_LEVELS[level] >= LOG_LEVELS.warn) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+};
+
+const isLevelEnabled = (level) => LOG_LEVELS[level] >= LOG_LEVELS[LOG_LEVEL];
+
+// Leveled logging utility - lines below LOG_LEVEL are dropped
+const logger = {
+  debug: (...args) => {
+    if (isLevelEnabled('debug')) writeLog('debug', args);
+  },
+  info: (...args) => {
+    if (isLevelEnabled('info')) writeLog('info', args);
   },
   warn: (...args) => {
-    if (ENABLE_LOGGING) {
-      console.warn(...args);
-    }
+    if (isLevelEnabled('warn')) writeLog('warn', args);
   },
   // Errors are always logged (critical)
   error: (...args) => {
-    console.error(...args);
+    writeLog('error', args);
   },
-  // Info level (only if logging enabled)
-  info: (...args) => {
-    if (ENABLE_LOGGING) {
-      console.log(...args);
-    }
+  // Security warnings are always logged (critical), at warn level
+  security: (...args) => {
+    writeLog('warn', args);
+  },
+  // Deployment essentials (startup, shutdown) are always logged, at info level
+  notice: (...args) => {
+    writeLog('info', args);
   }
 };
 
 // ============================================================================
 // SECURITY CONFIGURATION
 // ============================================================================
-// API Key for IoT device authentication
-// Option 1: Hardcoded key (easy for IoT devices - change this!)
-// Option 2: Use environment variable: process.env.API_KEY || 'your-hardcoded-key'
-const API_KEY = process.env.API_KEY || 'WATER_TANK_API_KEY_2024_SECURE';
+// Legacy shared API key (not bound to a device) for firmware that predates
+// per-device keys. Only enabled when set via environment - there is no default.
+// Prefer per-device keys from the key registry (see DEVICE API KEY REGISTRY).
+const API_KEY = process.env.API_KEY || null;
+
+// Admin token for the /api/admin/* routes (Authorization: Bearer <token>)
+// If not set, the admin API is disabled
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
 
 // Allowed CORS origins (for production, restrict to specific domains)
 // For IoT devices, you may need to allow all origins, but restrict in production
@@ -66,217 +145,5471 @@ const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS
   ? process.env.ALLOWED_ORIGINS.split(',')
   : ['*']; // Allow all in development, restrict in production
 
+// Read token with access to all devices (see READ ACCESS TOKENS); scoped
+// tokens are issued through the admin API
+const READ_TOKEN = process.env.READ_TOKEN || null;
+
+// Constant-time string comparison (prevents timing attacks on secrets)
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
 // ============================================================================
-// IN-MEMORY BUFFER (Global Variable)
+// DEVICE API KEY REGISTRY
 // ============================================================================
-// This is our "database" - a simple object stored in RAM.
-// On server restart, this will be empty (data loss is acceptable).
-let latestData = null;
-let lastUpdateTimestamp = null;
+// Each key is bound to one deviceId, so a leaked firmware image only
+// compromises that device. Only SHA-256 hashes of keys are kept in memory.
+//
+// Key format: wtk_<keyId>_<secret>  (keyId locates the record, the hash of
+// the whole key is compared in constant time)
+//
+// Keys can be preloaded with DEVICE_KEYS="deviceId:sha256hex,deviceId:sha256hex"
+// (hash with: echo -n 'wtk_<keyId>_<secret>' | sha256sum) or created at
+// runtime through the admin routes.
+//
+// The signing secret of signed requests (see SIGNED REQUESTS) is derived from
+// the plain key at issue time and kept apart from the lookup hash: the
+// registry (and so the state file) only holds it encrypted with
+// SIGNING_KEY_SECRET. A leaked state file therefore can't forge signatures.
+// Without SIGNING_KEY_SECRET a random key is used, so signing secrets don't
+// survive a restart (keys then need rotating to sign again).
+const API_KEY_DEFAULT_TTL_DAYS = parseInt(process.env.API_KEY_DEFAULT_TTL_DAYS, 10) || 365;
+const API_KEY_PATTERN = /^wtk_([a-f0-9]{16})_[A-Za-z0-9_-]{32,}$/;
+const SIGNING_KEY_SECRET = process.env.SIGNING_KEY_SECRET || null;
+const SIGNING_WRAP_KEY = crypto.createHash('sha256').update(SIGNING_KEY_SECRET || crypto.randomBytes(32)).digest();
+
+// keyId -> { keyId, deviceId, keyHash, sealedSigningSecret, label, enabled, createdAt, expiresAt, rotatedFrom }
+const apiKeyRegistry = new Map();
+// keyHash -> keyId of DEVICE_KEYS entries (their keyId isn't configured, only the hash)
+const preloadedKeyIds = new Map();
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// What a device signs with: hex(HMAC-SHA256(apiKey, "sign"))
+const deriveSigningSecret = (key) => crypto.createHmac('sha256', key).update('sign').digest('hex');
+
+// Encrypts a signing secret for the registry: "<iv>.<tag>.<ciphertext>" (hex, AES-256-GCM)
+const sealSigningSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', SIGNING_WRAP_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return `${iv.toString('hex')}.${cipher.getAuthTag().toString('hex')}.${encrypted.toString('hex')}`;
+};
+
+// Decrypts a sealed signing secret; null if missing or sealed with another SIGNING_KEY_SECRET
+const openSigningSecret = (sealed) => {
+  const [iv, tag, encrypted] = String(sealed || '').split('.');
+  if (!iv || !tag || !encrypted) return null;
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', SIGNING_WRAP_KEY, Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(tag, 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'hex')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    return null;
+  }
+};
+
+// Generates a new key for a device; returns { record, key } (key is only shown once)
+const issueApiKey = (deviceId, { label = null, ttlDays = API_KEY_DEFAULT_TTL_DAYS, rotatedFrom = null } = {}) => {
+  const keyId = crypto.randomBytes(8).toString('hex');
+  const key = `wtk_${keyId}_${crypto.randomBytes(24).toString('base64url')}`;
+  const now = Date.now();
+  const record = {
+    keyId,
+    deviceId,
+    keyHash: hashApiKey(key),
+    sealedSigningSecret: sealSigningSecret(deriveSigningSecret(key)),
+    label,
+    enabled: true,
+    createdAt: now,
+    expiresAt: ttlDays > 0 ? now + ttlDays * 24 * 60 * 60 * 1000 : null,
+    rotatedFrom
+  };
+  apiKeyRegistry.set(keyId, record);
+  return { record, key };
+};
+
+// Public view of a key record (never includes the hash or signing secret)
+const formatApiKey = (record) => ({
+  keyId: record.keyId,
+  deviceId: record.deviceId,
+  label: record.label,
+  enabled: record.enabled,
+  createdAt: new Date(record.createdAt).toISOString(),
+  expiresAt: record.expiresAt ? new Date(record.expiresAt).toISOString() : null,
+  expired: record.expiresAt !== null && record.expiresAt <= Date.now(),
+  rotatedFrom: record.rotatedFrom
+});
+
+/**
+ * Verifies a presented API key.
+ * Returns { ok: true, auth } or { ok: false, reason } where reason is one of
+ * 'invalid', 'disabled', 'expired'.
+ */
+const verifyApiKey = (key) => {
+  if (API_KEY && safeEqual(key, API_KEY)) {
+    return { ok: true, auth: { type: 'shared', keyId: null, deviceId: null } };
+  }
+  
+  const match = API_KEY_PATTERN.exec(key);
+  const keyHash = hashApiKey(key);
+  const record = match ? apiKeyRegistry.get(match[1]) || apiKeyRegistry.get(preloadedKeyIds.get(keyHash)) : null;
+  if (!record || !safeEqual(keyHash, record.keyHash)) {
+    return { ok: false, reason: 'invalid' };
+  }
+  if (!record.enabled) return { ok: false, reason: 'disabled' };
+  if (record.expiresAt !== null && record.expiresAt <= Date.now()) {
+    return { ok: false, reason: 'expired' };
+  }
+  return { ok: true, auth: { type: 'device', keyId: record.keyId, deviceId: record.deviceId } };
+};
+
+// Loads preconfigured key hashes from DEVICE_KEYS (no expiry). An optional
+// third field is the key's signing secret (hex HMAC-SHA256(key, "sign")),
+// needed for signed requests because the key itself is never configured.
+(process.env.DEVICE_KEYS || '').split(',').filter(Boolean).forEach((entry, index) => {
+  const [deviceId, keyHash, signingSecret] = entry.trim().split(':');
+  if (!deviceId || !/^[a-f0-9]{64}$/.test(keyHash || '') || (signingSecret && !/^[a-f0-9]{64}$/.test(signingSecret))) {
+    logger.error(`[SECURITY] Ignoring malformed DEVICE_KEYS entry #${index + 1}`);
+    return;
+  }
+  const keyId = `env${String(index).padStart(13, '0')}`;
+  preloadedKeyIds.set(keyHash, keyId);
+  apiKeyRegistry.set(keyId, {
+    keyId,
+    deviceId,
+    keyHash,
+    sealedSigningSecret: signingSecret ? sealSigningSecret(signingSecret) : null,
+    label: 'DEVICE_KEYS',
+    enabled: true,
+    createdAt: Date.now(),
+    expiresAt: null,
+    rotatedFrom: null
+  });
+});
 
 // ============================================================================
-// MIDDLEWARE
+// READ ACCESS TOKENS (Scoped Read Auth)
 // ============================================================================
+// Read tokens share tanks without making them public. Each token covers a
+// list of devices and/or tanks ("*" = all) and may expire. Every read
+// endpoint (latest, devices, history, analytics, summary, export, stream,
+// alerts, health details) and /ws only shows what the token covers.
+// Clients send Authorization: Bearer <token>, or ?token= where headers can't
+// be set (EventSource, WebSocket in browsers, shared links).
+//
+// ANONYMOUS_READS=true (default) keeps reads public, e.g. for a demo; a token
+// that is sent anyway must be valid and narrows what is shown.
+// ANONYMOUS_READS=false requires a token for every read; anonymous /health
+// callers only get liveness (status, uptime).
+// READ_TOKEN and ADMIN_TOKEN are read tokens for all devices.
+//
+// Token format: wtr_<tokenId>_<secret> (only the SHA-256 hash is kept)
+const ANONYMOUS_READS = process.env.ANONYMOUS_READS !== 'false';
+const READ_TOKEN_PATTERN = /^wtr_([a-f0-9]{16})_[A-Za-z0-9_-]{32,}$/;
+const READ_SCOPE_ID_PATTERN = /^(\*|[\w.:-]{1,64})$/;
+const READ_SCOPE_MAX_IDS = 100; // devices + tanks per token
 
-// 1. CORS Configuration - Restrict to allowed origins
-app.use(cors({
-  origin: (origin, callback) => {
-    // Allow requests with no origin (like mobile apps, IoT devices, or curl)
-    if (!origin || ALLOWED_ORIGINS.includes('*') || ALLOWED_ORIGINS.includes(origin)) {
-      callback(null, true);
-    } else {
-      callback(new Error('Not allowed by CORS'));
+// tokenId -> { tokenId, tokenHash, label, devices, tanks, enabled, createdAt, expiresAt }
+const readTokenRegistry = new Map();
+
+// Scope of READ_TOKEN / ADMIN_TOKEN, and of anonymous reads when allowed
+const FULL_READ_SCOPE = { tokenId: null, devices: ['*'], tanks: [] };
+
+// Generates a new read token; returns { record, token } (token is only shown once)
+const issueReadToken = ({ label = null, devices = [], tanks = [], ttlDays = 0 } = {}) => {
+  const tokenId = crypto.randomBytes(8).toString('hex');
+  const token = `wtr_${tokenId}_${crypto.randomBytes(24).toString('base64url')}`;
+  const now = Date.now();
+  const record = {
+    tokenId,
+    tokenHash: hashApiKey(token),
+    label,
+    devices,
+    tanks,
+    enabled: true,
+    createdAt: now,
+    expiresAt: ttlDays > 0 ? now + ttlDays * 24 * 60 * 60 * 1000 : null
+  };
+  readTokenRegistry.set(tokenId, record);
+  return { record, token };
+};
+
+// Public view of a read token record (never includes the hash)
+const formatReadToken = (record) => ({
+  tokenId: record.tokenId,
+  label: record.label,
+  devices: record.devices,
+  tanks: record.tanks,
+  enabled: record.enabled,
+  createdAt: new Date(record.createdAt).toISOString(),
+  expiresAt: record.expiresAt ? new Date(record.expiresAt).toISOString() : null,
+  expired: record.expiresAt !== null && record.expiresAt <= Date.now()
+});
+
+/**
+ * Verifies a presented read token.
+ * Returns { ok: true, scope } or { ok: false, reason } where reason is one of
+ * 'invalid', 'disabled', 'expired'.
+ */
+const verifyReadToken = (token) => {
+  if ((READ_TOKEN && safeEqual(token, READ_TOKEN)) || (ADMIN_TOKEN && safeEqual(token, ADMIN_TOKEN))) {
+    return { ok: true, scope: FULL_READ_SCOPE };
+  }
+  
+  const match = READ_TOKEN_PATTERN.exec(token);
+  const record = match ? readTokenRegistry.get(match[1]) : null;
+  if (!record || !safeEqual(hashApiKey(token), record.tokenHash)) {
+    return { ok: false, reason: 'invalid' };
+  }
+  if (!record.enabled) return { ok: false, reason: 'disabled' };
+  if (record.expiresAt !== null && record.expiresAt <= Date.now()) {
+    return { ok: false, reason: 'expired' };
+  }
+  return { ok: true, scope: { tokenId: record.tokenId, devices: record.devices, tanks: record.tanks } };
+};
+
+// Extracts a read token from a request (also used for the WebSocket handshake)
+const getReadToken = (req) => {
+  const auth = req.headers.authorization || '';
+  if (auth.startsWith('Bearer ')) return auth.slice(7);
+  return new URL(req.url, 'http://localhost').searchParams.get('token');
+};
+
+// True if a read scope covers a device, directly or through its tank
+const canReadDevice = (scope, deviceId) =>
+  scope.devices.includes('*') || scope.tanks.includes('*') ||
+  scope.devices.includes(deviceId) || scope.tanks.includes(getTankId(deviceId));
+
+// Closes the open SSE streams and WebSockets of a revoked token
+const closeReadStreams = (tokenId) => {
+  sseClients.forEach((client) => {
+    if (client.tokenId === tokenId) client.res.end();
+  });
+  if (wss) {
+    wss.clients.forEach((ws) => {
+      if (ws.readScope.tokenId === tokenId) ws.close(4401, 'Read token revoked');
+    });
+  }
+};
+
+// Validates the devices / tanks lists of a new token; returns { scope, errors }
+const validateReadScope = (body) => {
+  const errors = [];
+  const scope = {};
+  ['devices', 'tanks'].forEach((field) => {
+    const value = body[field] === undefined ? [] : body[field];
+    if (!Array.isArray(value) || !value.every((id) => typeof id === 'string' && READ_SCOPE_ID_PATTERN.test(id))) {
+      errors.push({ field, message: 'must be a list of ids (1-64 characters: letters, digits, _ . : -) or "*"' });
+      return;
     }
-  },
-  credentials: true
-}));
+    scope[field] = [...new Set(value)];
+  });
+  if (errors.length === 0 && scope.devices.length + scope.tanks.length === 0) {
+    errors.push({ field: 'devices', message: 'at least one device or tank is required ("*" for all)' });
+  } else if (errors.length === 0 && scope.devices.length + scope.tanks.length > READ_SCOPE_MAX_IDS) {
+    errors.push({ field: 'devices', message: `at most ${READ_SCOPE_MAX_IDS} devices and tanks per token` });
+  }
+  return { scope, errors };
+};
 
-// 2. Parse JSON request bodies with size limit (10KB max)
-// This prevents large payload attacks
-app.use(express.json({ limit: '10kb' }));
+// ============================================================================
+// HMAC REQUEST SIGNING (Replay-Protected Device Auth)
+// ============================================================================
+// Optional alternative to sending the API key itself. The device signs each
+// POST with HMAC-SHA256 and never puts its key on the wire:
+//
+//   secret    = hex(HMAC-SHA256(apiKey, "sign"))   (sealed in the registry,
+//               see DEVICE API KEY REGISTRY; never the lookup hash)
+//   payload   = `${timestamp}.${nonce}.${rawBody}`
+//   signature = hex(HMAC-SHA256(secret, payload))
+//
+// Headers: x-key-id, x-timestamp (unix seconds), x-nonce, x-signature
+//
+// Requests outside HMAC_MAX_SKEW_SECONDS are rejected and nonces are
+// remembered for the skew window, so a captured request can't be replayed.
+// A nonce is never forgotten before its window closes: when the cache is full
+// (NONCE_CACHE_MAX, or NONCE_CACHE_MAX_PER_KEY for one key) new signed
+// requests are refused until old nonces expire.
+//
+// Per-device auth mode (DEVICE_AUTH_MODES="ESP32_001:hmac,..." or admin route):
+// - 'api-key': plain x-api-key or a signed request (default, old firmware)
+// - 'hmac':    signed requests only (also checked per reading, so batches and
+//              MQTT, which can't carry a signature, can't bypass it)
+const HMAC_MAX_SKEW_MS = (parseInt(process.env.HMAC_MAX_SKEW_SECONDS, 10) || 300) * 1000;
+const NONCE_CACHE_MAX = parseInt(process.env.NONCE_CACHE_MAX, 10) || 10000;
+// One reading per 5s over the 2x skew window needs 120 per key
+const NONCE_CACHE_MAX_PER_KEY = parseInt(process.env.NONCE_CACHE_MAX_PER_KEY, 10) || 1000;
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const AUTH_MODES = ['api-key', 'hmac'];
+const DEFAULT_AUTH_MODE = process.env.DEFAULT_AUTH_MODE === 'hmac' ? 'hmac' : 'api-key';
 
-// 3. Rate Limiting - Prevent abuse and DoS attacks
-// Different limits for POST (IoT updates) vs GET (client reads)
-const postLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 200, // Allow 200 POST requests per 15 minutes per IP
-  message: 'Too many requests from this IP, please try again later.',
-  standardHeaders: true,
-  legacyHeaders: false,
+// deviceId -> auth mode
+const deviceAuthModes = new Map();
+(process.env.DEVICE_AUTH_MODES || '').split(',').filter(Boolean).forEach((entry) => {
+  const [deviceId, mode] = entry.trim().split(':');
+  if (deviceId && AUTH_MODES.includes(mode)) {
+    deviceAuthModes.set(deviceId, mode);
+  } else {
+    logger.error(`[SECURITY] Ignoring malformed DEVICE_AUTH_MODES entry: ${entry}`);
+  }
+});
+
+const getDeviceAuthMode = (deviceId) => deviceAuthModes.get(deviceId) || DEFAULT_AUTH_MODE;
+
+// True if a credential that isn't a signed request is used for a device in 'hmac' mode
+const needsSignature = (auth, deviceId) => Boolean(
+  auth && auth.type !== 'hmac' && deviceId !== null && deviceId !== undefined && getDeviceAuthMode(String(deviceId)) === 'hmac'
+);
+
+// "keyId:nonce" -> expiry (epoch ms); Map keeps insertion order for pruning
+const seenNonces = new Map();
+// keyId -> number of its nonces in seenNonces
+const nonceCounts = new Map();
+
+// Drops nonces whose skew window has passed (all share one TTL, so insertion
+// order is expiry order)
+const pruneNonces = (now = Date.now()) => {
+  for (const [nonceKey, expiresAt] of seenNonces) {
+    if (expiresAt > now) break;
+    seenNonces.delete(nonceKey);
+    const keyId = nonceKey.slice(0, nonceKey.lastIndexOf(':'));
+    const count = nonceCounts.get(keyId) - 1;
+    if (count > 0) nonceCounts.set(keyId, count);
+    else nonceCounts.delete(keyId);
+  }
+};
+
+// Seconds until the oldest remembered nonce expires (Retry-After of a full cache)
+const getNonceRetryAfter = (now = Date.now()) => {
+  const oldest = seenNonces.values().next().value;
+  return oldest === undefined ? 1 : Math.max(1, Math.ceil((oldest - now) / 1000));
+};
+
+/**
+ * Verifies a signed request (see header comment for the scheme).
+ * Returns { ok: true, auth } or { ok: false, reason }.
+ */
+const verifySignedRequest = (req) => {
+  const keyId = String(req.headers['x-key-id'] || '');
+  const timestamp = String(req.headers['x-timestamp'] || '');
+  const nonce = String(req.headers['x-nonce'] || '');
+  const signature = String(req.headers['x-signature'] || '').toLowerCase();
+  const now = Date.now();
+  
+  if (!keyId || !/^\d+$/.test(timestamp) || !NONCE_PATTERN.test(nonce) || !/^[a-f0-9]{64}$/.test(signature)) {
+    return { ok: false, reason: 'malformed-signature' };
+  }
+  if (Math.abs(now - parseInt(timestamp, 10) * 1000) > HMAC_MAX_SKEW_MS) {
+    return { ok: false, reason: 'stale-timestamp' };
+  }
+  
+  const record = apiKeyRegistry.get(keyId);
+  const secret = record ? openSigningSecret(record.sealedSigningSecret) : null;
+  const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+  const expected = secret
+    ? crypto.createHmac('sha256', secret).update(`${timestamp}.${nonce}.${rawBody}`).digest('hex')
+    : null;
+  if (!expected || !safeEqual(signature, expected)) {
+    return { ok: false, reason: 'bad-signature' };
+  }
+  if (!record.enabled) return { ok: false, reason: 'disabled' };
+  if (record.expiresAt !== null && record.expiresAt <= now) {
+    return { ok: false, reason: 'expired' };
+  }
+  
+  // Only valid signatures reach the nonce cache, so it can't be flooded anonymously
+  pruneNonces(now);
+  const nonceKey = `${keyId}:${nonce}`;
+  if (seenNonces.has(nonceKey)) {
+    return { ok: false, reason: 'replayed-nonce' };
+  }
+  // Evicting an unexpired nonce would reopen its replay window
+  if (seenNonces.size >= NONCE_CACHE_MAX) {
+    return { ok: false, reason: 'nonce-cache-full', retryAfter: getNonceRetryAfter(now) };
+  }
+  const count = nonceCounts.get(record.keyId) || 0;
+  if (count >= NONCE_CACHE_MAX_PER_KEY) {
+    return { ok: false, reason: 'nonce-limit', retryAfter: getNonceRetryAfter(now) };
+  }
+  seenNonces.set(nonceKey, now + 2 * HMAC_MAX_SKEW_MS);
+  nonceCounts.set(record.keyId, count + 1);
+  
+  return { ok: true, auth: { type: 'hmac', keyId: record.keyId, deviceId: record.deviceId } };
+};
+
+// ============================================================================
+// IN-MEMORY BUFFER (Per-Device Store)
+// ============================================================================
+// This is our "database" - a Map of deviceId -> latest reading stored in RAM.
+// With the default memory storage it is empty after a restart; the file
+// storage adapter restores it on startup (see PERSISTENCE).
+//
+// Each entry: { data, lastUpdateTimestamp, firstSeenTimestamp, status }
+// Readings without a deviceId are stored under UNKNOWN_DEVICE_ID.
+const UNKNOWN_DEVICE_ID = 'unknown';
+const deviceStore = new Map();
+
+// Key of the device that posted most recently (for "latest across all devices")
+let latestDeviceKey = null;
+
+// Returns the store key for a (possibly missing) deviceId
+const getDeviceKey = (deviceId) => (deviceId ? String(deviceId) : UNKNOWN_DEVICE_ID);
+
+// Returns the tank a device measures (one sensor per tank: tankId = deviceId)
+const getTankId = (deviceId) => deviceId;
+
+// Returns the most recent entry across all devices (or those a read scope
+// covers), or null if none yet
+const getLatestEntry = (scope = FULL_READ_SCOPE) => {
+  const latest = latestDeviceKey ? deviceStore.get(latestDeviceKey) : null;
+  if (!latest || canReadDevice(scope, latestDeviceKey)) return latest;
+  let found = null;
+  deviceStore.forEach((entry, key) => {
+    if (canReadDevice(scope, key) && (!found || entry.lastUpdateTimestamp > found.lastUpdateTimestamp)) found = entry;
+  });
+  return found;
+};
+
+// Formats a store entry as the JSON body returned by the read endpoints
+// (volume fields are null unless the device has a tank definition;
+// values: 'filtered' or 'raw' sensor values)
+const formatLatestResponse = (entry, { values = 'filtered' } = {}) => {
+  const data = values === 'raw' ? toRawReading(entry.data) : entry.data;
+  const volume = computeVolume(getDeviceKey(data.deviceId), data) || {};
+  return {
+    success: true,
+    data: {
+      deviceId: data.deviceId,
+      distanceCm: data.distanceCm,
+      waterLevelCm: data.waterLevelCm,
+      waterPercentage: data.waterPercentage,
+      tankHeightCm: data.tankHeightCm,
+      volumeLitres: volume.volumeLitres === undefined ? null : volume.volumeLitres,
+      volumePercentage: volume.volumePercentage === undefined ? null : volume.volumePercentage,
+      capacityLitres: volume.capacityLitres === undefined ? null : volume.capacityLitres,
+      timestamp: data.timestamp,
+      derived: data.derived,
+      warnings: data.warnings,
+      anomaly: Boolean(data.anomaly),
+      anomalyReason: data.anomalyReason || null
+    },
+    values,
+    lastUpdate: new Date(entry.lastUpdateTimestamp).toISOString(),
+    ageSeconds: Math.floor((Date.now() - entry.lastUpdateTimestamp) / 1000),
+    status: entry.status
+  };
+};
+
+// ============================================================================
+// READING HISTORY (Bounded Ring Buffer per Device)
+// ============================================================================
+// Keeps recent readings per device so dashboards can chart the level over time.
+// RAM use stays bounded: each device holds at most HISTORY_MAX_POINTS readings,
+// and readings older than HISTORY_MAX_AGE_HOURS are dropped.
+const HISTORY_MAX_POINTS = parseInt(process.env.HISTORY_MAX_POINTS, 10) || 2880; // ~4h at 5s interval
+const HISTORY_MAX_AGE_MS = (parseFloat(process.env.HISTORY_MAX_AGE_HOURS) || 24) * 60 * 60 * 1000;
+
+// deviceId -> ring buffer of { t, receivedAt, data } (t = epoch ms of the reading)
+const historyStore = new Map();
+
+// Minimal fixed-capacity ring buffer (oldest entries are overwritten when full)
+const createRingBuffer = (capacity) => {
+  const items = new Array(capacity);
+  let start = 0;
+  let size = 0;
+  
+  return {
+    push: (item) => {
+      items[(start + size) % capacity] = item;
+      if (size < capacity) {
+        size++;
+      } else {
+        start = (start + 1) % capacity;
+      }
+    },
+    // Oldest item, or undefined when empty
+    peek: () => (size > 0 ? items[start] : undefined),
+    // Newest item, or undefined when empty
+    last: () => (size > 0 ? items[(start + size - 1) % capacity] : undefined),
+    // Removes the oldest item
+    shift: () => {
+      if (size === 0) return undefined;
+      const item = items[start];
+      items[start] = undefined;
+      start = (start + 1) % capacity;
+      size--;
+      return item;
+    },
+    // Items from oldest to newest
+    toArray: () => {
+      const result = new Array(size);
+      for (let i = 0; i < size; i++) {
+        result[i] = items[(start + i) % capacity];
+      }
+      return result;
+    },
+    get size() {
+      return size;
+    }
+  };
+};
+
+// Parses a reading timestamp to epoch ms, falling back to the given time
+const toEpochMs = (timestamp, fallback) => {
+  const ms = Date.parse(timestamp);
+  return Number.isNaN(ms) ? fallback : ms;
+};
+
+// Drops readings older than HISTORY_MAX_AGE_MS from a device buffer
+const pruneHistory = (buffer, now = Date.now()) => {
+  const cutoff = now - HISTORY_MAX_AGE_MS;
+  while (buffer.size > 0 && buffer.peek().t < cutoff) {
+    buffer.shift();
+  }
+};
+
+// Adds a reading to the history of its device, keeping timestamp order.
+// In-order readings are a plain push; a late (older) reading rebuilds the
+// buffer with the point at its sorted position.
+const appendHistory = (key, data, receivedAt) => {
+  let buffer = historyStore.get(key);
+  if (!buffer) {
+    buffer = createRingBuffer(HISTORY_MAX_POINTS);
+    historyStore.set(key, buffer);
+  }
+  const point = { t: toEpochMs(data.timestamp, receivedAt), receivedAt, data };
+  const last = buffer.last();
+  
+  if (!last || point.t >= last.t) {
+    buffer.push(point);
+  } else {
+    const points = buffer.toArray();
+    const index = points.findIndex((existing) => existing.t > point.t);
+    points.splice(index, 0, point);
+    buffer = createRingBuffer(HISTORY_MAX_POINTS);
+    points.slice(-HISTORY_MAX_POINTS).forEach((p) => buffer.push(p));
+    historyStore.set(key, buffer);
+  }
+  pruneHistory(buffer, receivedAt);
+};
+
+// Returns the set of reading timestamps (epoch ms) in a device's history
+const getHistoryTimestamps = (key) => {
+  const buffer = historyStore.get(key);
+  return new Set(buffer ? buffer.toArray().map((point) => point.t) : []);
+};
+
+// Epoch ms of the latest reading of a device, or null if none
+const getLatestReadingTime = (key) => {
+  const entry = deviceStore.get(key);
+  return entry ? toEpochMs(entry.data.timestamp, entry.lastUpdateTimestamp) : null;
+};
+
+/**
+ * Stores an accepted reading: updates the device's latest entry and history.
+ * This is the single write path for ingested readings.
+ */
+const storeReading = (data, receivedAt = Date.now()) => {
+  const key = getDeviceKey(data.deviceId);
+  const existing = deviceStore.get(key);
+  filterReading(key, data, toEpochMs(data.timestamp, receivedAt));
+  const entry = {
+    data,
+    lastUpdateTimestamp: receivedAt,
+    firstSeenTimestamp: existing ? existing.firstSeenTimestamp : receivedAt,
+    status: existing ? existing.status : null
+  };
+  deviceStore.set(key, entry);
+  latestDeviceKey = key;
+  appendHistory(key, data, receivedAt);
+  storage.append({ type: 'reading', key, data, receivedAt });
+  incCounter('readings_accepted_total', { device_id: key });
+  updateDeviceStatus(key, entry);
+  updateConsumption(key, data, toEpochMs(data.timestamp, receivedAt));
+  publishEvent('reading', key, {
+    data,
+    volume: computeVolume(key, data),
+    lastUpdate: new Date(receivedAt).toISOString()
+  });
+  evaluateAlertRules(key, data, receivedAt);
+  evaluatePumpControl(key, data, receivedAt);
+  return key;
+};
+
+// Parses a bucket size such as "30s", "5m", "1h" or "1d" into milliseconds
+const BUCKET_UNITS_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const parseBucketMs = (bucket) => {
+  const match = /^(\d+)([smhd])$/.exec(String(bucket).trim());
+  if (!match || parseInt(match[1], 10) === 0) return null;
+  return parseInt(match[1], 10) * BUCKET_UNITS_MS[match[2]];
+};
+
+// Parses a from/to query value (ISO string or epoch ms) into epoch ms
+const parseTimeParam = (value) => {
+  if (value === undefined || value === '') return undefined;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : ms;
+};
+
+// Min/avg/max of a numeric field over a list of points (null if no values)
+const HISTORY_NUMERIC_FIELDS = ['distanceCm', 'waterLevelCm', 'waterPercentage', 'volumeLitres', 'volumePercentage'];
+const summarizeField = (points, field) => {
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  let count = 0;
+  points.forEach((point) => {
+    const value = parseFloat(point.data[field]);
+    if (Number.isFinite(value)) {
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+      sum += value;
+      count++;
+    }
+  });
+  if (count === 0) return null;
+  return { min, avg: Math.round((sum / count) * 100) / 100, max };
+};
+
+// Groups points into fixed-size time buckets with min/avg/max per field
+const bucketHistory = (points, bucketMs) => {
+  const buckets = new Map();
+  points.forEach((point) => {
+    const bucketStart = Math.floor(point.t / bucketMs) * bucketMs;
+    if (!buckets.has(bucketStart)) buckets.set(bucketStart, []);
+    buckets.get(bucketStart).push(point);
+  });
+  
+  return Array.from(buckets.entries()).map(([bucketStart, bucketPoints]) => {
+    const bucket = {
+      start: new Date(bucketStart).toISOString(),
+      end: new Date(bucketStart + bucketMs).toISOString(),
+      count: bucketPoints.length
+    };
+    HISTORY_NUMERIC_FIELDS.forEach((field) => {
+      bucket[field] = summarizeField(bucketPoints, field);
+    });
+    return bucket;
+  });
+};
+
+// ============================================================================
+// PUB/SUB EVENT BUS
+// ============================================================================
+// Every accepted reading (and later other device events) is published here.
+// Push channels (SSE) subscribe to the bus instead of hooking into routes.
+// Events carry a global, monotonically increasing id so clients can resume.
+const EVENT_REPLAY_SIZE = parseInt(process.env.EVENT_REPLAY_SIZE, 10) || 500;
+
+const eventBus = new EventEmitter();
+eventBus.setMaxListeners(0); // One listener per connected push client
+
+let eventSequence = 0;
+// Most recent events, replayed to clients that reconnect with Last-Event-ID
+const recentEvents = createRingBuffer(EVENT_REPLAY_SIZE);
+
+/**
+ * Publishes an event to all subscribers.
+ * Event shape: { id, type, deviceId, tankId, timestamp, ...payload }
+ */
+const publishEvent = (type, deviceId, payload) => {
+  const event = {
+    id: ++eventSequence,
+    type,
+    deviceId,
+    tankId: getTankId(deviceId),
+    timestamp: new Date().toISOString(),
+    ...payload
+  };
+  recentEvents.push(event);
+  eventBus.emit('event', event);
+  return event;
+};
+
+// Returns buffered events newer than the given id
+const getEventsSince = (lastEventId) =>
+  recentEvents.toArray().filter((event) => event.id > lastEventId);
+
+// ============================================================================
+// SERVER-SENT EVENTS (Push Stream)
+// ============================================================================
+// Clients connect to GET /api/stream and receive each accepted reading as it
+// arrives, instead of polling /api/latest.
+const SSE_MAX_CLIENTS = parseInt(process.env.SSE_MAX_CLIENTS, 10) || 50;
+const SSE_HEARTBEAT_MS = (parseInt(process.env.SSE_HEARTBEAT_SECONDS, 10) || 25) * 1000;
+const SSE_RETRY_MS = 5000; // Reconnect delay suggested to browsers
+
+// Connected SSE clients: Set of { res, deviceId, tokenId }
+const sseClients = new Set();
+
+// Writes one event in SSE wire format
+const writeSseEvent = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+};
+
+// Heartbeat comments keep proxies (e.g. Render) from closing idle streams
+const sseHeartbeat = setInterval(() => {
+  sseClients.forEach((client) => client.res.write(': heartbeat\n\n'));
+}, SSE_HEARTBEAT_MS);
+sseHeartbeat.unref();
+
+// ============================================================================
+// CONDITIONAL GET & LONG-POLLING (/api/latest)
+// ============================================================================
+// Polling clients send If-None-Match (or If-Modified-Since) and get 304 while
+// the reading hasn't changed. The ETag identifies the reading (device, time
+// received, status and the requested variant) rather than the body bytes,
+// because ageSeconds changes every second.
+// Long-poll: ?wait=<seconds>&after=<etag> holds the request until a new
+// reading arrives (for ?deviceId, or any readable device) or the wait expires (304).
+// A held request counts once against getLimiter, however long it waits.
+const LONG_POLL_MAX_WAIT_SECONDS = parseInt(process.env.LONG_POLL_MAX_WAIT_SECONDS, 10) || 60;
+const LONG_POLL_MAX_CLIENTS = parseInt(process.env.LONG_POLL_MAX_CLIENTS, 10) || 100;
+
+// Held long-poll requests ({ finish }), so shutdown can answer them
+const longPollWaiters = new Set();
+
+// Weak ETag of a latest-reading response (variant: query options that change the body)
+const getLatestEtag = (entry, variant) => {
+  const hash = crypto.createHash('sha1')
+    .update(`${entry.data.deviceId}|${entry.lastUpdateTimestamp}|${entry.data.timestamp}|${entry.status}|${variant}`)
+    .digest('hex');
+  return `W/"${hash.slice(0, 20)}"`;
+};
+
+// Strips W/ and quotes so "abc", W/"abc" and abc compare equal
+const normalizeEtag = (etag) => String(etag).trim().replace(/^W\//, '').replace(/^"|"$/g, '');
+
+// True if the client's copy (If-None-Match, else If-Modified-Since) is current
+const isNotModified = (req, etag, lastModifiedMs) => {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',').some((tag) => tag.trim() === '*' || normalizeEtag(tag) === normalizeEtag(etag));
+  }
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+  return Number.isFinite(ifModifiedSince) && Math.floor(lastModifiedMs / 1000) * 1000 <= ifModifiedSince;
+};
+
+/**
+ * Holds a request until a reading arrives for a device accepted by
+ * matchesDevice(deviceId), waitMs passes or the client goes away, then calls
+ * done(reason) with 'reading', 'timeout', 'shutdown' or 'closed'.
+ * Returns false (without waiting) if LONG_POLL_MAX_CLIENTS are already waiting.
+ */
+const waitForReading = (res, matchesDevice, waitMs, done) => {
+  if (longPollWaiters.size >= LONG_POLL_MAX_CLIENTS) return false;
+  
+  let finished = false;
+  let timer = null;
+  const onEvent = (event) => {
+    if (event.type === 'reading' && matchesDevice(event.deviceId)) waiter.finish('reading');
+  };
+  const onClose = () => waiter.finish('closed');
+  const waiter = {
+    finish: (reason) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      eventBus.off('event', onEvent);
+      res.off('close', onClose);
+      longPollWaiters.delete(waiter);
+      done(reason);
+    }
+  };
+  
+  timer = setTimeout(() => waiter.finish('timeout'), waitMs);
+  eventBus.on('event', onEvent);
+  res.on('close', onClose);
+  longPollWaiters.add(waiter);
+  return true;
+};
+
+// ============================================================================
+// WEBSOCKET PUB/SUB CHANNEL
+// ============================================================================
+// Bidirectional alternative to SSE on the same HTTP server (path /ws).
+// Clients authenticate with a read token at handshake (?token= or
+// Authorization: Bearer; see READ ACCESS TOKENS - always required here, even
+// with ANONYMOUS_READS) and send JSON messages:
+//   { "type": "subscribe",   "topics": ["device:ESP32_001", "tank:TANK_1", "*"] }
+//   { "type": "unsubscribe", "topics": ["device:ESP32_001"] }
+// Every bus event (reading, alert, device-status, ...) matching a subscribed
+// topic is sent as a JSON frame: { "type": "event", "topic": "...", "event": {...} }
+// Only events of devices in the token's scope are sent; subscribing to a
+// device or tank outside it is an error.
+const WS_PATH = '/ws';
+const WS_MAX_CLIENTS = parseInt(process.env.WS_MAX_CLIENTS, 10) || 50;
+const WS_PING_INTERVAL_MS = (parseInt(process.env.WS_PING_SECONDS, 10) || 30) * 1000;
+const WS_MAX_TOPICS = 50; // Per connection
+const TOPIC_PATTERN = /^(\*|(device|tank):[\w.:-]{1,64})$/;
+
+// Returns the subscribed topic an event matches, or null
+const matchTopic = (topics, event) => {
+  if (topics.has('*')) return '*';
+  if (topics.has(`device:${event.deviceId}`)) return `device:${event.deviceId}`;
+  if (event.tankId && topics.has(`tank:${event.tankId}`)) return `tank:${event.tankId}`;
+  return null;
+};
+
+const sendWs = (ws, message) => {
+  if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+};
+
+// Handles one subscribe/unsubscribe message from a client
+const handleWsMessage = (ws, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    return sendWs(ws, { type: 'error', message: 'Invalid JSON' });
+  }
+  
+  const topics = [].concat(message.topics || message.topic || []).map(String);
+  const invalid = topics.filter((topic) => !TOPIC_PATTERN.test(topic));
+  
+  if (message.type !== 'subscribe' && message.type !== 'unsubscribe') {
+    return sendWs(ws, { type: 'error', message: 'Unknown message type (use subscribe or unsubscribe)' });
+  }
+  if (topics.length === 0 || invalid.length > 0) {
+    return sendWs(ws, {
+      type: 'error',
+      message: 'Invalid topics (use device:<deviceId>, tank:<tankId> or *)',
+      invalid
+    });
+  }
+  
+  if (message.type === 'subscribe') {
+    // device:<id> and tank:<id> name the same id (one sensor per tank)
+    const forbidden = topics.filter((topic) => topic !== '*' && !canReadDevice(ws.readScope, topic.slice(topic.indexOf(':') + 1)));
+    if (forbidden.length > 0) {
+      return sendWs(ws, { type: 'error', message: 'Topics outside the read token scope', forbidden });
+    }
+    if (ws.topics.size + topics.length > WS_MAX_TOPICS) {
+      return sendWs(ws, { type: 'error', message: `Too many topics (max ${WS_MAX_TOPICS})` });
+    }
+    topics.forEach((topic) => ws.topics.add(topic));
+  } else {
+    topics.forEach((topic) => ws.topics.delete(topic));
+  }
+  sendWs(ws, { type: `${message.type}d`, topics: Array.from(ws.topics) });
+};
+
+/**
+ * Attaches the WebSocket channel to the HTTP server returned by app.listen.
+ * Authentication happens on the HTTP upgrade, before the socket is accepted.
+ */
+const attachWebSocketServer = (server) => {
+  if (!READ_TOKEN && !ADMIN_TOKEN && readTokenRegistry.size === 0) {
+    logger.info('[WS] No READ_TOKEN, ADMIN_TOKEN or read tokens - WebSocket channel disabled');
+    return null;
+  }
+  
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 4 * 1024 });
+  
+  server.on('upgrade', (req, socket, head) => {
+    const rejectUpgrade = (status, reason) => {
+      socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+      socket.destroy();
+    };
+    
+    if (new URL(req.url, 'http://localhost').pathname !== WS_PATH) {
+      return rejectUpgrade(404, 'Not Found');
+    }
+    const origin = req.headers.origin;
+    if (origin && !ALLOWED_ORIGINS.includes('*') && !ALLOWED_ORIGINS.includes(origin)) {
+      return rejectUpgrade(403, 'Forbidden');
+    }
+    const token = getReadToken(req);
+    const result = token ? verifyReadToken(token) : { ok: false, reason: 'missing' };
+    if (!result.ok) {
+      incCounter('auth_failures_total', { reason: 'read-token' });
+      // Security warnings are always logged (critical)
+      logger.security(`[SECURITY] Rejected WebSocket read token (${result.reason}) from IP: ${req.socket.remoteAddress}`);
+      return rejectUpgrade(401, 'Unauthorized');
+    }
+    if (wss.clients.size >= WS_MAX_CLIENTS) {
+      return rejectUpgrade(503, 'Service Unavailable');
+    }
+    
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.readScope = result.scope;
+      wss.emit('connection', ws, req);
+    });
+  });
+  
+  wss.on('connection', (ws) => {
+    ws.topics = new Set();
+    ws.isAlive = true;
+    
+    const onEvent = (event) => {
+      if (!canReadDevice(ws.readScope, event.deviceId)) return;
+      const topic = matchTopic(ws.topics, event);
+      if (topic) sendWs(ws, { type: 'event', topic, event });
+    };
+    eventBus.on('event', onEvent);
+    
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+    ws.on('message', (raw) => handleWsMessage(ws, raw.toString()));
+    ws.on('close', () => {
+      eventBus.off('event', onEvent);
+      logger.debug(`[WS] Client disconnected (${wss.clients.size}/${WS_MAX_CLIENTS})`);
+    });
+    ws.on('error', (error) => logger.warn('[WS] Client error:', error.message));
+    
+    sendWs(ws, { type: 'welcome', topics: [] });
+    logger.debug(`[WS] Client connected (${wss.clients.size}/${WS_MAX_CLIENTS})`);
+  });
+  
+  // Ping/pong keepalive: clients that missed the last pong are dropped
+  const pingInterval = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) return ws.terminate();
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, WS_PING_INTERVAL_MS);
+  pingInterval.unref();
+  wss.on('close', () => clearInterval(pingInterval));
+  
+  return wss;
+};
+
+// ============================================================================
+// PAYLOAD VALIDATION & NORMALIZATION
+// ============================================================================
+// Readings are validated before they are stored:
+// - Numeric fields accept numbers or numeric strings and are stored as numbers
+//   (so a real reading of 0, an empty tank, stays 0)
+// - Unparsable timestamps and timestamps in the future are rejected
+// - Missing waterLevelCm / waterPercentage are derived from distanceCm and
+//   tankHeightCm, and readings whose fields contradict each other are flagged
+//
+// Compatibility mode (old firmware): devices listed in LENIENT_DEVICE_IDS (or
+// every device with VALIDATION_MODE=lenient) keep the previous behavior -
+// values are stored as sent. The deviceId and timestamp are still checked in
+// every mode: the id keys storage, topics and logs, the timestamp orders history.
+const VALIDATION_MODE = process.env.VALIDATION_MODE === 'lenient' ? 'lenient' : 'strict';
+const LENIENT_DEVICE_IDS = new Set(
+  (process.env.LENIENT_DEVICE_IDS || '').split(',').map((id) => id.trim()).filter(Boolean)
+);
+const TIMESTAMP_MAX_FUTURE_MS = (parseInt(process.env.TIMESTAMP_MAX_FUTURE_SECONDS, 10) || 300) * 1000;
+const LEVEL_TOLERANCE_CM = 2; // Allowed mismatch between waterLevelCm and tankHeightCm - distanceCm
+const PERCENTAGE_TOLERANCE = 2; // Allowed mismatch between waterPercentage and level / height
+const DEVICE_ID_PATTERN = /^[\w.:-]{1,64}$/;
+
+// Numeric reading fields and their allowed ranges
+const NUMERIC_FIELDS = {
+  distanceCm: { min: 0, max: 10000 },
+  waterLevelCm: { min: 0, max: 10000 },
+  waterPercentage: { min: 0, max: 100 },
+  tankHeightCm: { min: 0, max: 10000, exclusiveMin: true }
+};
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Coerces a number or numeric string; returns NaN for anything else
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value.trim());
+  return NaN;
+};
+
+// Returns true if a device is configured for lenient mode
+const isLenientDevice = (deviceId) => VALIDATION_MODE === 'lenient' || LENIENT_DEVICE_IDS.has(String(deviceId));
+
+/**
+ * Checks the fields every mode requires: a deviceId (string or number,
+ * DEVICE_ID_PATTERN) and, if given, a parsable timestamp (not in the future
+ * unless allowFuture). Returns { deviceId, timestamp, errors }.
+ */
+const validateIdentity = (body, now, { allowFuture = false } = {}) => {
+  const errors = [];
+  let deviceId = null;
+  let timestamp = null;
+  
+  if (isMissing(body.deviceId)) {
+    errors.push({ field: 'deviceId', message: 'is required' });
+  } else if (!['string', 'number'].includes(typeof body.deviceId) || !DEVICE_ID_PATTERN.test(String(body.deviceId))) {
+    errors.push({ field: 'deviceId', message: 'must be 1-64 characters (letters, digits, _ . : -)' });
+  } else {
+    deviceId = String(body.deviceId);
+  }
+  
+  if (isMissing(body.timestamp)) {
+    timestamp = new Date(now).toISOString();
+  } else {
+    const ms = typeof body.timestamp === 'string' ? Date.parse(body.timestamp) : NaN;
+    if (Number.isNaN(ms)) {
+      errors.push({ field: 'timestamp', message: 'must be an ISO 8601 date string' });
+    } else if (!allowFuture && ms > now + TIMESTAMP_MAX_FUTURE_MS) {
+      errors.push({ field: 'timestamp', message: 'must not be in the future' });
+    } else {
+      timestamp = new Date(ms).toISOString();
+    }
+  }
+  return { deviceId, timestamp, errors };
+};
+
+// Previous behavior: store values as sent, missing fields become null
+const normalizeLenient = (body, { deviceId, timestamp }) => ({
+  deviceId,
+  distanceCm: isMissing(body.distanceCm) ? null : body.distanceCm,
+  waterLevelCm: isMissing(body.waterLevelCm) ? null : body.waterLevelCm,
+  waterPercentage: isMissing(body.waterPercentage) ? null : body.waterPercentage,
+  tankHeightCm: isMissing(body.tankHeightCm) ? null : body.tankHeightCm,
+  timestamp,
+  derived: [],
+  warnings: []
+});
+
+// Fills in missing level/percentage and flags contradicting fields
+const deriveAndCheck = (data) => {
+  const { distanceCm, tankHeightCm } = data;
+  const hasHeight = tankHeightCm !== null;
+  
+  if (data.waterLevelCm === null && hasHeight && distanceCm !== null) {
+    data.waterLevelCm = round2(Math.max(0, tankHeightCm - distanceCm));
+    data.derived.push('waterLevelCm');
+  }
+  if (data.waterLevelCm === null && hasHeight && data.waterPercentage !== null) {
+    data.waterLevelCm = round2((data.waterPercentage / 100) * tankHeightCm);
+    data.derived.push('waterLevelCm');
+  }
+  if (data.waterPercentage === null && hasHeight && data.waterLevelCm !== null) {
+    data.waterPercentage = round2(Math.min(100, (data.waterLevelCm / tankHeightCm) * 100));
+    data.derived.push('waterPercentage');
+  }
+  
+  if (!hasHeight) return;
+  if (distanceCm !== null && distanceCm > tankHeightCm) {
+    data.warnings.push('distanceCm is greater than tankHeightCm');
+  }
+  if (data.waterLevelCm > tankHeightCm) {
+    data.warnings.push('waterLevelCm is greater than tankHeightCm');
+  }
+  if (distanceCm !== null && !data.derived.includes('waterLevelCm') &&
+      Math.abs(tankHeightCm - distanceCm - data.waterLevelCm) > LEVEL_TOLERANCE_CM) {
+    data.warnings.push('waterLevelCm does not match tankHeightCm - distanceCm');
+  }
+  if (!data.derived.includes('waterPercentage') && !data.derived.includes('waterLevelCm') &&
+      Math.abs((data.waterLevelCm / tankHeightCm) * 100 - data.waterPercentage) > PERCENTAGE_TOLERANCE) {
+    data.warnings.push('waterPercentage does not match waterLevelCm / tankHeightCm');
+  }
+};
+
+/**
+ * Validates and normalizes an incoming reading.
+ * Returns { data, errors } where errors is a list of { field, message };
+ * data is only usable when errors is empty.
+ */
+const validateReading = (body, { lenient = false, now = Date.now() } = {}) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { data: null, errors: [{ field: 'body', message: 'must be a JSON object' }] };
+  }
+  const identity = validateIdentity(body, now, { allowFuture: lenient });
+  if (lenient) {
+    return identity.errors.length > 0
+      ? { data: null, errors: identity.errors }
+      : { data: normalizeLenient(body, identity), errors: [] };
+  }
+  
+  const { errors } = identity;
+  const data = { deviceId: identity.deviceId, timestamp: identity.timestamp, derived: [], warnings: [] };
+  
+  Object.entries(NUMERIC_FIELDS).forEach(([field, range]) => {
+    data[field] = null;
+    if (isMissing(body[field])) return;
+    const value = toNumber(body[field]);
+    if (!Number.isFinite(value)) {
+      errors.push({ field, message: 'must be a number or numeric string' });
+    } else if (value < range.min || (range.exclusiveMin && value === range.min)) {
+      errors.push({ field, message: `must be ${range.exclusiveMin ? 'greater than' : 'at least'} ${range.min}` });
+    } else if (value > range.max) {
+      errors.push({ field, message: `must be at most ${range.max}` });
+    } else {
+      data[field] = value;
+    }
+  });
+  
+  if (isMissing(body.distanceCm) && isMissing(body.waterLevelCm) && isMissing(body.waterPercentage)) {
+    errors.push({ field: 'distanceCm', message: 'one of distanceCm, waterLevelCm or waterPercentage is required' });
+  }
+  
+  if (errors.length === 0) {
+    deriveAndCheck(data);
+  }
+  return { data, errors };
+};
+
+// ============================================================================
+// ALERT RULES ENGINE
+// ============================================================================
+// Per-device threshold rules evaluated on every accepted reading:
+// - below: value < threshold          (resolves at >= threshold + hysteresis)
+// - above: value > threshold          (resolves at <= threshold - hysteresis)
+// - drop:  value fell by more than threshold within windowMinutes
+//          (resolves when the drop is <= threshold - hysteresis)
+// A rule that fired can't fire again before cooldownSeconds, so a level
+// sitting at the threshold doesn't flap. Fired/resolved alerts are logged,
+// published on the event bus and POSTed to the rule's webhooks plus
+// ALERT_WEBHOOK_URLS, with retries and exponential backoff.
+const ALERT_LOG_SIZE = parseInt(process.env.ALERT_LOG_SIZE, 10) || 500;
+const ALERT_WEBHOOK_URLS = (process.env.ALERT_WEBHOOK_URLS || '').split(',').map((u) => u.trim()).filter(Boolean);
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 4;
+const WEBHOOK_BACKOFF_MS = parseInt(process.env.WEBHOOK_BACKOFF_MS, 10) || 1000; // Doubles per retry
+const WEBHOOK_TIMEOUT_MS = 5000;
+const ALERT_RULE_TYPES = ['below', 'above', 'drop'];
+const ALERT_FIELDS = ['waterPercentage', 'waterLevelCm', 'distanceCm'];
+const MAX_ALERT_RULES = 200;
+
+// ruleId -> rule
+const alertRules = new Map();
+// ruleId -> { active, lastFiredAt, alertId }
+const alertRuleState = new Map();
+// Fired/resolved alerts, oldest first
+const alertLog = createRingBuffer(ALERT_LOG_SIZE);
+
+/**
+ * Validates a rule definition (for create, or update when existing is given).
+ * Returns { rule, errors }.
+ */
+const validateAlertRule = (body, existing = null) => {
+  const input = { ...(existing || {}), ...(body || {}) };
+  const errors = [];
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+  
+  if (!input.deviceId || !DEVICE_ID_PATTERN.test(String(input.deviceId))) {
+    errors.push({ field: 'deviceId', message: 'is required (1-64 characters: letters, digits, _ . : -)' });
+  }
+  if (!ALERT_RULE_TYPES.includes(input.type)) {
+    errors.push({ field: 'type', message: `must be one of: ${ALERT_RULE_TYPES.join(', ')}` });
+  }
+  const field = input.field || 'waterPercentage';
+  if (!ALERT_FIELDS.includes(field)) {
+    errors.push({ field: 'field', message: `must be one of: ${ALERT_FIELDS.join(', ')}` });
+  }
+  if (!isNumber(input.threshold)) {
+    errors.push({ field: 'threshold', message: 'must be a number' });
+  }
+  const hysteresis = input.hysteresis === undefined ? 2 : input.hysteresis;
+  if (!isNumber(hysteresis) || hysteresis < 0) {
+    errors.push({ field: 'hysteresis', message: 'must be a non-negative number' });
+  }
+  const cooldownSeconds = input.cooldownSeconds === undefined ? 300 : input.cooldownSeconds;
+  if (!isNumber(cooldownSeconds) || cooldownSeconds < 0) {
+    errors.push({ field: 'cooldownSeconds', message: 'must be a non-negative number' });
+  }
+  const windowMinutes = input.windowMinutes === undefined ? 5 : input.windowMinutes;
+  if (input.type === 'drop' && (!isNumber(windowMinutes) || windowMinutes <= 0)) {
+    errors.push({ field: 'windowMinutes', message: 'must be a positive number' });
+  }
+  const webhookUrls = input.webhookUrls || [];
+  if (!Array.isArray(webhookUrls) || webhookUrls.some((url) => !/^https?:\/\/\S+$/.test(String(url)))) {
+    errors.push({ field: 'webhookUrls', message: 'must be a list of http(s) URLs' });
+  }
+  
+  return {
+    errors,
+    rule: {
+      ruleId: existing ? existing.ruleId : crypto.randomBytes(6).toString('hex'),
+      deviceId: String(input.deviceId),
+      name: input.name ? String(input.name) : null,
+      type: input.type,
+      field,
+      threshold: input.threshold,
+      hysteresis,
+      cooldownSeconds,
+      windowMinutes: input.type === 'drop' ? windowMinutes : null,
+      webhookUrls: webhookUrls.map(String),
+      enabled: input.enabled !== false,
+      createdAt: existing ? existing.createdAt : new Date().toISOString()
+    }
+  };
+};
+
+// Human-readable description of a rule condition
+const describeAlertRule = (rule) => {
+  if (rule.type === 'drop') {
+    return `${rule.field} dropped more than ${rule.threshold} in ${rule.windowMinutes} min`;
+  }
+  return `${rule.field} ${rule.type} ${rule.threshold}`;
+};
+
+// Returns how much a field fell over the rule window (oldest point in window - current)
+const getDropOverWindow = (key, rule, value, t) => {
+  const buffer = historyStore.get(key);
+  if (!buffer) return 0;
+  const since = t - rule.windowMinutes * 60 * 1000;
+  const oldest = buffer.toArray().find((point) => point.t >= since);
+  const oldValue = oldest ? parseFloat(oldest.data[rule.field]) : NaN;
+  return Number.isFinite(oldValue) ? oldValue - value : 0;
+};
+
+// Decides whether a rule is triggered / cleared for the current value
+const checkAlertRule = (key, rule, value, t) => {
+  if (rule.type === 'below') {
+    return { observed: value, triggered: value < rule.threshold, cleared: value >= rule.threshold + rule.hysteresis };
+  }
+  if (rule.type === 'above') {
+    return { observed: value, triggered: value > rule.threshold, cleared: value <= rule.threshold - rule.hysteresis };
+  }
+  const drop = getDropOverWindow(key, rule, value, t);
+  return { observed: drop, triggered: drop > rule.threshold, cleared: drop <= rule.threshold - rule.hysteresis };
+};
+
+// POSTs an alert to one webhook, retrying with exponential backoff
+const deliverWebhook = async (url, alert, delivery) => {
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    delivery.attempts = attempt;
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'User-Agent': 'waterTankTrack-alerts' },
+        body: JSON.stringify(alert),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      if (response.ok) {
+        delivery.status = 'delivered';
+        return;
+      }
+      delivery.lastError = `HTTP ${response.status}`;
+    } catch (error) {
+      delivery.lastError = error.message;
+    }
+    if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+      await new Promise((resolve) => setTimeout(resolve, WEBHOOK_BACKOFF_MS * 2 ** (attempt - 1)));
+    }
+  }
+  delivery.status = 'failed';
+  logger.warn(`[ALERT] Webhook delivery to ${url} failed after ${WEBHOOK_MAX_ATTEMPTS} attempts: ${delivery.lastError}`);
+};
+
+// Records, publishes and delivers a fired/resolved alert
+const emitAlert = (rule, status, observed, data, alertId) => {
+  const alert = {
+    alertId,
+    ruleId: rule.ruleId,
+    ruleName: rule.name,
+    deviceId: rule.deviceId,
+    status,
+    condition: rule.condition || describeAlertRule(rule),
+    field: rule.field,
+    threshold: rule.threshold,
+    observed: round2(observed),
+    reading: data,
+    timestamp: new Date().toISOString(),
+    deliveries: []
+  };
+  
+  const urls = [...new Set([...rule.webhookUrls, ...ALERT_WEBHOOK_URLS])];
+  alert.deliveries = urls.map((url) => ({ url, status: 'pending', attempts: 0, lastError: null }));
+  alertLog.push(alert);
+  
+  const { deliveries, ...payload } = alert;
+  publishEvent('alert', rule.deviceId, { alert: payload });
+  alert.deliveries.forEach((delivery) => {
+    deliverWebhook(delivery.url, payload, delivery).catch((error) => {
+      logger.error('[ERROR] Webhook delivery crashed:', error);
+    });
+  });
+  
+  logger.info(`[ALERT] ${status.toUpperCase()} ${rule.deviceId}: ${alert.condition} (observed ${alert.observed})`);
+  return alert;
+};
+
+// Evaluates all enabled rules of a device against a new reading
+const evaluateAlertRules = (key, data, receivedAt) => {
+  alertRules.forEach((rule) => {
+    if (!rule.enabled || rule.deviceId !== key) return;
+    const value = parseFloat(data[rule.field]);
+    if (!Number.isFinite(value)) return;
+    
+    const state = alertRuleState.get(rule.ruleId) || { active: false, lastFiredAt: 0, alertId: null };
+    alertRuleState.set(rule.ruleId, state);
+    const { observed, triggered, cleared } = checkAlertRule(key, rule, value, toEpochMs(data.timestamp, receivedAt));
+    
+    if (!state.active && triggered && receivedAt - state.lastFiredAt >= rule.cooldownSeconds * 1000) {
+      state.active = true;
+      state.lastFiredAt = receivedAt;
+      state.alertId = crypto.randomBytes(6).toString('hex');
+      emitAlert(rule, 'fired', observed, data, state.alertId);
+    } else if (state.active && cleared) {
+      state.active = false;
+      emitAlert(rule, 'resolved', observed, data, state.alertId);
+    }
+  });
+};
+
+/**
+ * Validates a reading and enforces the device binding of the credential,
+ * without storing it.
+ * 
+ * Lenient (compatibility) mode follows the device (see isLenientDevice).
+ * Options: auth (req.auth-like { type, keyId, deviceId }), origin (for log
+ * lines, e.g. "IP: 1.2.3.4").
+ * Returns { ok: true, data } or { ok: false, failure: { status, error, reason?, message, details? } }.
+ */
+const prepareReading = (body, { auth = null, origin = 'unknown' } = {}) => {
+  // The credential (or MQTT topic) names the device when the body doesn't
+  const input = auth && auth.deviceId && body && typeof body === 'object' && !Array.isArray(body) && isMissing(body.deviceId)
+    ? { ...body, deviceId: auth.deviceId }
+    : body;
+  const lenient = Boolean(input && typeof input === 'object') && isLenientDevice(input.deviceId);
+  const { data, errors } = validateReading(input, { lenient });
+  
+  if (errors.length > 0) {
+    logger.warn(`[VALIDATION] Rejected reading from ${origin}`, errors);
+    return {
+      ok: false,
+      failure: {
+        status: 400,
+        error: 'Validation failed',
+        message: errors.map((e) => `${e.field} ${e.message}`).join('; '),
+        details: errors
+      }
+    };
+  }
+  
+  // A per-device credential may only post readings for its own device
+  if (auth && auth.deviceId) {
+    if (data.deviceId === null) {
+      data.deviceId = auth.deviceId;
+    } else if (String(data.deviceId) !== auth.deviceId) {
+      incCounter('auth_failures_total', { reason: 'device-mismatch' });
+      // Security warnings are always logged (critical)
+      logger.security(`[SECURITY] Credential for ${auth.deviceId} used for device ${data.deviceId} from ${origin}`);
+      return {
+        ok: false,
+        failure: {
+          status: 403,
+          error: 'Device mismatch',
+          message: 'The deviceId in the body does not match the API key'
+        }
+      };
+    }
+  }
+  
+  // Checked per reading: a batch or MQTT message may name any device
+  if (needsSignature(auth, data.deviceId)) {
+    incCounter('auth_failures_total', { reason: 'hmac-required' });
+    // Security warnings are always logged (critical)
+    logger.security(`[SECURITY] Unsigned reading for HMAC device ${data.deviceId} from ${origin}`);
+    return {
+      ok: false,
+      failure: {
+        status: 403,
+        error: 'Signature required',
+        reason: 'hmac-required',
+        message: AUTH_FAILURE_MESSAGES['hmac-required']
+      }
+    };
+  }
+  
+  return { ok: true, data };
+};
+
+/**
+ * Ingest path shared by every transport (HTTP POST, MQTT): prepares the
+ * reading (see prepareReading, same options and failures) and stores it.
+ */
+const ingestReading = (body, options = {}) => {
+  const result = prepareReading(body, options);
+  if (!result.ok) return result;
+  const { data } = result;
+  
+  // Update the in-memory buffer entry and history for this device
+  storeReading(data);
+  
+  logger.debug('📡 Water Level Data Received', {
+    deviceId: String(data.deviceId),
+    waterLevelCm: data.waterLevelCm,
+    waterPercentage: data.waterPercentage
+  });
+  
+  return result;
+};
+
+// ============================================================================
+// BATCH INGESTION (Buffered Offline Readings)
+// ============================================================================
+// Devices that buffered readings during an outage replay them in one request.
+// - Each item needs a timestamp; items are deduped by deviceId + timestamp
+//   (within the batch and against stored history)
+// - Items are applied in timestamp order. Readings newer than the device's
+//   latest go through the normal path (latest, events, alerts); older ones
+//   are only inserted into history at their position, so a late-arriving
+//   old reading never overwrites a newer "latest".
+const BATCH_MAX_READINGS = parseInt(process.env.BATCH_MAX_READINGS, 10) || 500;
+const BATCH_BODY_LIMIT = '256kb';
+
+/**
+ * Ingests a list of readings. Returns per-item results in request order:
+ * { index, status: 'accepted' | 'duplicate' | 'rejected', deviceId, timestamp, error?, details? }
+ */
+const ingestBatch = (items, options) => {
+  const results = [];
+  const accepted = [];
+  const seenByDevice = new Map();
+  
+  items.forEach((item, index) => {
+    const hasTimestamp = item && typeof item === 'object' && !isMissing(item.timestamp);
+    const result = hasTimestamp
+      ? prepareReading(item, options)
+      : { ok: false, failure: { error: 'Validation failed', message: 'timestamp is required in batch readings' } };
+    
+    if (!result.ok) {
+      results.push({
+        index,
+        status: 'rejected',
+        deviceId: item && item.deviceId ? String(item.deviceId) : null,
+        timestamp: hasTimestamp ? item.timestamp : null,
+        error: result.failure.error,
+        reason: result.failure.reason,
+        message: result.failure.message,
+        details: result.failure.details
+      });
+      return;
+    }
+    
+    const { data } = result;
+    const key = getDeviceKey(data.deviceId);
+    const t = Date.parse(data.timestamp);
+    if (!seenByDevice.has(key)) seenByDevice.set(key, getHistoryTimestamps(key));
+    const seen = seenByDevice.get(key);
+    
+    if (seen.has(t)) {
+      results.push({ index, status: 'duplicate', deviceId: data.deviceId, timestamp: data.timestamp });
+      return;
+    }
+    seen.add(t);
+    results.push({ index, status: 'accepted', deviceId: data.deviceId, timestamp: data.timestamp });
+    accepted.push({ key, t, data });
+  });
+  
+  // Apply in timestamp order
+  accepted.sort((a, b) => a.t - b.t).forEach(({ key, t, data }) => {
+    const latestT = getLatestReadingTime(key);
+    if (latestT === null || t >= latestT) {
+      storeReading(data);
+    } else {
+      const receivedAt = Date.now();
+      filterReading(key, data, t, { updateState: false });
+      appendHistory(key, data, receivedAt);
+      storage.append({ type: 'reading', key, data, receivedAt });
+      incCounter('readings_accepted_total', { device_id: key });
+    }
+  });
+  
+  return results;
+};
+
+// ============================================================================
+// DEVICE OFFLINE WATCHDOG
+// ============================================================================
+// A background check marks devices that stopped posting:
+// - online:  last reading within staleAfterSeconds
+// - stale:   silent for staleAfterSeconds (default STALE_AFTER_SECONDS, 60)
+// - offline: silent for offlineAfterSeconds (default OFFLINE_AFTER_SECONDS, 300)
+// Transitions are published as "device-status" events. /health reports
+// "degraded" while any monitored device is offline.
+//
+// Per-device overrides: DEVICE_WATCHDOG="ESP32_001:30:120,..." (stale:offline
+// seconds) or PUT /api/admin/devices/:deviceId/watchdog.
+const STALE_AFTER_MS = (parseInt(process.env.STALE_AFTER_SECONDS, 10) || 60) * 1000;
+const OFFLINE_AFTER_MS = (parseInt(process.env.OFFLINE_AFTER_SECONDS, 10) || 300) * 1000;
+const WATCHDOG_INTERVAL_MS = (parseInt(process.env.WATCHDOG_INTERVAL_SECONDS, 10) || 10) * 1000;
+
+// deviceId -> { staleAfterMs, offlineAfterMs, monitored }
+const deviceWatchdogConfig = new Map();
+(process.env.DEVICE_WATCHDOG || '').split(',').filter(Boolean).forEach((entry) => {
+  const [deviceId, stale, offline] = entry.trim().split(':');
+  const staleAfterMs = parseInt(stale, 10) * 1000;
+  const offlineAfterMs = parseInt(offline, 10) * 1000;
+  if (deviceId && staleAfterMs > 0 && offlineAfterMs >= staleAfterMs) {
+    deviceWatchdogConfig.set(deviceId, { staleAfterMs, offlineAfterMs, monitored: true });
+  } else {
+    logger.error(`[WATCHDOG] Ignoring malformed DEVICE_WATCHDOG entry: ${entry}`);
+  }
+});
+
+const getWatchdogConfig = (key) =>
+  deviceWatchdogConfig.get(key) || { staleAfterMs: STALE_AFTER_MS, offlineAfterMs: OFFLINE_AFTER_MS, monitored: true };
+
+// Status of a device given the time since its last reading
+const computeDeviceStatus = (key, entry, now = Date.now()) => {
+  const { staleAfterMs, offlineAfterMs } = getWatchdogConfig(key);
+  const silentMs = now - entry.lastUpdateTimestamp;
+  if (silentMs >= offlineAfterMs) return 'offline';
+  if (silentMs >= staleAfterMs) return 'stale';
+  return 'online';
+};
+
+// Updates a device's status and publishes the transition, if any
+const updateDeviceStatus = (key, entry, now = Date.now()) => {
+  const status = computeDeviceStatus(key, entry, now);
+  if (status === entry.status) return;
+  
+  const previousStatus = entry.status;
+  entry.status = status;
+  publishEvent('device-status', key, {
+    status,
+    previousStatus,
+    lastSeen: new Date(entry.lastUpdateTimestamp).toISOString()
+  });
+  if (status === 'offline') {
+    logger.warn(`[WATCHDOG] Device ${key} is offline (last seen ${new Date(entry.lastUpdateTimestamp).toISOString()})`);
+  } else {
+    logger.info(`[WATCHDOG] Device ${key}: ${previousStatus || 'new'} -> ${status}`);
+  }
+};
+
+const watchdogInterval = setInterval(() => {
+  const now = Date.now();
+  deviceStore.forEach((entry, key) => updateDeviceStatus(key, entry, now));
+}, WATCHDOG_INTERVAL_MS);
+watchdogInterval.unref();
+
+// ============================================================================
+// DEVICE DOWNLINK (Queued Commands & Remote Config)
+// ============================================================================
+// Admins queue commands per device (POST /api/admin/devices/:deviceId/commands).
+// Devices that opt in (Accept: application/json or x-downlink: 1) receive
+// their open commands in the JSON response of POST /api/water-level and
+// acknowledge them on a later post ("acks" in the body). Old firmware keeps
+// getting the plain text "OK".
+// - Delivery is at least once: a command is resent until it is acknowledged
+//   or expires, so firmware should treat commands as idempotent
+// - status: pending -> delivered -> acked | failed, or expired (ttlSeconds)
+//   or cancelled (admin)
+// - type "config" changes device settings (DEVICE_CONFIG_FIELDS); any other
+//   type (e.g. "reboot") is passed to the firmware with its params as given
+// Delivery itself is not persisted: after a restart a delivered command is
+// delivered again.
+const DOWNLINK_DEFAULT_TTL_SECONDS = parseInt(process.env.DOWNLINK_DEFAULT_TTL_SECONDS, 10) || 24 * 60 * 60;
+const DOWNLINK_MAX_TTL_SECONDS = 30 * 24 * 60 * 60;
+const DOWNLINK_MAX_OPEN_COMMANDS = 20; // per device
+const DOWNLINK_MAX_PER_RESPONSE = 5;
+const DOWNLINK_HISTORY_SIZE = 50; // finished commands kept per device
+const COMMAND_TYPE_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+const COMMAND_PARAMS_MAX_BYTES = 1024;
+const COMMAND_RESULT_MAX_LENGTH = 200;
+const OPEN_COMMAND_STATUSES = ['pending', 'delivered'];
+// Types where only the newest open command matters (e.g. pump on/off): queuing
+// one cancels the open commands of that type, whoever queued them
+const SUPERSEDING_COMMAND_TYPES = ['pump'];
+
+// Settings a "config" command may change
+const DEVICE_CONFIG_FIELDS = {
+  reportIntervalSeconds: { min: 1, max: 86400 },
+  tankHeightCm: { min: 0, max: 10000, exclusiveMin: true },
+  calibrationOffsetCm: { min: -1000, max: 1000 }
+};
+
+// deviceId -> commands, oldest first
+const deviceCommands = new Map();
+
+const isOpenCommand = (command) => OPEN_COMMAND_STATUSES.includes(command.status);
+
+/**
+ * Validates a command for a device. Returns { command, errors }.
+ */
+const validateCommand = (deviceId, body) => {
+  const input = body || {};
+  const errors = [];
+  
+  const type = typeof input.type === 'string' ? input.type : '';
+  if (!COMMAND_TYPE_PATTERN.test(type)) {
+    errors.push({ field: 'type', message: 'must be 1-32 characters: lowercase letters, digits, _ - (e.g. "config", "reboot")' });
+  }
+  
+  const params = input.params === undefined ? {} : input.params;
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    errors.push({ field: 'params', message: 'must be an object' });
+  } else if (Buffer.byteLength(JSON.stringify(params)) > COMMAND_PARAMS_MAX_BYTES) {
+    errors.push({ field: 'params', message: `must be at most ${COMMAND_PARAMS_MAX_BYTES} bytes as JSON` });
+  } else if (type === 'config') {
+    if (Object.keys(params).length === 0) {
+      errors.push({ field: 'params', message: `must set at least one of: ${Object.keys(DEVICE_CONFIG_FIELDS).join(', ')}` });
+    }
+    Object.entries(params).forEach(([field, value]) => {
+      const range = DEVICE_CONFIG_FIELDS[field];
+      if (!range) {
+        errors.push({ field: `params.${field}`, message: `is not a config setting (${Object.keys(DEVICE_CONFIG_FIELDS).join(', ')})` });
+      } else if (typeof value !== 'number' || !Number.isFinite(value) || value < range.min ||
+        (range.exclusiveMin && value === range.min) || value > range.max) {
+        errors.push({ field: `params.${field}`, message: `must be a number from ${range.min} to ${range.max}${range.exclusiveMin ? ' (exclusive)' : ''}` });
+      }
+    });
+  }
+  
+  const ttlSeconds = input.ttlSeconds === undefined ? DOWNLINK_DEFAULT_TTL_SECONDS : input.ttlSeconds;
+  if (typeof ttlSeconds !== 'number' || !Number.isFinite(ttlSeconds) || ttlSeconds <= 0 || ttlSeconds > DOWNLINK_MAX_TTL_SECONDS) {
+    errors.push({ field: 'ttlSeconds', message: `must be a number of seconds from 1 to ${DOWNLINK_MAX_TTL_SECONDS}` });
+  }
+  
+  const now = Date.now();
+  return {
+    errors,
+    command: {
+      commandId: crypto.randomBytes(6).toString('hex'),
+      deviceId,
+      type,
+      params,
+      status: 'pending',
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttlSeconds * 1000).toISOString(),
+      deliveredAt: null,
+      deliveries: 0,
+      completedAt: null,
+      result: null
+    }
+  };
+};
+
+// Marks open commands past their expiry as expired
+const expireCommands = (commands, now = Date.now()) => {
+  commands.forEach((command) => {
+    if (isOpenCommand(command) && Date.parse(command.expiresAt) <= now) {
+      command.status = 'expired';
+      command.completedAt = command.expiresAt;
+      incCounter('device_commands_total', { status: 'expired' });
+    }
+  });
+};
+
+// Keeps every open command and the last DOWNLINK_HISTORY_SIZE finished ones
+const pruneCommands = (commands) => {
+  let finished = commands.filter((command) => !isOpenCommand(command)).length;
+  return commands.filter((command) => isOpenCommand(command) || finished-- <= DOWNLINK_HISTORY_SIZE);
+};
+
+// Commands of a device (expired ones marked), oldest first
+const getDeviceCommands = (deviceId) => {
+  const commands = deviceCommands.get(deviceId) || [];
+  expireCommands(commands);
+  return commands;
+};
+
+/**
+ * Queues a command - the only way commands are added, by admins and the pump
+ * controller alike. Open commands it supersedes are cancelled, and a device
+ * has at most DOWNLINK_MAX_OPEN_COMMANDS open commands.
+ * Returns false (nothing changed) if the device's queue is full.
+ */
+const queueCommand = (command, now = Date.now()) => {
+  const commands = getDeviceCommands(command.deviceId);
+  const superseded = SUPERSEDING_COMMAND_TYPES.includes(command.type)
+    ? commands.filter((existing) => existing.type === command.type && isOpenCommand(existing))
+    : [];
+  if (commands.filter(isOpenCommand).length - superseded.length >= DOWNLINK_MAX_OPEN_COMMANDS) {
+    return false;
+  }
+  
+  superseded.forEach((existing) => {
+    existing.status = 'cancelled';
+    existing.completedAt = new Date(now).toISOString();
+    existing.result = 'superseded';
+    incCounter('device_commands_total', { status: 'cancelled' });
+  });
+  deviceCommands.set(command.deviceId, pruneCommands([...commands, command]));
+  incCounter('device_commands_total', { status: 'pending' });
+  return true;
+};
+
+/**
+ * Open commands to send to a device in an ingest response (oldest first),
+ * marked as delivered. Returns the device view [{ commandId, type, params, expiresAt }].
+ */
+const takeOpenCommands = (deviceId) => {
+  const now = new Date().toISOString();
+  return getDeviceCommands(deviceId)
+    .filter(isOpenCommand)
+    .slice(0, DOWNLINK_MAX_PER_RESPONSE)
+    .map((command) => {
+      if (command.status === 'pending') {
+        command.status = 'delivered';
+        command.deliveredAt = now;
+        incCounter('device_commands_total', { status: 'delivered' });
+      }
+      command.deliveries++;
+      return { commandId: command.commandId, type: command.type, params: command.params, expiresAt: command.expiresAt };
+    });
+};
+
+/**
+ * Applies acknowledgements sent by a device: "acks": ["<commandId>", ...] or
+ * [{ "commandId", "status": "ok" | "error", "message" }]. Acks for commands of
+ * other devices or unknown ids are ignored; repeated acks are harmless.
+ * Returns the acknowledged commandIds.
+ */
+const acknowledgeCommands = (deviceId, acks) => {
+  if (!Array.isArray(acks) || acks.length === 0) return [];
+  const commands = getDeviceCommands(deviceId);
+  const acknowledged = [];
+  let changed = false;
+  
+  acks.slice(0, DOWNLINK_MAX_OPEN_COMMANDS).forEach((ack) => {
+    const commandId = ack && typeof ack === 'object' ? ack.commandId : ack;
+    const command = commands.find((c) => c.commandId === String(commandId));
+    if (!command) return;
+    acknowledged.push(command.commandId);
+    if (!isOpenCommand(command)) return;
+    
+    const failed = ack && typeof ack === 'object' && ack.status === 'error';
+    command.status = failed ? 'failed' : 'acked';
+    command.completedAt = new Date().toISOString();
+    command.result = ack && typeof ack === 'object' && ack.message !== undefined
+      ? String(ack.message).slice(0, COMMAND_RESULT_MAX_LENGTH)
+      : null;
+    incCounter('device_commands_total', { status: command.status });
+    changed = true;
+  });
+  
+  if (changed) persistCollection('deviceCommands');
+  return acknowledged;
+};
+
+// Whether the poster understands a JSON response with commands
+const wantsDownlink = (req) =>
+  /\bapplication\/json\b/i.test(req.headers.accept || '') || ['1', 'true'].includes(String(req.headers['x-downlink']).toLowerCase());
+
+// ============================================================================
+// TANK GEOMETRY (Volume in Litres)
+// ============================================================================
+// Percentage by height is only percentage by volume for straight-walled
+// tanks. A tank definition per device describes the real shape, so the
+// server can report volumeLitres and a true volumePercentage:
+// - vertical-cylinder:   diameterCm, heightCm
+// - cuboid:              lengthCm, widthCm, heightCm
+// - horizontal-cylinder: diameterCm, lengthCm (level range = diameter)
+// sensorOffsetCm is the distance from the sensor face down to the full level;
+// deadZoneCm is the sensor's blind range (closer echoes are unreliable, so
+// the level is capped there). The level comes from distanceCm, or from
+// waterLevelCm when the device doesn't send a distance.
+// Definitions: TANK_DEFINITIONS (JSON array) or PUT /api/admin/tanks/:deviceId.
+// Volume is computed at read time, so a corrected definition applies to
+// stored readings too.
+const TANK_SHAPES = ['vertical-cylinder', 'cuboid', 'horizontal-cylinder'];
+const TANK_DIMENSIONS = {
+  'vertical-cylinder': ['diameterCm', 'heightCm'],
+  cuboid: ['lengthCm', 'widthCm', 'heightCm'],
+  'horizontal-cylinder': ['diameterCm', 'lengthCm']
+};
+const CM3_PER_LITRE = 1000;
+
+// deviceId -> { deviceId, shape, <dimensions>, sensorOffsetCm, deadZoneCm, capacityLitres, updatedAt }
+const tankRegistry = new Map();
+
+// Height of the level range of a tank in cm
+const getTankHeightCm = (tank) => (tank.shape === 'horizontal-cylinder' ? tank.diameterCm : tank.heightCm);
+
+// Litres in a tank filled to a level (cm above the bottom)
+const volumeAtLevel = (tank, levelCm) => {
+  const h = Math.min(Math.max(levelCm, 0), getTankHeightCm(tank));
+  let cm3;
+  if (tank.shape === 'cuboid') {
+    cm3 = tank.lengthCm * tank.widthCm * h;
+  } else if (tank.shape === 'vertical-cylinder') {
+    cm3 = Math.PI * (tank.diameterCm / 2) ** 2 * h;
+  } else {
+    // Circular segment area times length
+    const r = tank.diameterCm / 2;
+    cm3 = tank.lengthCm * (r * r * Math.acos((r - h) / r) - (r - h) * Math.sqrt(2 * r * h - h * h));
+  }
+  return cm3 / CM3_PER_LITRE;
+};
+
+/**
+ * Validates a tank definition for a device.
+ * Returns { tank, errors } where errors is a list of { field, message };
+ * tank is null when errors is not empty.
+ */
+const validateTankDefinition = (deviceId, body) => {
+  const input = body || {};
+  const errors = [];
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+  
+  if (!DEVICE_ID_PATTERN.test(String(deviceId))) {
+    errors.push({ field: 'deviceId', message: 'must be 1-64 characters (letters, digits, _ . : -)' });
+  }
+  if (!TANK_SHAPES.includes(input.shape)) {
+    errors.push({ field: 'shape', message: `must be one of: ${TANK_SHAPES.join(', ')}` });
+  } else {
+    TANK_DIMENSIONS[input.shape].forEach((field) => {
+      if (!isNumber(input[field]) || input[field] <= 0) {
+        errors.push({ field, message: 'must be a positive number' });
+      }
+    });
+  }
+  const sensorOffsetCm = input.sensorOffsetCm === undefined ? 0 : input.sensorOffsetCm;
+  if (!isNumber(sensorOffsetCm) || sensorOffsetCm < 0) {
+    errors.push({ field: 'sensorOffsetCm', message: 'must be a non-negative number' });
+  }
+  const deadZoneCm = input.deadZoneCm === undefined ? 0 : input.deadZoneCm;
+  if (!isNumber(deadZoneCm) || deadZoneCm < 0) {
+    errors.push({ field: 'deadZoneCm', message: 'must be a non-negative number' });
+  }
+  if (errors.length > 0) return { tank: null, errors };
+  
+  const tank = { deviceId: String(deviceId), shape: input.shape };
+  TANK_DIMENSIONS[input.shape].forEach((field) => {
+    tank[field] = input[field];
+  });
+  tank.sensorOffsetCm = sensorOffsetCm;
+  tank.deadZoneCm = deadZoneCm;
+  tank.capacityLitres = round2(volumeAtLevel(tank, getTankHeightCm(tank)));
+  tank.updatedAt = new Date().toISOString();
+  return { tank, errors };
+};
+
+// Loads preconfigured tanks from TANK_DEFINITIONS='[{ "deviceId": ..., "shape": ... }]'
+const loadTankDefinitions = (json) => {
+  if (!json) return;
+  let definitions;
+  try {
+    definitions = JSON.parse(json);
+  } catch (error) {
+    logger.error(`[TANKS] Ignoring TANK_DEFINITIONS: ${error.message}`);
+    return;
+  }
+  (Array.isArray(definitions) ? definitions : []).forEach((definition, index) => {
+    const { tank, errors } = validateTankDefinition(definition && definition.deviceId, definition);
+    if (tank) {
+      tankRegistry.set(tank.deviceId, tank);
+    } else {
+      logger.error(`[TANKS] Ignoring malformed TANK_DEFINITIONS entry #${index + 1}:`, errors);
+    }
+  });
+};
+loadTankDefinitions(process.env.TANK_DEFINITIONS);
+
+// Level of a reading in cm above the tank bottom (null if it has none)
+const getTankLevelCm = (tank, data) => {
+  const height = getTankHeightCm(tank);
+  const distance = parseFloat(data.distanceCm);
+  const level = Number.isFinite(distance)
+    ? height - (Math.max(distance, tank.deadZoneCm) - tank.sensorOffsetCm)
+    : parseFloat(data.waterLevelCm);
+  return Number.isFinite(level) ? Math.min(Math.max(level, 0), height) : null;
+};
+
+/**
+ * Volume of a reading in the device's tank:
+ * { levelCm, volumeLitres, volumePercentage, capacityLitres }, or null
+ * without a tank definition (or without a level in the reading).
+ */
+const computeVolume = (key, data) => {
+  const tank = tankRegistry.get(key);
+  const levelCm = tank ? getTankLevelCm(tank, data) : null;
+  if (levelCm === null) return null;
+  
+  const litres = volumeAtLevel(tank, levelCm);
+  return {
+    levelCm: round2(levelCm),
+    volumeLitres: round2(litres),
+    volumePercentage: round2((litres / tank.capacityLitres) * 100),
+    capacityLitres: tank.capacityLitres
+  };
+};
+
+// Adds volumeLitres / volumePercentage to a reading (unchanged without a tank definition)
+const withVolume = (key, data) => {
+  const volume = computeVolume(key, data);
+  return volume ? { ...data, volumeLitres: volume.volumeLitres, volumePercentage: volume.volumePercentage } : data;
+};
+
+// Water level of a reading in cm: geometric level with a tank definition,
+// the reported waterLevelCm otherwise (NaN if neither)
+const getLevelCm = (key, data) => {
+  const tank = tankRegistry.get(key);
+  const level = tank ? getTankLevelCm(tank, data) : parseFloat(data.waterLevelCm);
+  return level === null ? NaN : level;
+};
+
+// ============================================================================
+// SENSOR NOISE FILTERING (Outlier / Anomaly Flagging)
+// ============================================================================
+// Ultrasonic sensors occasionally report spurious values (a 0 cm or 400 cm
+// echo from a ripple). Every in-order reading runs through a per-device
+// pipeline before it is stored:
+// 1. Range check: distance must be > 0, outside the tank's dead zone and not
+//    below the tank bottom; level must not exceed the tank height (tank
+//    definition, else tankHeightCm of the reading)
+// 2. Rate check: the level may not move faster than maxRateCmPerMinute
+//    (off by default). FILTER_MAX_CONSECUTIVE_ANOMALIES rate anomalies in a
+//    row are taken as a real step (e.g. a pump refilling) and accepted.
+// 3. Smoothing: none (default), median over the last `window` readings, or
+//    EMA with `alpha`
+// An anomalous reading keeps the last good filtered values. Stored readings
+// keep both: the main fields are filtered, `raw` holds what the device sent,
+// and `anomaly` / `anomalyReason` flag rejected values. Alerts, analytics
+// and events use the filtered values; read endpoints take ?values=raw.
+// Defaults: FILTER_MODE, FILTER_WINDOW, FILTER_EMA_ALPHA,
+// FILTER_MAX_RATE_CM_PER_MINUTE, FILTER_RANGE_CHECK; per device:
+// PUT /api/admin/devices/:deviceId/filter.
+const FILTER_MODES = ['none', 'median', 'ema'];
+const FILTERED_FIELDS = ['distanceCm', 'waterLevelCm', 'waterPercentage'];
+const FILTER_DEFAULTS = {
+  mode: FILTER_MODES.includes(process.env.FILTER_MODE) ? process.env.FILTER_MODE : 'none',
+  window: parseInt(process.env.FILTER_WINDOW, 10) || 5,
+  alpha: parseFloat(process.env.FILTER_EMA_ALPHA) || 0.3,
+  maxRateCmPerMinute: parseFloat(process.env.FILTER_MAX_RATE_CM_PER_MINUTE) || null,
+  rangeCheck: process.env.FILTER_RANGE_CHECK !== 'false'
+};
+const FILTER_MAX_CONSECUTIVE_ANOMALIES = 3;
+const MAX_FILTER_WINDOW = 50;
+
+// deviceId -> config overrides (same keys as FILTER_DEFAULTS)
+const deviceFilterConfig = new Map();
+
+// deviceId -> { windows: { field: [raw values] }, filtered: { field: value }, t, rateAnomalies }
+const filterState = new Map();
+
+const getFilterConfig = (key) => ({ ...FILTER_DEFAULTS, ...(deviceFilterConfig.get(key) || {}) });
+
+const getFilterState = (key) => {
+  let state = filterState.get(key);
+  if (!state) {
+    state = { windows: {}, filtered: {}, t: null, rateAnomalies: 0 };
+    filterState.set(key, state);
+  }
+  return state;
+};
+
+// Adds a raw value to a field's median window
+const pushFilterWindow = (state, field, value, size) => {
+  const values = state.windows[field] || [];
+  values.push(value);
+  state.windows[field] = values.slice(-size);
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Returns 'out-of-range' if a reading is physically impossible for its tank
+const checkReadingRange = (key, raw, tankHeightCm) => {
+  const tank = tankRegistry.get(key);
+  const height = tank ? getTankHeightCm(tank) : parseFloat(tankHeightCm);
+  const maxDistance = tank ? height + tank.sensorOffsetCm : height;
+  const distance = parseFloat(raw.distanceCm);
+  const level = parseFloat(raw.waterLevelCm);
+  
+  if (Number.isFinite(distance) && (distance <= 0 || (tank && distance < tank.deadZoneCm))) return 'out-of-range';
+  if (Number.isFinite(distance) && Number.isFinite(maxDistance) && distance > maxDistance) return 'out-of-range';
+  if (Number.isFinite(level) && Number.isFinite(height) && level > height) return 'out-of-range';
+  return null;
+};
+
+// Returns 'rate-of-change' if the level moved faster than allowed since the last good reading
+const checkReadingRate = (config, state, raw, t) => {
+  if (!config.maxRateCmPerMinute || state.t === null) return null;
+  const field = Number.isFinite(parseFloat(raw.distanceCm)) ? 'distanceCm' : 'waterLevelCm';
+  const value = parseFloat(raw[field]);
+  const previous = state.filtered[field];
+  if (!Number.isFinite(value) || previous === undefined) return null;
+  
+  const minutes = Math.max(t - state.t, 1000) / 60000;
+  return Math.abs(value - previous) / minutes > config.maxRateCmPerMinute ? 'rate-of-change' : null;
+};
+
+/**
+ * Runs a reading through the device's filter pipeline (see above), in place:
+ * sets data.raw, data.anomaly, data.anomalyReason and the filtered fields.
+ * With updateState: false (late backfilled readings) only the range check runs
+ * and the values are kept as sent.
+ */
+const filterReading = (key, data, t, { updateState = true } = {}) => {
+  const config = getFilterConfig(key);
+  const raw = {};
+  FILTERED_FIELDS.forEach((field) => {
+    raw[field] = data[field];
+  });
+  data.raw = raw;
+  
+  let reason = config.rangeCheck ? checkReadingRange(key, raw, data.tankHeightCm) : null;
+  if (!updateState) {
+    data.anomaly = reason !== null;
+    data.anomalyReason = reason;
+    return data;
+  }
+  
+  const state = getFilterState(key);
+  if (!reason) {
+    reason = checkReadingRate(config, state, raw, t);
+    state.rateAnomalies = reason ? state.rateAnomalies + 1 : 0;
+    if (state.rateAnomalies >= FILTER_MAX_CONSECUTIVE_ANOMALIES) {
+      // Sustained change: a real step, start over from here
+      reason = null;
+      state.rateAnomalies = 0;
+      state.windows = {};
+      state.filtered = {};
+    }
+  }
+  
+  if (reason) {
+    FILTERED_FIELDS.forEach((field) => {
+      if (state.filtered[field] !== undefined) data[field] = state.filtered[field];
+    });
+    incCounter('readings_anomalies_total', { device_id: key, reason });
+  } else {
+    FILTERED_FIELDS.forEach((field) => {
+      const value = parseFloat(raw[field]);
+      if (!Number.isFinite(value)) return;
+      pushFilterWindow(state, field, value, config.window);
+      const previous = state.filtered[field];
+      let filtered = value;
+      if (config.mode === 'median') {
+        filtered = round2(median(state.windows[field]));
+      } else if (config.mode === 'ema' && previous !== undefined) {
+        filtered = round2(config.alpha * value + (1 - config.alpha) * previous);
+      }
+      state.filtered[field] = filtered;
+      // 'none' keeps the value exactly as sent (lenient devices may send strings)
+      if (config.mode !== 'none') data[field] = filtered;
+    });
+    state.t = t;
+  }
+  
+  data.anomaly = reason !== null;
+  data.anomalyReason = reason;
+  return data;
+};
+
+// Rebuilds the filter state from a stored reading (restore after a restart)
+const primeFilter = (key, data, t) => {
+  if (data.anomaly) return;
+  const state = getFilterState(key);
+  const { window } = getFilterConfig(key);
+  FILTERED_FIELDS.forEach((field) => {
+    const filtered = parseFloat(data[field]);
+    const raw = parseFloat(data.raw ? data.raw[field] : data[field]);
+    if (Number.isFinite(filtered)) state.filtered[field] = filtered;
+    if (Number.isFinite(raw)) pushFilterWindow(state, field, raw, window);
+  });
+  state.t = t;
+};
+
+/**
+ * Validates filter settings (merged over the device's current settings).
+ * Returns { config, errors } where errors is a list of { field, message }.
+ */
+const validateFilterConfig = (body, current) => {
+  const input = { ...current, ...(body || {}) };
+  const errors = [];
+  
+  if (!FILTER_MODES.includes(input.mode)) {
+    errors.push({ field: 'mode', message: `must be one of: ${FILTER_MODES.join(', ')}` });
+  }
+  if (!Number.isInteger(input.window) || input.window < 1 || input.window > MAX_FILTER_WINDOW) {
+    errors.push({ field: 'window', message: `must be an integer from 1 to ${MAX_FILTER_WINDOW}` });
+  }
+  if (typeof input.alpha !== 'number' || !(input.alpha > 0 && input.alpha <= 1)) {
+    errors.push({ field: 'alpha', message: 'must be a number greater than 0 and at most 1' });
+  }
+  if (input.maxRateCmPerMinute !== null && !(typeof input.maxRateCmPerMinute === 'number' && input.maxRateCmPerMinute > 0)) {
+    errors.push({ field: 'maxRateCmPerMinute', message: 'must be a positive number or null (off)' });
+  }
+  if (typeof input.rangeCheck !== 'boolean') {
+    errors.push({ field: 'rangeCheck', message: 'must be true or false' });
+  }
+  
+  return {
+    errors,
+    config: {
+      mode: input.mode,
+      window: input.window,
+      alpha: input.alpha,
+      maxRateCmPerMinute: input.maxRateCmPerMinute,
+      rangeCheck: input.rangeCheck
+    }
+  };
+};
+
+// Returns a reading with its raw values in the main fields (for ?values=raw)
+const toRawReading = (data) => (data.raw ? { ...data, ...data.raw } : data);
+
+// Parses the ?values= query parameter: 'filtered' (default) or 'raw', null if invalid
+const parseValuesParam = (value) => {
+  if (value === undefined || value === '') return 'filtered';
+  return ['raw', 'filtered'].includes(value) ? value : null;
+};
+
+// ============================================================================
+// CONSUMPTION & FILL-RATE ANALYTICS
+// ============================================================================
+// - Rate: least-squares slope of waterLevelCm / waterPercentage over the last
+//   ANALYTICS_WINDOW_MINUTES of history (smooths out sensor jitter)
+// - Time to empty / full: current level divided by the smoothed rate
+// - Consumption: sum of level drops per UTC day, ignoring rises (refills).
+//   A deadband keeps sensor jitter from adding up as fake consumption.
+//   Daily totals are kept separately from history so weekly totals survive
+//   HISTORY_MAX_AGE_HOURS.
+// Litres come from the tank definition (exact for any shape) or LITRES_PER_CM
+// (tank cross-section); otherwise only cm is reported.
+const ANALYTICS_WINDOW_MS = (parseInt(process.env.ANALYTICS_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+const LITRES_PER_CM = parseFloat(process.env.LITRES_PER_CM) || null;
+const CONSUMPTION_DEADBAND_CM = 0.5;
+const STEADY_RATE_CM_PER_HOUR = 0.5; // Below this the tank counts as steady
+const CONSUMPTION_DAYS_KEPT = 8;
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// deviceId -> { refLevel, days: Map<'YYYY-MM-DD', cm>, litres: Map<'YYYY-MM-DD', litres> }
+// (litres per day are only tracked for devices with a tank definition)
+const consumptionStore = new Map();
+
+// Litres for a height difference in cm (null when the tank size is unknown)
+const cmToLitres = (cm) => (LITRES_PER_CM ? round2(cm * LITRES_PER_CM) : null);
+
+// Tracks level drops per UTC day for a device (called on every stored reading)
+const updateConsumption = (key, data, t) => {
+  const level = getLevelCm(key, data);
+  if (!Number.isFinite(level)) return;
+  
+  let tracker = consumptionStore.get(key);
+  if (!tracker) {
+    tracker = { refLevel: level, days: new Map(), litres: new Map() };
+    consumptionStore.set(key, tracker);
+    return;
+  }
+  
+  if (level < tracker.refLevel - CONSUMPTION_DEADBAND_CM) {
+    const day = new Date(t).toISOString().slice(0, 10);
+    tracker.days.set(day, round2((tracker.days.get(day) || 0) + tracker.refLevel - level));
+    const tank = tankRegistry.get(key);
+    if (tank) {
+      const litres = volumeAtLevel(tank, tracker.refLevel) - volumeAtLevel(tank, level);
+      tracker.litres.set(day, round2((tracker.litres.get(day) || 0) + litres));
+    }
+    tracker.refLevel = level;
+    // Keep only the most recent days
+    if (tracker.days.size > CONSUMPTION_DAYS_KEPT) {
+      const oldest = Array.from(tracker.days.keys()).sort()[0];
+      tracker.days.delete(oldest);
+      tracker.litres.delete(oldest);
+    }
+  } else if (level > tracker.refLevel + CONSUMPTION_DEADBAND_CM) {
+    // Refill (or upward noise): move the reference without counting consumption
+    tracker.refLevel = level;
+  }
+};
+
+// Re-bases a device's consumption tracker after its tank definition changed,
+// so the switch between reported and geometric level isn't counted as usage
+const rebaseConsumption = (key) => {
+  const tracker = consumptionStore.get(key);
+  const entry = deviceStore.get(key);
+  const level = entry ? getLevelCm(key, entry.data) : NaN;
+  if (tracker && Number.isFinite(level)) tracker.refLevel = level;
+};
+
+// Least-squares slope of a value in units per hour (null if fewer than 2 values)
+const slopePerHour = (points, valueOf) => {
+  const values = points
+    .map((point) => ({ x: point.t / MS_PER_HOUR, y: valueOf(point) }))
+    .filter((value) => Number.isFinite(value.y));
+  if (values.length < 2) return null;
+  
+  const meanX = values.reduce((sum, v) => sum + v.x, 0) / values.length;
+  const meanY = values.reduce((sum, v) => sum + v.y, 0) / values.length;
+  let numerator = 0;
+  let denominator = 0;
+  values.forEach((v) => {
+    numerator += (v.x - meanX) * (v.y - meanY);
+    denominator += (v.x - meanX) ** 2;
+  });
+  return denominator === 0 ? null : numerator / denominator;
+};
+
+// Hours until a level is reached at a given rate, with ETA (null if not heading there)
+const estimateTime = (distanceCm, rateCmPerHour, now) => {
+  if (!Number.isFinite(distanceCm) || rateCmPerHour === null || Math.abs(rateCmPerHour) < STEADY_RATE_CM_PER_HOUR) {
+    return { hours: null, at: null };
+  }
+  const hours = distanceCm / rateCmPerHour;
+  if (hours < 0) return { hours: null, at: null };
+  return { hours: round2(hours), at: new Date(now + hours * MS_PER_HOUR).toISOString() };
+};
+
+/**
+ * Computes analytics for a device from its history and consumption tracker.
+ * Returns null if the device has no history.
+ */
+const computeAnalytics = (key, now = Date.now()) => {
+  const buffer = historyStore.get(key);
+  const entry = deviceStore.get(key);
+  if (!buffer || !entry) return null;
+  
+  const all = buffer.toArray();
+  const lastT = all.length > 0 ? all[all.length - 1].t : now;
+  const windowPoints = all.filter((point) => point.t >= lastT - ANALYTICS_WINDOW_MS);
+  
+  const tank = tankRegistry.get(key);
+  const cmPerHour = slopePerHour(windowPoints, (point) => getLevelCm(key, point.data));
+  const percentPerHour = slopePerHour(windowPoints, (point) => parseFloat(point.data.waterPercentage));
+  const litresPerHour = tank
+    ? slopePerHour(windowPoints, (point) => (computeVolume(key, point.data) || {}).volumeLitres)
+    : cmPerHour === null ? null : cmToLitres(cmPerHour);
+  const level = getLevelCm(key, entry.data);
+  const tankHeight = tank ? getTankHeightCm(tank) : parseFloat(entry.data.tankHeightCm);
+  
+  let trend = null;
+  if (cmPerHour !== null) {
+    if (cmPerHour >= STEADY_RATE_CM_PER_HOUR) trend = 'filling';
+    else if (cmPerHour <= -STEADY_RATE_CM_PER_HOUR) trend = 'draining';
+    else trend = 'steady';
+  }
+  
+  const toEmpty = estimateTime(level, cmPerHour === null ? null : -cmPerHour, now);
+  const toFull = estimateTime(tankHeight - level, cmPerHour, now);
+  
+  const tracker = consumptionStore.get(key);
+  const today = new Date(now).toISOString().slice(0, 10);
+  const weekStart = new Date(now - 6 * 24 * MS_PER_HOUR).toISOString().slice(0, 10);
+  const byDay = tracker
+    ? Array.from(tracker.days.entries()).sort(([a], [b]) => (a < b ? -1 : 1)).map(([date, cm]) => ({
+      date,
+      cm,
+      litres: tank ? tracker.litres.get(date) || 0 : cmToLitres(cm)
+    }))
+    : [];
+  const sumDays = (days, field) => days.reduce((sum, day) => sum + day[field], 0);
+  const todayDays = byDay.filter((day) => day.date === today);
+  const weekDays = byDay.filter((day) => day.date >= weekStart);
+  const todayCm = sumDays(todayDays, 'cm');
+  const weekCm = sumDays(weekDays, 'cm');
+  
+  return {
+    windowMinutes: ANALYTICS_WINDOW_MS / 60000,
+    sampleCount: windowPoints.length,
+    rate: {
+      cmPerHour: cmPerHour === null ? null : round2(cmPerHour),
+      percentPerHour: percentPerHour === null ? null : round2(percentPerHour),
+      litresPerHour: litresPerHour === null ? null : round2(litresPerHour),
+      trend
+    },
+    volume: computeVolume(key, entry.data),
+    timeToEmptyHours: toEmpty.hours,
+    emptyAt: toEmpty.at,
+    timeToFullHours: toFull.hours,
+    fullAt: toFull.at,
+    consumption: {
+      todayCm: round2(todayCm),
+      todayLitres: tank ? round2(sumDays(todayDays, 'litres')) : cmToLitres(todayCm),
+      last7DaysCm: round2(weekCm),
+      last7DaysLitres: tank ? round2(sumDays(weekDays, 'litres')) : cmToLitres(weekCm),
+      byDay
+    }
+  };
+};
+
+// ============================================================================
+// READING REPORTS (Periodic Summaries & Export)
+// ============================================================================
+// Both read a device's stored readings one at a time (storage.readReadings:
+// the monthly archive with STORAGE_ADAPTER=file, otherwise only the in-memory
+// history), so a month of readings is never held in memory.
+// - Summary: per day, week (Monday to Sunday) or month in a time zone
+//   (?tz=, default REPORT_TIMEZONE): min / avg / max level, refills and
+//   estimated consumption. Flagged anomalies only count as `anomalies`.
+//   Consumption uses the deadband of CONSUMPTION & FILL-RATE ANALYTICS; a
+//   refill is a rise of REFILL_MIN_RISE_CM from the lowest level since the
+//   previous refill. Periods at the edges of the range may be partial.
+// - Export: CSV or NDJSON, written in chunks with backpressure.
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || 'UTC';
+const REFILL_MIN_RISE_CM = parseFloat(process.env.REFILL_MIN_RISE_CM) || 5;
+// Range of a summary without ?from, in days back from ?to
+const SUMMARY_DEFAULT_DAYS = { day: 31, week: 12 * 7, month: 366 };
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+const EXPORT_COLUMNS = [
+  'timestamp', 'receivedAt', 'deviceId', 'distanceCm', 'waterLevelCm', 'waterPercentage',
+  'tankHeightCm', 'volumeLitres', 'volumePercentage', 'anomaly', 'anomalyReason'
+];
+const EXPORT_CHUNK_SIZE = 64 * 1024;
+// Every UTC offset is a multiple of 15 minutes, so the local date can't
+// change within a UTC quarter hour
+const QUARTER_HOUR_MS = 15 * 60 * 1000;
+
+// True if the runtime knows an IANA time zone such as Europe/Berlin
+const isValidTimeZone = (tz) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Returns t => label of the period containing t in a time zone:
+ * 'YYYY-MM-DD' (day), date of the week's Monday (week) or 'YYYY-MM' (month).
+ */
+const createPeriodLabeler = (period, tz) => {
+  const format = new Intl.DateTimeFormat('en-CA', { timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit' });
+  let cachedQuarter = null;
+  let cachedLabel = null;
+  
+  return (t) => {
+    const quarter = Math.floor(t / QUARTER_HOUR_MS);
+    if (quarter === cachedQuarter) return cachedLabel;
+    
+    const parts = {};
+    format.formatToParts(new Date(t)).forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+    let label = `${parts.year}-${parts.month}-${parts.day}`;
+    if (period === 'month') {
+      label = label.slice(0, 7);
+    } else if (period === 'week') {
+      const date = new Date(Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day)));
+      date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+      label = date.toISOString().slice(0, 10);
+    }
+    cachedQuarter = quarter;
+    cachedLabel = label;
+    return label;
+  };
+};
+
+// Running min/avg/max (same shape as summarizeField)
+const createStat = () => ({ min: Infinity, max: -Infinity, sum: 0, count: 0 });
+const addStat = (stat, value) => {
+  if (!Number.isFinite(value)) return;
+  stat.min = Math.min(stat.min, value);
+  stat.max = Math.max(stat.max, value);
+  stat.sum += value;
+  stat.count++;
+};
+const formatStat = (stat) => (stat.count === 0 ? null : { min: stat.min, avg: round2(stat.sum / stat.count), max: stat.max });
+
+/**
+ * Summarizes a device's readings (async iterable of { t, data }, oldest
+ * first) per period. Returns the periods that have readings, oldest first.
+ */
+const summarizeReadings = async (key, readings, period, tz) => {
+  const labelOf = createPeriodLabeler(period, tz);
+  const tank = tankRegistry.get(key);
+  const periods = new Map();
+  // Consumption and refill state carries over period boundaries
+  let refLevel = null;
+  let lowLevel = null;
+  let peakLevel = null; // Set while a refill is under way
+  let lastT = -Infinity;
+  
+  for await (const { t, data } of readings) {
+    const label = labelOf(t);
+    let summary = periods.get(label);
+    if (!summary) {
+      summary = {
+        period: label,
+        readings: 0,
+        anomalies: 0,
+        first: t,
+        last: t,
+        waterLevelCm: createStat(),
+        waterPercentage: createStat(),
+        refills: 0,
+        consumptionCm: 0,
+        consumptionLitres: 0
+      };
+      periods.set(label, summary);
+    }
+    summary.readings++;
+    summary.first = Math.min(summary.first, t);
+    summary.last = Math.max(summary.last, t);
+    if (data.anomaly) {
+      summary.anomalies++;
+      continue;
+    }
+    addStat(summary.waterLevelCm, parseFloat(data.waterLevelCm));
+    addStat(summary.waterPercentage, parseFloat(data.waterPercentage));
+    
+    // Consumption and refills need time order: late readings only count in the stats
+    const level = getLevelCm(key, data);
+    if (t < lastT || !Number.isFinite(level)) continue;
+    lastT = t;
+    if (refLevel === null) {
+      refLevel = level;
+      lowLevel = level;
+      continue;
+    }
+    
+    if (level < refLevel - CONSUMPTION_DEADBAND_CM) {
+      summary.consumptionCm += refLevel - level;
+      if (tank) summary.consumptionLitres += volumeAtLevel(tank, refLevel) - volumeAtLevel(tank, level);
+      refLevel = level;
+    } else if (level > refLevel + CONSUMPTION_DEADBAND_CM) {
+      refLevel = level;
+    }
+    
+    if (peakLevel === null) {
+      lowLevel = Math.min(lowLevel, level);
+      if (level >= lowLevel + REFILL_MIN_RISE_CM) {
+        summary.refills++;
+        peakLevel = level;
+      }
+    } else if (level > peakLevel) {
+      peakLevel = level;
+    } else if (level < peakLevel - CONSUMPTION_DEADBAND_CM) {
+      // Draining again: the refill is over
+      peakLevel = null;
+      lowLevel = level;
+    }
+  }
+  
+  return Array.from(periods.values())
+    .sort((a, b) => (a.period < b.period ? -1 : 1))
+    .map((summary) => ({
+      period: summary.period,
+      readings: summary.readings,
+      anomalies: summary.anomalies,
+      firstReading: new Date(summary.first).toISOString(),
+      lastReading: new Date(summary.last).toISOString(),
+      waterLevelCm: formatStat(summary.waterLevelCm),
+      waterPercentage: formatStat(summary.waterPercentage),
+      refills: summary.refills,
+      consumption: {
+        cm: round2(summary.consumptionCm),
+        litres: tank ? round2(summary.consumptionLitres) : cmToLitres(summary.consumptionCm)
+      }
+    }));
+};
+
+// Export row of a stored reading (volume from the current tank definition)
+const toExportRow = (key, point, values) => {
+  const data = withVolume(key, values === 'raw' ? toRawReading(point.data) : point.data);
+  return {
+    timestamp: data.timestamp,
+    receivedAt: new Date(point.receivedAt).toISOString(),
+    deviceId: data.deviceId,
+    distanceCm: data.distanceCm,
+    waterLevelCm: data.waterLevelCm,
+    waterPercentage: data.waterPercentage,
+    tankHeightCm: data.tankHeightCm,
+    volumeLitres: data.volumeLitres === undefined ? null : data.volumeLitres,
+    volumePercentage: data.volumePercentage === undefined ? null : data.volumePercentage,
+    anomaly: Boolean(data.anomaly),
+    anomalyReason: data.anomalyReason || null
+  };
+};
+
+// One CSV cell: quoted when needed, and text that a spreadsheet would run as
+// a formula (=, +, -, @) is prefixed with '
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !Number.isFinite(Number(text))) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Resolves once a response can take more data, or the client went away
+const waitForDrain = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+// ============================================================================
+// PUMP CONTROL (Automatic Fill with Safety Interlocks)
+// ============================================================================
+// A controller per tank (keyed by the tank's sensor deviceId) switches a pump
+// relay on another device. Decisions are made on each accepted reading of the
+// tank and on a periodic check:
+// - auto:   on below lowPercent, off at highPercent (hysteresis in between)
+// - manual override (on / off, optionally for durationMinutes) replaces the
+//   thresholds, except that the pump still stops at highPercent. A manual
+//   "on" fills the tank once: stopping at highPercent ends the override, so
+//   the pump doesn't restart on the next reading just below it.
+// - percentages are by volume when the tank has a definition (see TANK
+//   GEOMETRY), else by height
+// - interlocks, in every mode: the pump stops after maxRunMinutes, and after
+//   dryRunMinutes without a level rise of minRiseCm (dry pump, no water or a
+//   silent sensor). Both lock the controller out and fire an alert until an
+//   admin resets it. After any stop the pump stays off for minOffMinutes
+//   (relay and motor protection against short-cycling).
+// Anomalous readings (see SENSOR NOISE FILTERING) and readings older than
+// PUMP_MAX_READING_AGE_SECONDS (e.g. replayed batches) never switch the pump.
+// Switching queues a "pump" command ({ state: "on" | "off", reason }) for the
+// relay device (see DEVICE DOWNLINK), superseding older open pump commands;
+// the relay polls POST /api/devices/:deviceId/commands. Every decision and
+// admin action is recorded with its reading in the pump audit log.
+const PUMP_AUDIT_SIZE = parseInt(process.env.PUMP_AUDIT_SIZE, 10) || 1000;
+const PUMP_CHECK_INTERVAL_MS = (parseInt(process.env.PUMP_CHECK_INTERVAL_SECONDS, 10) || 10) * 1000;
+const PUMP_MAX_READING_AGE_MS = (parseInt(process.env.PUMP_MAX_READING_AGE_SECONDS, 10) || 120) * 1000;
+// A late "on" must not start the pump long after the decision
+const PUMP_ON_COMMAND_TTL_SECONDS = 300;
+const PUMP_OVERRIDE_MODES = ['auto', 'on', 'off'];
+
+// tank deviceId -> { deviceId, relayDeviceId, lowPercent, highPercent, maxRunMinutes,
+//   dryRunMinutes, minRiseCm, minOffMinutes, enabled, override: { mode, until } | null, createdAt, updatedAt }
+const pumpControllers = new Map();
+// tank deviceId -> { pumpOn, since, stoppedAt, riseCheck: { t, levelCm } | null,
+//   lockout: { reason, at, alertId } | null, commandId }
+const pumpState = new Map();
+// Decisions and admin actions, oldest first
+const pumpAuditLog = createRingBuffer(PUMP_AUDIT_SIZE);
+
+const getPumpState = (deviceId) => {
+  if (!pumpState.has(deviceId)) {
+    pumpState.set(deviceId, { pumpOn: false, since: null, stoppedAt: null, riseCheck: null, lockout: null, commandId: null });
+  }
+  return pumpState.get(deviceId);
+};
+
+/**
+ * Validates a controller definition (for create, or update when existing is given).
+ * Returns { controller, errors }.
+ */
+const validatePumpController = (deviceId, body, existing = null) => {
+  const input = { ...(existing || {}), ...(body || {}) };
+  const errors = [];
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+  const withDefault = (value, fallback) => (value === undefined ? fallback : value);
+  
+  if (!input.relayDeviceId || !DEVICE_ID_PATTERN.test(String(input.relayDeviceId))) {
+    errors.push({ field: 'relayDeviceId', message: 'is required (1-64 characters: letters, digits, _ . : -)' });
+  }
+  const lowPercent = withDefault(input.lowPercent, 20);
+  const highPercent = withDefault(input.highPercent, 90);
+  if (!isNumber(lowPercent) || lowPercent < 0 || lowPercent > 100) {
+    errors.push({ field: 'lowPercent', message: 'must be a number from 0 to 100' });
+  }
+  if (!isNumber(highPercent) || highPercent < 0 || highPercent > 100) {
+    errors.push({ field: 'highPercent', message: 'must be a number from 0 to 100' });
+  } else if (isNumber(lowPercent) && highPercent <= lowPercent) {
+    errors.push({ field: 'highPercent', message: 'must be greater than lowPercent' });
+  }
+  const maxRunMinutes = withDefault(input.maxRunMinutes, 60);
+  if (!isNumber(maxRunMinutes) || maxRunMinutes <= 0 || maxRunMinutes > 24 * 60) {
+    errors.push({ field: 'maxRunMinutes', message: 'must be a number of minutes from 1 to 1440' });
+  }
+  const dryRunMinutes = withDefault(input.dryRunMinutes, 10);
+  if (!isNumber(dryRunMinutes) || dryRunMinutes <= 0) {
+    errors.push({ field: 'dryRunMinutes', message: 'must be a positive number' });
+  } else if (isNumber(maxRunMinutes) && dryRunMinutes > maxRunMinutes) {
+    errors.push({ field: 'dryRunMinutes', message: 'must not be greater than maxRunMinutes' });
+  }
+  const minRiseCm = withDefault(input.minRiseCm, 1);
+  if (!isNumber(minRiseCm) || minRiseCm <= 0) {
+    errors.push({ field: 'minRiseCm', message: 'must be a positive number' });
+  }
+  const minOffMinutes = withDefault(input.minOffMinutes, 5);
+  if (!isNumber(minOffMinutes) || minOffMinutes < 0 || minOffMinutes > 24 * 60) {
+    errors.push({ field: 'minOffMinutes', message: 'must be a number of minutes from 0 to 1440' });
+  }
+  
+  const now = new Date().toISOString();
+  return {
+    errors,
+    controller: {
+      deviceId,
+      relayDeviceId: String(input.relayDeviceId),
+      lowPercent,
+      highPercent,
+      maxRunMinutes,
+      dryRunMinutes,
+      minRiseCm,
+      minOffMinutes,
+      enabled: input.enabled !== false,
+      override: existing ? existing.override : null,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    }
+  };
+};
+
+// Effective mode of a controller (an expired override counts as auto)
+const getPumpMode = (controller, now = Date.now()) => {
+  const { override } = controller;
+  if (!override || (override.until && Date.parse(override.until) <= now)) return 'auto';
+  return override.mode;
+};
+
+// Public view of a controller with its runtime state
+const formatPumpController = (controller) => {
+  const state = getPumpState(controller.deviceId);
+  const command = state.commandId
+    ? getDeviceCommands(controller.relayDeviceId).find((c) => c.commandId === state.commandId)
+    : null;
+  return {
+    ...controller,
+    mode: getPumpMode(controller),
+    pumpOn: state.pumpOn,
+    runningSince: state.since ? new Date(state.since).toISOString() : null,
+    lockout: state.lockout ? { reason: state.lockout.reason, at: new Date(state.lockout.at).toISOString() } : null,
+    relayCommand: command ? { commandId: command.commandId, state: command.params.state, status: command.status } : null
+  };
+};
+
+// Fill percentage the controller decides on: by volume with a tank definition
+const getPumpPercent = (key, data) => {
+  const volume = computeVolume(key, data);
+  return volume ? volume.volumePercentage : parseFloat(data.waterPercentage);
+};
+
+// Reading fields kept in the audit log
+const toAuditReading = (data) => {
+  if (!data) return null;
+  const volume = computeVolume(getDeviceKey(data.deviceId), data);
+  return {
+    timestamp: data.timestamp,
+    waterLevelCm: data.waterLevelCm,
+    waterPercentage: data.waterPercentage,
+    volumePercentage: volume ? volume.volumePercentage : null,
+    anomaly: Boolean(data.anomaly)
+  };
+};
+
+// Audit entries are appended to storage one by one (record type "pump-audit")
+const recordPumpAudit = (controller, entry) => {
+  const state = getPumpState(controller.deviceId);
+  const auditEntry = {
+    auditId: crypto.randomBytes(6).toString('hex'),
+    timestamp: new Date().toISOString(),
+    deviceId: controller.deviceId,
+    relayDeviceId: controller.relayDeviceId,
+    mode: getPumpMode(controller),
+    pumpOn: state.pumpOn,
+    actor: 'controller',
+    reading: null,
+    commandId: null,
+    ...entry
+  };
+  pumpAuditLog.push(auditEntry);
+  storage.append({ type: 'pump-audit', entry: auditEntry });
+};
+
+// Pseudo alert rule for interlock trips (shows up in /api/alerts like rule alerts)
+const getPumpAlertRule = (controller, condition) => ({
+  ruleId: `pump:${controller.deviceId}`,
+  name: 'Pump interlock',
+  deviceId: controller.deviceId,
+  field: 'waterLevelCm',
+  threshold: null,
+  condition,
+  webhookUrls: []
+});
+
+/**
+ * Switches the pump of a controller: queues the relay command (superseding
+ * open pump commands), updates the state and records the decision.
+ */
+const switchPump = (controller, on, reason, { data = null, actor = 'controller', now = Date.now() } = {}) => {
+  const state = getPumpState(controller.deviceId);
+  
+  const { command } = validateCommand(controller.relayDeviceId, {
+    type: 'pump',
+    params: { state: on ? 'on' : 'off', reason, tankDeviceId: controller.deviceId },
+    ttlSeconds: on ? PUMP_ON_COMMAND_TTL_SECONDS : DOWNLINK_DEFAULT_TTL_SECONDS
+  });
+  const queued = queueCommand(command, now);
+  if (!queued) {
+    // Errors are always logged (critical)
+    logger.error(`[PUMP] ${controller.deviceId}: command queue of relay ${controller.relayDeviceId} is full, pump ${on ? 'on' : 'off'} not sent`);
+  }
+  
+  state.pumpOn = on;
+  state.since = on ? now : null;
+  state.stoppedAt = on ? null : now;
+  state.commandId = queued ? command.commandId : null;
+  const levelCm = data ? getLevelCm(controller.deviceId, data) : NaN;
+  state.riseCheck = on ? { t: now, levelCm: Number.isFinite(levelCm) ? levelCm : null } : null;
+  
+  incCounter('pump_switches_total', { device_id: controller.deviceId, state: on ? 'on' : 'off' });
+  recordPumpAudit(controller, { action: on ? 'on' : 'off', reason, actor, reading: toAuditReading(data), commandId: state.commandId });
+  persistCollection('deviceCommands');
+  persistCollection('pumpControllers');
+  logger.info(`[PUMP] ${controller.deviceId}: pump ${on ? 'ON' : 'OFF'} (${reason}) via ${controller.relayDeviceId}`);
+};
+
+// Stops the pump, locks the controller out and fires an interlock alert
+const tripPumpInterlock = (controller, reason, condition, { data = null, now = Date.now() } = {}) => {
+  const state = getPumpState(controller.deviceId);
+  switchPump(controller, false, reason, { data, now });
+  
+  const alertId = crypto.randomBytes(6).toString('hex');
+  state.lockout = { reason, at: now, alertId };
+  alertRuleState.set(`pump:${controller.deviceId}`, { active: true, lastFiredAt: now, alertId });
+  const levelCm = data ? getLevelCm(controller.deviceId, data) : NaN;
+  emitAlert(getPumpAlertRule(controller, condition), 'fired', Number.isFinite(levelCm) ? levelCm : 0, data, alertId);
+  recordPumpAudit(controller, { action: 'lockout', reason, reading: toAuditReading(data) });
+  persistCollection('pumpControllers');
+  logger.warn(`[PUMP] ${controller.deviceId}: interlock tripped (${condition}) - locked out until reset`);
+};
+
+/**
+ * Decides for one controller. data is the new reading, or null for the
+ * periodic check (only interlocks and override expiry are checked then).
+ */
+const evaluatePump = (controller, data, now = Date.now()) => {
+  const state = getPumpState(controller.deviceId);
+  if (!controller.enabled || state.lockout) return;
+  
+  if (controller.override && getPumpMode(controller, now) === 'auto') {
+    recordPumpAudit(controller, { action: 'override-expired', reason: `manual ${controller.override.mode} ended`, reading: toAuditReading(data) });
+    controller.override = null;
+    persistCollection('pumpControllers');
+  }
+  const mode = getPumpMode(controller, now);
+  const percentage = data ? getPumpPercent(controller.deviceId, data) : NaN;
+  const levelCm = data ? getLevelCm(controller.deviceId, data) : NaN;
+  
+  if (!state.pumpOn) {
+    if (!Number.isFinite(percentage)) return;
+    if (state.stoppedAt && now - state.stoppedAt < controller.minOffMinutes * 60 * 1000) return;
+    if (mode === 'on' && percentage < controller.highPercent) {
+      switchPump(controller, true, 'manual-on', { data, now });
+    } else if (mode === 'auto' && percentage < controller.lowPercent) {
+      switchPump(controller, true, 'low-level', { data, now });
+    }
+    return;
+  }
+  
+  if (mode === 'off') {
+    return switchPump(controller, false, 'manual-off', { data, now });
+  }
+  if (Number.isFinite(percentage) && percentage >= controller.highPercent) {
+    switchPump(controller, false, 'high-level', { data, now });
+    if (mode === 'on') {
+      recordPumpAudit(controller, { action: 'override-ended', reason: 'manual on reached highPercent', reading: toAuditReading(data) });
+      controller.override = null;
+      persistCollection('pumpControllers');
+    }
+    return;
+  }
+  if (now - state.since >= controller.maxRunMinutes * 60 * 1000) {
+    return tripPumpInterlock(controller, 'max-run-time', `pump ran for ${controller.maxRunMinutes} min`, { data, now });
+  }
+  
+  // Dry-run protection: the level must rise by minRiseCm within every
+  // dryRunMinutes, measured from the lowest level since the last rise
+  const { riseCheck } = state;
+  if (Number.isFinite(levelCm)) {
+    if (riseCheck.levelCm === null || levelCm < riseCheck.levelCm) {
+      riseCheck.levelCm = levelCm;
+    } else if (levelCm >= riseCheck.levelCm + controller.minRiseCm) {
+      state.riseCheck = { t: now, levelCm };
+      persistCollection('pumpControllers');
+      return;
+    }
+  }
+  if (now - riseCheck.t >= controller.dryRunMinutes * 60 * 1000) {
+    tripPumpInterlock(controller, 'dry-run', `level rose less than ${controller.minRiseCm} cm in ${controller.dryRunMinutes} min`, { data, now });
+  }
+};
+
+// Runs the controller of a tank for an accepted reading (see storeReading)
+const evaluatePumpControl = (key, data, receivedAt) => {
+  const controller = pumpControllers.get(key);
+  if (!controller) return;
+  // Spikes and stale (replayed) readings never switch the pump
+  if (data.anomaly || receivedAt - toEpochMs(data.timestamp, receivedAt) > PUMP_MAX_READING_AGE_MS) return;
+  evaluatePump(controller, data, receivedAt);
+};
+
+// Interlocks and override expiry also apply when no reading arrives
+const pumpCheckInterval = setInterval(() => {
+  const now = Date.now();
+  pumpControllers.forEach((controller) => {
+    if (getPumpState(controller.deviceId).pumpOn || controller.override) {
+      evaluatePump(controller, null, now);
+    }
+  });
+}, PUMP_CHECK_INTERVAL_MS);
+pumpCheckInterval.unref();
+
+// ============================================================================
+// PERSISTENCE (Pluggable Storage Adapter)
+// ============================================================================
+// STORAGE_ADAPTER selects where state survives restarts:
+// - memory (default): nothing is written, zero dependencies, state is lost on restart
+// - file: JSONL append log at STORAGE_FILE. Every accepted reading and every
+//   admin change is appended; the log is periodically compacted into a
+//   snapshot of the current state. State is restored on startup and flushed
+//   during graceful shutdown (SIGTERM/SIGINT).
+//
+// Reading archive (file adapter): every accepted reading is also appended to
+// a monthly file, STORAGE_ARCHIVE_DIR/readings-YYYY-MM.jsonl (UTC month of
+// the reading), which compaction leaves alone; months older than
+// STORAGE_ARCHIVE_MONTHS are deleted. Summaries and exports (see READING
+// REPORTS) stream from it. The memory adapter only has the in-memory history.
+//
+// Record types: { type: 'reading', key, data, receivedAt }
+//               { type: 'device', key, firstSeenTimestamp }
+//               { type: 'pump-audit', entry }
+//               { type: 'collection', name, value }  (full dump, last one wins)
+// Note: on Render the file must live on a persistent disk to survive redeploys.
+const STORAGE_ADAPTER = process.env.STORAGE_ADAPTER || 'memory';
+const STORAGE_FILE = process.env.STORAGE_FILE || path.join(__dirname, 'data', 'state.jsonl');
+const STORAGE_FLUSH_MS = (parseInt(process.env.STORAGE_FLUSH_SECONDS, 10) || 2) * 1000;
+const STORAGE_COMPACT_MS = (parseFloat(process.env.STORAGE_COMPACT_MINUTES) || 60) * 60 * 1000;
+const STORAGE_ARCHIVE_DIR = process.env.STORAGE_ARCHIVE_DIR || path.join(path.dirname(STORAGE_FILE), 'archive');
+const STORAGE_ARCHIVE_MONTHS = parseInt(process.env.STORAGE_ARCHIVE_MONTHS, 10) || 12;
+
+// Small admin-managed state persisted as whole collections
+const persistedCollections = {
+  apiKeys: {
+    dump: () => Array.from(apiKeyRegistry.values()),
+    restore: (value) => value.forEach((record) => apiKeyRegistry.set(record.keyId, record))
+  },
+  readTokens: {
+    dump: () => Array.from(readTokenRegistry.values()),
+    restore: (value) => value.forEach((record) => readTokenRegistry.set(record.tokenId, record))
+  },
+  deviceAuthModes: {
+    dump: () => Array.from(deviceAuthModes.entries()),
+    restore: (value) => value.forEach(([deviceId, mode]) => deviceAuthModes.set(deviceId, mode))
+  },
+  alertRules: {
+    dump: () => Array.from(alertRules.values()),
+    restore: (value) => {
+      alertRules.clear();
+      value.forEach((rule) => alertRules.set(rule.ruleId, rule));
+    }
+  },
+  deviceWatchdog: {
+    dump: () => Array.from(deviceWatchdogConfig.entries()),
+    restore: (value) => value.forEach(([deviceId, config]) => deviceWatchdogConfig.set(deviceId, config))
+  },
+  deviceFilters: {
+    dump: () => Array.from(deviceFilterConfig.entries()),
+    restore: (value) => value.forEach(([deviceId, config]) => deviceFilterConfig.set(deviceId, config))
+  },
+  deviceCommands: {
+    dump: () => Array.from(deviceCommands.entries()),
+    restore: (value) => value.forEach(([deviceId, commands]) => deviceCommands.set(deviceId, commands))
+  },
+  pumpControllers: {
+    dump: () => Array.from(pumpControllers.values()).map((controller) => ({
+      ...controller,
+      state: getPumpState(controller.deviceId)
+    })),
+    restore: (value) => {
+      pumpControllers.clear();
+      value.forEach(({ state, ...controller }) => {
+        pumpControllers.set(controller.deviceId, controller);
+        pumpState.set(controller.deviceId, state);
+        if (state.lockout) {
+          alertRuleState.set(`pump:${controller.deviceId}`, { active: true, lastFiredAt: state.lockout.at, alertId: state.lockout.alertId });
+        }
+      });
+    }
+  },
+  tanks: {
+    dump: () => Array.from(tankRegistry.values()),
+    restore: (value) => {
+      tankRegistry.clear();
+      value.forEach((tank) => tankRegistry.set(tank.deviceId, tank));
+    }
+  },
+  consumption: {
+    dump: () => Array.from(consumptionStore.entries()).map(([key, tracker]) => [
+      key,
+      { refLevel: tracker.refLevel, days: Array.from(tracker.days.entries()), litres: Array.from(tracker.litres.entries()) }
+    ]),
+    restore: (value) => value.forEach(([key, tracker]) => {
+      consumptionStore.set(key, { refLevel: tracker.refLevel, days: new Map(tracker.days), litres: new Map(tracker.litres || []) });
+    })
+  }
+};
+
+// No-op adapter: keeps the original zero-dependency in-memory behavior
+// (stored readings are the in-memory history)
+const createMemoryStorage = () => ({
+  name: 'memory',
+  readingsSource: 'history',
+  load: async () => [],
+  append: () => {},
+  compact: async () => {},
+  flush: async () => {},
+  // Readings of a device with from <= t <= to (epoch ms), oldest first
+  async *readReadings(key, from, to) {
+    const buffer = historyStore.get(key);
+    if (!buffer) return;
+    for (const point of buffer.toArray()) {
+      if (point.t >= from && point.t <= to) yield point;
+    }
+  }
+});
+
+// UTC month ('YYYY-MM') of an epoch ms time
+const toMonth = (ms) => new Date(ms).toISOString().slice(0, 7);
+
+// JSONL append log with periodic compaction (writes are batched), plus the
+// monthly reading archive in archiveDir
+const createFileStorage = (file, archiveDir) => {
+  let pending = [];
+  // Archive lines per month (the same JSON as the reading records)
+  let archivePending = new Map();
+  // Serializes file writes (appends and compactions never interleave)
+  let writeChain = Promise.resolve();
+  
+  const enqueue = (task) => {
+    writeChain = writeChain.then(task).catch((error) => {
+      logger.error('[ERROR] Storage write failed:', error);
+    });
+    return writeChain;
+  };
+  
+  const archiveFile = (month) => path.join(archiveDir, `readings-${month}.jsonl`);
+  const listArchiveMonths = async () => {
+    const names = await fs.promises.readdir(archiveDir).catch(() => []);
+    return names
+      .map((name) => /^readings-(\d{4}-\d{2})\.jsonl$/.exec(name))
+      .filter(Boolean)
+      .map((match) => match[1])
+      .sort();
+  };
+  
+  const flush = () => enqueue(async () => {
+    const lines = pending;
+    const archiveLines = archivePending;
+    pending = [];
+    archivePending = new Map();
+    if (lines.length > 0) {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, `${lines.join('\n')}\n`);
+    }
+    if (archiveLines.size > 0) {
+      await fs.promises.mkdir(archiveDir, { recursive: true });
+      for (const [month, monthLines] of archiveLines) {
+        await fs.promises.appendFile(archiveFile(month), `${monthLines.join('\n')}\n`);
+      }
+    }
+  });
+  
+  // Deletes archive months older than STORAGE_ARCHIVE_MONTHS (current month included)
+  const pruneArchive = async () => {
+    const cutoff = new Date();
+    cutoff.setUTCDate(1);
+    cutoff.setUTCMonth(cutoff.getUTCMonth() - (STORAGE_ARCHIVE_MONTHS - 1));
+    const oldest = toMonth(cutoff.getTime());
+    for (const month of await listArchiveMonths()) {
+      if (month >= oldest) break;
+      await fs.promises.unlink(archiveFile(month));
+      logger.info(`[STORAGE] Deleted reading archive ${month}`);
+    }
+  };
+  
+  return {
+    name: 'file',
+    readingsSource: 'archive',
+    load: async () => {
+      if (!fs.existsSync(file)) return [];
+      const records = [];
+      const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          records.push(JSON.parse(line));
+        } catch (error) {
+          // A torn last line (crash mid-write) is skipped, not fatal
+          logger.warn('[STORAGE] Skipping unreadable log line');
+        }
+      }
+      return records;
+    },
+    append: (record) => {
+      const line = JSON.stringify(record);
+      pending.push(line);
+      if (record.type === 'reading') {
+        const month = toMonth(toEpochMs(record.data.timestamp, record.receivedAt));
+        if (!archivePending.has(month)) archivePending.set(month, []);
+        archivePending.get(month).push(line);
+      }
+    },
+    flush,
+    // Replaces the log with a snapshot of getRecords(). The snapshot is taken
+    // in the queued task, together with dropping the pending log lines it
+    // already contains: lines appended later stay pending and are flushed
+    // after the rename (pending archive lines are not part of it either)
+    compact: (getRecords) => enqueue(async () => {
+      const snapshot = `${getRecords().map((record) => JSON.stringify(record)).join('\n')}\n`;
+      pending = [];
+      const tmp = `${file}.tmp`;
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(tmp, snapshot);
+      await fs.promises.rename(tmp, file);
+      await pruneArchive();
+    }),
+    // Streams a device's archived readings with from <= t <= to (epoch ms),
+    // month by month in arrival order; only one line is held at a time
+    async *readReadings(key, from, to) {
+      await flush();
+      const firstMonth = Number.isFinite(from) ? toMonth(from) : '';
+      const lastMonth = Number.isFinite(to) ? toMonth(to) : '9999-99';
+      const keyField = `"key":${JSON.stringify(key)}`;
+      
+      for (const month of await listArchiveMonths()) {
+        if (month < firstMonth || month > lastMonth) continue;
+        const lines = readline.createInterface({ input: fs.createReadStream(archiveFile(month)), crlfDelay: Infinity });
+        for await (const line of lines) {
+          // Cheap pre-filter before parsing lines of other devices
+          if (!line.includes(keyField)) continue;
+          let record;
+          try {
+            record = JSON.parse(line);
+          } catch (error) {
+            continue; // Torn line (crash mid-write)
+          }
+          if (record.key !== key) continue;
+          const t = toEpochMs(record.data.timestamp, record.receivedAt);
+          if (t >= from && t <= to) yield { t, receivedAt: record.receivedAt, data: record.data };
+        }
+      }
+    }
+  };
+};
+
+const STORAGE_ADAPTERS = {
+  memory: createMemoryStorage,
+  file: () => createFileStorage(STORAGE_FILE, STORAGE_ARCHIVE_DIR)
+};
+
+if (!STORAGE_ADAPTERS[STORAGE_ADAPTER]) {
+  throw new Error(`Unknown STORAGE_ADAPTER "${STORAGE_ADAPTER}" (use: ${Object.keys(STORAGE_ADAPTERS).join(', ')})`);
+}
+const storage = STORAGE_ADAPTERS[STORAGE_ADAPTER]();
+
+// Appends the current dump of an admin-managed collection
+const persistCollection = (name) => {
+  storage.append({ type: 'collection', name, value: persistedCollections[name].dump() });
+};
+
+// Current state as a list of records (used for compaction)
+const snapshotRecords = () => {
+  const records = [];
+  historyStore.forEach((buffer, key) => {
+    buffer.toArray().forEach((point) => {
+      records.push({ type: 'reading', key, data: point.data, receivedAt: point.receivedAt });
+    });
+  });
+  deviceStore.forEach((entry, key) => {
+    records.push({ type: 'device', key, firstSeenTimestamp: entry.firstSeenTimestamp });
+  });
+  pumpAuditLog.toArray().forEach((entry) => {
+    records.push({ type: 'pump-audit', entry });
+  });
+  Object.keys(persistedCollections).forEach((name) => {
+    records.push({ type: 'collection', name, value: persistedCollections[name].dump() });
+  });
+  return records;
+};
+
+// Rebuilds a stored reading without side effects (no events, alerts or webhooks)
+// (late backfilled readings only go into history, like when they arrived)
+const restoreReading = (key, data, receivedAt) => {
+  const existing = deviceStore.get(key);
+  const t = toEpochMs(data.timestamp, receivedAt);
+  appendHistory(key, data, receivedAt);
+  if (existing && t < getLatestReadingTime(key)) return;
+  
+  deviceStore.set(key, {
+    data,
+    lastUpdateTimestamp: receivedAt,
+    firstSeenTimestamp: existing ? existing.firstSeenTimestamp : receivedAt,
+    status: null
+  });
+  if (!latestDeviceKey || receivedAt >= deviceStore.get(latestDeviceKey).lastUpdateTimestamp) {
+    latestDeviceKey = key;
+  }
+  primeFilter(key, data, t);
+  updateConsumption(key, data, t);
+};
+
+/**
+ * Restores state from the storage adapter (called once before listening).
+ * Returns the number of records applied.
+ */
+const restoreState = async () => {
+  const records = await storage.load();
+  records.forEach((record) => {
+    if (record.type === 'reading') {
+      restoreReading(record.key, record.data, record.receivedAt);
+    } else if (record.type === 'device' && deviceStore.has(record.key)) {
+      deviceStore.get(record.key).firstSeenTimestamp = record.firstSeenTimestamp;
+    } else if (record.type === 'pump-audit') {
+      pumpAuditLog.push(record.entry);
+    } else if (record.type === 'collection' && persistedCollections[record.name]) {
+      persistedCollections[record.name].restore(record.value);
+    }
+  });
+  // Initial watchdog status without publishing transitions
+  deviceStore.forEach((entry, key) => {
+    entry.status = computeDeviceStatus(key, entry);
+  });
+  return records.length;
+};
+
+let storageFlushInterval = null;
+let storageCompactInterval = null;
+
+// Starts periodic flush/compaction (file adapter only)
+const startStorageTimers = () => {
+  if (storage.name === 'memory') return;
+  storageFlushInterval = setInterval(() => storage.flush(), STORAGE_FLUSH_MS);
+  storageCompactInterval = setInterval(() => storage.compact(snapshotRecords), STORAGE_COMPACT_MS);
+  storageFlushInterval.unref();
+  storageCompactInterval.unref();
+};
+
+// ============================================================================
+// METRICS (Prometheus Text Format)
+// ============================================================================
+// Minimal in-process registry (no extra dependency) exposed at GET /metrics.
+// Protect it with METRICS_TOKEN (Authorization: Bearer <token>) if set.
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// name -> { type, help, series: Map<labelKey, { labels, value | buckets, sum, count }> }
+const metricRegistry = new Map();
+
+const defineMetric = (name, type, help) => {
+  metricRegistry.set(name, { type, help, series: new Map() });
+};
+
+defineMetric('http_requests_total', 'counter', 'HTTP requests by method, route and status');
+defineMetric('http_request_duration_seconds', 'histogram', 'HTTP request latency by method, route and status');
+defineMetric('rate_limit_rejections_total', 'counter', 'Requests rejected by a rate limiter');
+defineMetric('auth_failures_total', 'counter', 'Authentication failures by reason');
+defineMetric('readings_accepted_total', 'counter', 'Readings accepted per device');
+defineMetric('readings_anomalies_total', 'counter', 'Readings flagged as anomalous per device and reason');
+defineMetric('mqtt_messages_total', 'counter', 'MQTT messages received by the bridge by result');
+defineMetric('device_commands_total', 'counter', 'Downlink command transitions by status');
+defineMetric('pump_switches_total', 'counter', 'Pump on/off decisions per tank');
+
+// Returns (creating if needed) the series of a metric for a label set
+const getSeries = (name, labels, init) => {
+  const metric = metricRegistry.get(name);
+  const labelKey = JSON.stringify(labels);
+  if (!metric.series.has(labelKey)) {
+    metric.series.set(labelKey, { labels, ...init() });
+  }
+  return metric.series.get(labelKey);
+};
+
+const incCounter = (name, labels = {}, value = 1) => {
+  getSeries(name, labels, () => ({ value: 0 })).value += value;
+};
+
+const observeHistogram = (name, labels, value) => {
+  const series = getSeries(name, labels, () => ({
+    buckets: LATENCY_BUCKETS.map(() => 0),
+    sum: 0,
+    count: 0
+  }));
+  LATENCY_BUCKETS.forEach((bound, i) => {
+    if (value <= bound) series.buckets[i]++;
+  });
+  series.sum += value;
+  series.count++;
+};
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+// Gauges are computed at scrape time from current state
+const collectGauges = () => {
+  const now = Date.now();
+  const memoryUsage = process.memoryUsage();
+  const gauges = [
+    ['process_resident_memory_bytes', 'Resident memory size in bytes', [[{}, memoryUsage.rss]]],
+    ['nodejs_heap_used_bytes', 'V8 heap used in bytes', [[{}, memoryUsage.heapUsed]]],
+    ['nodejs_heap_total_bytes', 'V8 heap total in bytes', [[{}, memoryUsage.heapTotal]]],
+    ['process_uptime_seconds', 'Seconds since the server started', [[{}, (now - SERVER_START_TIME) / 1000]]],
+    ['stream_clients', 'Connected push clients by channel', [
+      [{ channel: 'sse' }, sseClients.size],
+      [{ channel: 'ws' }, wss ? wss.clients.size : 0]
+    ]]
+  ];
+  
+  const level = [];
+  const percentage = [];
+  const volume = [];
+  const age = [];
+  const online = [];
+  deviceStore.forEach((entry, key) => {
+    const labels = { device_id: key };
+    const levelCm = parseFloat(entry.data.waterLevelCm);
+    const percent = parseFloat(entry.data.waterPercentage);
+    if (Number.isFinite(levelCm)) level.push([labels, levelCm]);
+    if (Number.isFinite(percent)) percentage.push([labels, percent]);
+    const tankVolume = computeVolume(key, entry.data);
+    if (tankVolume) volume.push([labels, tankVolume.volumeLitres]);
+    age.push([labels, (now - entry.lastUpdateTimestamp) / 1000]);
+    online.push([labels, entry.status === 'online' ? 1 : 0]);
+  });
+  gauges.push(
+    ['device_water_level_cm', 'Latest water level in cm per device', level],
+    ['device_water_percentage', 'Latest water percentage per device', percentage],
+    ['device_volume_litres', 'Latest water volume in litres per device (tanks with a definition)', volume],
+    ['device_last_reading_age_seconds', 'Seconds since the last reading per device', age],
+    ['device_online', '1 if the device watchdog status is online', online]
+  );
+  
+  const pumpOn = [];
+  const pumpLockout = [];
+  pumpControllers.forEach((controller, key) => {
+    const state = getPumpState(key);
+    pumpOn.push([{ device_id: key }, state.pumpOn ? 1 : 0]);
+    pumpLockout.push([{ device_id: key }, state.lockout ? 1 : 0]);
+  });
+  gauges.push(
+    ['pump_on', '1 while the pump of a tank is switched on', pumpOn],
+    ['pump_lockout', '1 while the pump controller of a tank is locked out by an interlock', pumpLockout]
+  );
+  return gauges;
+};
+
+// Renders all metrics in Prometheus text exposition format
+const renderMetrics = () => {
+  const lines = [];
+  metricRegistry.forEach((metric, name) => {
+    lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+    metric.series.forEach((series) => {
+      if (metric.type === 'counter') {
+        lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+        return;
+      }
+      LATENCY_BUCKETS.forEach((bound, i) => {
+        lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.buckets[i]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+    });
+  });
+  collectGauges().forEach(([name, help, values]) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+    values.forEach(([labels, value]) => lines.push(`${name}${formatLabels(labels)} ${value}`));
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+// ============================================================================
+// MQTT INGESTION BRIDGE (Optional)
+// ============================================================================
+// Lets ESP32 firmware publish over MQTT instead of HTTPS POSTs. Payloads on
+// MQTT_TOPIC go through the same validation and storage path (ingestReading)
+// as POST /api/water-level; the deviceId comes from the "+" topic segment.
+//
+// - MQTT_URL=mqtt://broker:1883     connect to an existing broker
+// - MQTT_EMBEDDED_PORT=1883         run an embedded broker (no outside network
+//                                   needed). Devices connect with
+//                                   username = deviceId, password = API key and
+//                                   may only publish to their own topic.
+// - MQTT_PROCESSED_TOPIC=tanks/{deviceId}/processed
+//                                   republish accepted (normalized) readings
+// The mqtt / aedes modules are only loaded when the bridge is enabled.
+const MQTT_URL = process.env.MQTT_URL || null;
+const MQTT_EMBEDDED_PORT = parseInt(process.env.MQTT_EMBEDDED_PORT, 10) || null;
+const MQTT_TOPIC = process.env.MQTT_TOPIC || 'tanks/+/level';
+const MQTT_PROCESSED_TOPIC = process.env.MQTT_PROCESSED_TOPIC || null;
+
+let mqttClient = null;
+let mqttBroker = null;
+let mqttBrokerServer = null;
+
+// Returns the segment of a topic that sits at the pattern's "+" (or
+// "{deviceId}") position, or null if the topic doesn't match the pattern
+const getTopicDeviceId = (topic, pattern) => {
+  const topicParts = topic.split('/');
+  const patternParts = pattern.split('/');
+  if (topicParts.length !== patternParts.length) return null;
+  
+  let deviceId = null;
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i] === '+' || patternParts[i] === '{deviceId}') {
+      deviceId = topicParts[i];
+    } else if (patternParts[i] !== topicParts[i]) {
+      return null;
+    }
+  }
+  return deviceId && DEVICE_ID_PATTERN.test(deviceId) ? deviceId : null;
+};
+
+// Handles one message from the bridge subscription
+const handleMqttMessage = (topic, payload) => {
+  const deviceId = getTopicDeviceId(topic, MQTT_TOPIC);
+  let body = null;
+  try {
+    body = JSON.parse(payload.toString('utf8'));
+  } catch (error) {
+    body = null;
+  }
+  
+  if (!deviceId || body === null) {
+    incCounter('mqtt_messages_total', { result: 'rejected' });
+    logger.warn(`[MQTT] Ignoring message on ${topic}: ${deviceId ? 'payload is not JSON' : 'no deviceId in topic'}`);
+    return;
+  }
+  
+  // The topic names the device, like a per-device key does for HTTP
+  setLogDeviceId(deviceId);
+  const result = ingestReading(body, {
+    auth: { type: 'mqtt', keyId: null, deviceId },
+    origin: `MQTT ${topic}`
+  });
+  incCounter('mqtt_messages_total', { result: result.ok ? 'accepted' : 'rejected' });
+  
+  if (result.ok && MQTT_PROCESSED_TOPIC) {
+    mqttClient.publish(MQTT_PROCESSED_TOPIC.replace('{deviceId}', deviceId), JSON.stringify(result.data), { qos: 0 });
+  }
+};
+
+// Starts the embedded broker; devices authenticate with their API key
+const startEmbeddedBroker = (bridgeSecret) => new Promise((resolve, reject) => {
+  const net = require('net');
+  const aedes = require('aedes')();
+  
+  aedes.authenticate = (client, username, password, callback) => {
+    const secret = password ? password.toString() : '';
+    if (username === '__bridge__' && safeEqual(secret, bridgeSecret)) {
+      client.auth = { type: 'bridge', deviceId: null };
+      return callback(null, true);
+    }
+    const result = verifyApiKey(secret);
+    if (!result.ok) {
+      incCounter('auth_failures_total', { reason: `mqtt-${result.reason}` });
+      // Security warnings are always logged (critical)
+      logger.security(`[SECURITY] Rejected MQTT client ${client.id} (${result.reason})`);
+      const error = new Error('Bad username or password');
+      error.returnCode = 4;
+      return callback(error, false);
+    }
+    client.auth = result.auth;
+    callback(null, true);
+  };
+  
+  // Devices may only publish their own level topic (shared key: any device);
+  // a refused publish closes the connection (MQTT-3.3.5-2)
+  aedes.authorizePublish = (client, packet, callback) => {
+    if (!client || client.auth.type === 'bridge') return callback(null);
+    const deviceId = getTopicDeviceId(packet.topic, MQTT_TOPIC);
+    if (deviceId && (!client.auth.deviceId || client.auth.deviceId === deviceId)) return callback(null);
+    callback(new Error('Publish not allowed on this topic'));
+  };
+  
+  // Devices may only subscribe to their own processed topic (others are
+  // negated: SUBACK 128, the connection stays open)
+  aedes.authorizeSubscribe = (client, subscription, callback) => {
+    if (client.auth.type === 'bridge' || client.auth.type === 'shared') return callback(null, subscription);
+    const deviceId = MQTT_PROCESSED_TOPIC ? getTopicDeviceId(subscription.topic, MQTT_PROCESSED_TOPIC) : null;
+    callback(null, deviceId && deviceId === client.auth.deviceId ? subscription : null);
+  };
+  
+  const brokerServer = net.createServer(aedes.handle);
+  brokerServer.once('error', reject);
+  brokerServer.listen(MQTT_EMBEDDED_PORT, () => {
+    mqttBroker = aedes;
+    mqttBrokerServer = brokerServer;
+    resolve();
+  });
+});
+
+/**
+ * Starts the MQTT bridge if MQTT_URL or MQTT_EMBEDDED_PORT is configured.
+ */
+const startMqttBridge = async () => {
+  if (!MQTT_URL && !MQTT_EMBEDDED_PORT) return;
+  const mqtt = require('mqtt');
+  
+  const options = {
+    clientId: process.env.MQTT_CLIENT_ID || `waterTankTrack-${crypto.randomBytes(4).toString('hex')}`,
+    username: process.env.MQTT_USERNAME || undefined,
+    password: process.env.MQTT_PASSWORD || undefined,
+    reconnectPeriod: 5000
+  };
+  
+  let url = MQTT_URL;
+  if (MQTT_EMBEDDED_PORT) {
+    const bridgeSecret = crypto.randomBytes(24).toString('hex');
+    await startEmbeddedBroker(bridgeSecret);
+    logger.notice(`📨 Embedded MQTT broker listening on port ${MQTT_EMBEDDED_PORT}`);
+    if (!url) {
+      url = `mqtt://127.0.0.1:${MQTT_EMBEDDED_PORT}`;
+      options.username = '__bridge__';
+      options.password = bridgeSecret;
+    }
+  }
+  
+  mqttClient = mqtt.connect(url, options);
+  mqttClient.on('connect', () => {
+    mqttClient.subscribe(MQTT_TOPIC, { qos: 1 }, (error) => {
+      if (error) {
+        logger.error(`[ERROR] MQTT subscribe to ${MQTT_TOPIC} failed:`, error);
+      } else {
+        logger.info(`[MQTT] Bridge subscribed to ${MQTT_TOPIC}`);
+      }
+    });
+  });
+  // Each message gets its own log context (deviceId from the topic)
+  mqttClient.on('message', (topic, payload) => logContext.run({ requestId: null, deviceId: null }, () => {
+    try {
+      handleMqttMessage(topic, payload);
+    } catch (error) {
+      // Errors are always logged (critical)
+      logger.error('[ERROR] Failed to process MQTT message:', error);
+    }
+  }));
+  mqttClient.on('error', (error) => logger.warn('[MQTT] Bridge error:', error.message));
+};
+
+// Disconnects the bridge and stops the embedded broker
+const stopMqttBridge = async () => {
+  if (mqttClient) await mqttClient.endAsync();
+  if (mqttBroker) await new Promise((resolve) => mqttBroker.close(resolve));
+  if (mqttBrokerServer) await new Promise((resolve) => mqttBrokerServer.close(resolve));
+};
+
+// ============================================================================
+// RATE LIMIT POLICIES (Per Device / Per Key)
+// ============================================================================
+// Limits are keyed by who is calling, not only by IP, so devices behind one
+// NAT don't share a budget and one misbehaving device can be throttled alone:
+// - device credential (per-device key or signed request): device:<deviceId>
+// - shared API_KEY: device:<body.deviceId> (legacy devices), else the IP
+// - anonymous reads: ip:<address>
+// A key sent on a read (x-api-key) is recognized too. Policies (per scope:
+// "post" for writes, "get" for reads) come from RATE_LIMIT_POLICIES (JSON) or
+// the JSON file at RATE_LIMIT_CONFIG:
+//   { "default": { "post": { "windowSeconds": 900, "max": 200 } },
+//     "devices": { "ESP32_001": { "post": { "windowSeconds": 60, "max": 30 } } },
+//     "keys":    { "<keyId>": { "get": { "windowSeconds": 60, "max": 600 } } } }
+// Lookup order: keys[keyId], devices[deviceId], default. Failed device
+// authentications are additionally limited per IP (AUTH_FAILURE_LIMIT per
+// 15 minutes) so keys can't be brute-forced from one address.
+const RATE_LIMIT_SCOPES = ['post', 'get'];
+const RATE_LIMIT_DEFAULTS = {
+  post: { windowMs: 15 * 60 * 1000, max: 200 }, // 200 POST requests per 15 minutes
+  get: { windowMs: 1 * 60 * 1000, max: 60 } // 60 GET requests per minute
+};
+const AUTH_FAILURE_LIMIT = parseInt(process.env.AUTH_FAILURE_LIMIT, 10) || 50;
+
+// Parses { windowSeconds, max } into { windowMs, max } (null if malformed)
+const parseRateLimitPolicy = (policy) => {
+  if (!policy || typeof policy !== 'object') return null;
+  const windowSeconds = Number(policy.windowSeconds);
+  const max = Number(policy.max);
+  if (!(windowSeconds > 0) || !Number.isInteger(max) || max < 1) return null;
+  return { windowMs: windowSeconds * 1000, max };
+};
+
+// Reads the policy config; malformed entries are logged and skipped
+const loadRateLimitPolicies = () => {
+  const policies = { default: { ...RATE_LIMIT_DEFAULTS }, devices: new Map(), keys: new Map() };
+  let config;
+  try {
+    if (process.env.RATE_LIMIT_POLICIES) {
+      config = JSON.parse(process.env.RATE_LIMIT_POLICIES);
+    } else if (process.env.RATE_LIMIT_CONFIG) {
+      config = JSON.parse(fs.readFileSync(process.env.RATE_LIMIT_CONFIG, 'utf8'));
+    }
+  } catch (error) {
+    logger.error(`[RATE LIMIT] Ignoring rate limit policies: ${error.message}`);
+  }
+  if (!config || typeof config !== 'object') return policies;
+  
+  // Returns { post?, get? } of valid policies for one entry
+  const parseScopes = (entry, label) => {
+    const scopes = {};
+    RATE_LIMIT_SCOPES.forEach((scope) => {
+      if (!entry || entry[scope] === undefined) return;
+      const policy = parseRateLimitPolicy(entry[scope]);
+      if (policy) {
+        scopes[scope] = policy;
+      } else {
+        logger.error(`[RATE LIMIT] Ignoring malformed ${scope} policy for ${label}`);
+      }
+    });
+    return scopes;
+  };
+  
+  Object.assign(policies.default, parseScopes(config.default, 'default'));
+  Object.entries(config.devices || {}).forEach(([deviceId, entry]) => {
+    policies.devices.set(deviceId, parseScopes(entry, `device ${deviceId}`));
+  });
+  Object.entries(config.keys || {}).forEach(([keyId, entry]) => {
+    policies.keys.set(keyId, parseScopes(entry, `key ${keyId}`));
+  });
+  return policies;
+};
+const rateLimitPolicies = loadRateLimitPolicies();
+
+/**
+ * Identifies the caller for rate limiting.
+ * Returns { key, keyId, deviceId } where key is the rate limit bucket.
+ */
+const identifyClient = (req) => {
+  let auth = req.auth;
+  if (!auth) {
+    // Reads are unauthenticated, but a valid key still identifies the caller
+    const apiKey = req.headers['x-api-key'] || req.headers['api-key'];
+    const result = apiKey ? verifyApiKey(String(apiKey)) : null;
+    auth = result && result.ok ? result.auth : null;
+  }
+  
+  if (auth && auth.deviceId) {
+    return { key: `device:${auth.deviceId}`, keyId: auth.keyId, deviceId: auth.deviceId };
+  }
+  const claimed = auth && req.body && typeof req.body.deviceId === 'string' ? req.body.deviceId : null;
+  if (claimed) {
+    return { key: `device:${claimed}`, keyId: auth.keyId, deviceId: claimed };
+  }
+  return { key: `ip:${req.ip}`, keyId: null, deviceId: null };
+};
+
+// Policy of a scope for a caller (most specific first)
+const getRateLimitPolicy = (scope, client) => {
+  const keyPolicy = client.keyId && rateLimitPolicies.keys.get(client.keyId);
+  const devicePolicy = client.deviceId && rateLimitPolicies.devices.get(client.deviceId);
+  return (keyPolicy && keyPolicy[scope]) || (devicePolicy && devicePolicy[scope]) || rateLimitPolicies.default[scope];
+};
+
+// 429 body matching the other error responses (Retry-After is set by the limiter)
+const sendRateLimited = (req, res, message) => {
+  const retryAfterSeconds = req.rateLimit && req.rateLimit.resetTime
+    ? Math.max(1, Math.ceil((req.rateLimit.resetTime.getTime() - Date.now()) / 1000))
+    : null;
+  res.status(429).json({
+    success: false,
+    error: 'Too many requests',
+    message,
+    retryAfterSeconds
+  });
+};
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+// 0. Request ID and access log
+// A well-formed incoming X-Request-Id (e.g. from a proxy) is kept, otherwise
+// one is generated; it is echoed in the response and carried by every log
+// line of the request. One access log line per response: info, warn for 4xx,
+// error for 5xx.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+app.use((req, res, next) => {
+  const incoming = req.get('x-request-id');
+  const context = {
+    requestId: incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID(),
+    deviceId: null
+  };
+  req.id = context.requestId;
+  res.set('X-Request-Id', context.requestId);
+  
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const level = res.statusCode >= 500 ? 'error' : (res.statusCode >= 400 ? 'warn' : 'info');
+    const urlPath = req.originalUrl.split('?')[0];
+    logger[level](`${req.method} ${urlPath} ${res.statusCode}`, {
+      requestId: context.requestId,
+      deviceId: context.deviceId || undefined,
+      method: req.method,
+      path: urlPath,
+      status: res.statusCode,
+      latencyMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+      ip: req.ip
+    });
+  });
+  
+  logContext.run(context, next);
+});
+
+// 0b. Refuse new requests while shutting down (see GRACEFUL SHUTDOWN)
+let shuttingDown = false;
+app.use((req, res, next) => {
+  if (!shuttingDown) return next();
+  res.set('Connection', 'close');
+  res.status(503).json({
+    success: false,
+    message: 'Server is shutting down, please retry shortly'
+  });
+});
+
+// 1. CORS Configuration - Restrict to allowed origins
+app.use(cors({
+  origin: (origin, callback) => {
+    // Allow requests with no origin (like mobile apps, IoT devices, or curl)
+    if (!origin || ALLOWED_ORIGINS.includes('*') || ALLOWED_ORIGINS.includes(origin)) {
+      callback(null, true);
+    } else {
+      callback(new Error('Not allowed by CORS'));
+    }
+  },
+  credentials: true,
+  exposedHeaders: ['X-Request-Id']
+}));
+
+// 2. Parse JSON request bodies with size limit (10KB max)
+// This prevents large payload attacks
+// The raw body is kept for HMAC signature verification
+// (the batch route has its own parser with a larger limit)
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+const jsonParser = express.json({ limit: '10kb', verify: captureRawBody });
+const batchJsonParser = express.json({ limit: BATCH_BODY_LIMIT, verify: captureRawBody });
+app.use((req, res, next) => (req.path === '/api/water-level/batch' ? next() : jsonParser(req, res, next)));
+
+// 3. Rate Limiting - Prevent abuse and DoS attacks
+// Different limits for POST (IoT updates) vs GET (client reads), keyed by
+// device / key / IP (see RATE LIMIT POLICIES). express-rate-limit has one
+// window per instance, so there is one instance per distinct policy window.
+const createRateLimiter = (scope) => {
+  const windows = new Set([rateLimitPolicies.default[scope].windowMs]);
+  [rateLimitPolicies.devices, rateLimitPolicies.keys].forEach((policies) => {
+    policies.forEach((entry) => {
+      if (entry[scope]) windows.add(entry[scope].windowMs);
+    });
+  });
+  
+  const limiters = new Map();
+  windows.forEach((windowMs) => {
+    limiters.set(windowMs, rateLimit({
+      windowMs,
+      limit: (req) => req.rateLimitPolicy.max,
+      keyGenerator: (req) => req.rateLimitClient.key,
+      standardHeaders: true,
+      legacyHeaders: false,
+      handler: (req, res) => {
+        const by = req.rateLimitClient.key.split(':')[0];
+        incCounter('rate_limit_rejections_total', { limiter: scope, by });
+        sendRateLimited(req, res, by === 'ip'
+          ? 'Too many requests from this IP, please try again later.'
+          : 'Too many requests from this device, please try again later.');
+      }
+    }));
+  });
+  
+  return (req, res, next) => {
+    req.rateLimitClient = identifyClient(req);
+    req.rateLimitPolicy = getRateLimitPolicy(scope, req.rateLimitClient);
+    limiters.get(req.rateLimitPolicy.windowMs)(req, res, next);
+  };
+};
+
+const postLimiter = createRateLimiter('post');
+const getLimiter = createRateLimiter('get');
+
+// Failed device authentications per IP (only 401/403 responses are counted)
+const authFailureLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  limit: AUTH_FAILURE_LIMIT,
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.statusCode !== 401 && res.statusCode !== 403,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    incCounter('rate_limit_rejections_total', { limiter: 'auth-failure', by: 'ip' });
+    sendRateLimited(req, res, 'Too many failed requests from this IP, please try again later.');
+  }
+});
+
+// 4. Request metrics (count and latency per matched route and status)
+app.use((req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? req.baseUrl + req.route.path : 'unmatched',
+      status: res.statusCode
+    };
+    incCounter('http_requests_total', labels);
+    observeHistogram('http_request_duration_seconds', labels, Number(process.hrtime.bigint() - start) / 1e9);
+  });
+  next();
+});
+
+// 5. API Key / Signature Authentication Middleware (for POST requests)
+// Accepts either x-api-key or a signed request (x-signature + x-key-id,
+// x-timestamp, x-nonce) and enforces the device's auth mode.
+// Sets req.auth = { type: 'shared' | 'device' | 'hmac', keyId, deviceId }
+const AUTH_FAILURE_MESSAGES = {
+  invalid: 'The provided API key is not valid',
+  disabled: 'The provided API key has been revoked',
+  expired: 'The provided API key has expired',
+  'malformed-signature': 'Signed requests need x-key-id, x-timestamp (unix seconds), x-nonce and a hex x-signature',
+  'stale-timestamp': 'The request timestamp is outside the allowed clock skew',
+  'bad-signature': 'The request signature is not valid',
+  'replayed-nonce': 'The request nonce has already been used',
+  'nonce-cache-full': 'Too many signed requests in the replay window, please retry later',
+  'nonce-limit': 'Too many signed requests for this key in the replay window, please retry later',
+  'hmac-required': 'This device must send signed requests (x-signature)'
+};
+
+const authenticateAPI = (req, res, next) => {
+  const apiKey = req.headers['x-api-key'] || req.headers['api-key'];
+  const signed = Boolean(req.headers['x-signature']);
+  
+  if (!apiKey && !signed) {
+    incCounter('auth_failures_total', { reason: 'missing-key' });
+    return res.status(401).json({
+      success: false,
+      error: 'API key required',
+      message: 'Please provide API key in header: x-api-key'
+    });
+  }
+  
+  const result = signed ? verifySignedRequest(req) : verifyApiKey(String(apiKey));
+  
+  // Devices configured for HMAC must not fall back to a plain key (readings
+  // in the body are checked again one by one, see prepareReading)
+  if (result.ok) {
+    const body = req.body && !Array.isArray(req.body) ? req.body : {};
+    const deviceId = result.auth.deviceId || req.params.deviceId || body.deviceId;
+    if (needsSignature(result.auth, deviceId)) {
+      result.ok = false;
+      result.reason = 'hmac-required';
+    }
+  }
+  
+  if (!result.ok) {
+    incCounter('auth_failures_total', { reason: result.reason });
+    // Security warnings are always logged (critical)
+    logger.security(`[SECURITY] Rejected device auth (${result.reason}) from IP: ${req.ip}`);
+    // A full nonce cache is temporary: the signature itself was valid
+    if (result.retryAfter) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(result.reason === 'nonce-limit' ? 429 : 503).json({
+        success: false,
+        error: 'Too many signed requests',
+        message: AUTH_FAILURE_MESSAGES[result.reason]
+      });
+    }
+    return res.status(403).json({
+      success: false,
+      error: signed ? 'Invalid signature' : 'Invalid API key',
+      message: AUTH_FAILURE_MESSAGES[result.reason]
+    });
+  }
+  
+  req.auth = result.auth;
+  setLogDeviceId(identifyClient(req).deviceId);
+  next();
+};
+
+// 6. Admin Authentication Middleware (for /api/admin/* routes)
+const authenticateAdmin = (req, res, next) => {
+  if (!ADMIN_TOKEN) {
+    return res.status(503).json({
+      success: false,
+      error: 'Admin API disabled',
+      message: 'Set ADMIN_TOKEN to enable the admin API'
+    });
+  }
+  
+  const auth = req.headers.authorization || '';
+  const token = auth.startsWith('Bearer ') ? auth.slice(7) : null;
+  if (!token || !safeEqual(token, ADMIN_TOKEN)) {
+    incCounter('auth_failures_total', { reason: 'admin-token' });
+    // Security warnings are always logged (critical)
+    logger.security(`[SECURITY] Invalid admin token attempt from IP: ${req.ip}`);
+    return res.status(401).json({
+      success: false,
+      error: 'Admin token required',
+      message: 'Please provide a valid admin token in header: Authorization: Bearer <token>'
+    });
+  }
+  
+  next();
+};
+
+// 7. Read Authentication Middleware (for the read endpoints)
+// Sets req.readScope (see READ ACCESS TOKENS): the token's scope, or all
+// devices for anonymous callers when ANONYMOUS_READS is on.
+const READ_AUTH_FAILURE_MESSAGES = {
+  invalid: 'The provided read token is not valid',
+  disabled: 'The provided read token has been revoked',
+  expired: 'The provided read token has expired'
+};
+
+const authenticateRead = (req, res, next) => {
+  const token = getReadToken(req);
+  
+  if (!token) {
+    if (ANONYMOUS_READS) {
+      req.readScope = FULL_READ_SCOPE;
+      return next();
+    }
+    incCounter('auth_failures_total', { reason: 'missing-read-token' });
+    return res.status(401).json({
+      success: false,
+      error: 'Read token required',
+      message: 'Please provide a read token in header: Authorization: Bearer <token> (or ?token=)'
+    });
+  }
+  
+  const result = verifyReadToken(token);
+  if (!result.ok) {
+    incCounter('auth_failures_total', { reason: 'read-token' });
+    // Security warnings are always logged (critical)
+    logger.security(`[SECURITY] Rejected read token (${result.reason}) from IP: ${req.ip}`);
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid read token',
+      message: READ_AUTH_FAILURE_MESSAGES[result.reason]
+    });
+  }
+  
+  req.readScope = result.scope;
+  next();
+};
+
+// 403 for a device outside the caller's read scope
+const sendOutOfScope = (res, deviceId) => res.status(403).json({
+  success: false,
+  error: 'Forbidden',
+  message: `The read token does not cover device ${deviceId}`
+});
+
+
+// ============================================================================
+// API ENDPOINTS
+// ============================================================================
+
+/**
+ * POST /api/water-level
+ * 
+ * Accepts water level data from IoT device (e.g., ESP32).
+ * Updates the in-memory buffer entry for the reporting deviceId.
+ * 
+ * Security: Requires API key in header (x-api-key). A per-device key only
+ * accepts readings whose deviceId matches the device it was issued for.
+ * Rate Limit: 200 requests per 15 minutes per device (default policy), AUTH_FAILURE_LIMIT failed auths per IP
+ * 
+ * Request Headers:
+ *   x-api-key: wtk_<keyId>_<secret> (per-device key) or the legacy shared API_KEY
+ *   or, for signed requests (see HMAC REQUEST SIGNING):
+ *   x-key-id, x-timestamp, x-nonce, x-signature
+ * 
+ * Request Body: WaterLevelRequest JSON object
+ * Example: {
+ *   "deviceId": "ESP32_001",
+ *   "distanceCm": "15.5",
+ *   "waterLevelCm": "84.5",
+ *   "waterPercentage": "75.5",
+ *   "tankHeightCm": "100",
+ *   "timestamp": "2024-01-15T10:30:45.123Z"
+ * }
+ * 
+ * Response: 200 OK with plain text "OK" (matches Java controller)
+ * 
+ * Response (downlink, with Accept: application/json or x-downlink: 1):
+ *   200 OK with { success, acknowledged: [commandId], commands: [{ commandId, type, params, expiresAt }] }
+ *   Acknowledge commands on a later post with "acks": ["<commandId>"] or
+ *   [{ "commandId", "status": "ok" | "error", "message" }] (see DEVICE DOWNLINK)
+ * 
+ * Response: 400 Bad Request with { success, error, message, details: [{ field, message }] }
+ *           if the payload fails validation
+ * 
+ * Use Case: IoT device (ESP32) sends water level readings every 5 seconds
+ * - Device includes API key in header for authentication
+ * - Payload is validated; numeric strings are coerced to numbers and missing
+ *   waterLevelCm / waterPercentage are derived from distanceCm and tankHeightCm
+ * - Old firmware can be configured for lenient mode (LENIENT_DEVICE_IDS or
+ *   VALIDATION_MODE=lenient), which stores the values as sent
+ * - Rate limiting prevents abuse while allowing normal IoT frequency
+ */
+app.post('/api/water-level', authFailureLimiter, authenticateAPI, postLimiter, (req, res) => {
+  try {
+    // Validate, check device binding and store (shared with the MQTT bridge)
+    const result = ingestReading(req.body, {
+      auth: req.auth,
+      origin: `IP: ${req.ip}`
+    });
+    
+    if (!result.ok) {
+      const { status, ...body } = result.failure;
+      return res.status(status).json({ success: false, ...body });
+    }
+    
+    // Acks ride along with accepted readings; commands go only to firmware that opted in
+    const deviceId = result.data.deviceId === null ? null : String(result.data.deviceId);
+    const acknowledged = deviceId ? acknowledgeCommands(deviceId, req.body.acks) : [];
+    if (wantsDownlink(req)) {
+      return res.status(200).json({
+        success: true,
+        acknowledged,
+        commands: deviceId ? takeOpenCommands(deviceId) : []
+      });
+    }
+    
+    // Return plain text "OK" to match Java controller response
+    res.status(200).type('text/plain').send('OK');
+  } catch (error) {
+    // Errors are always logged (critical)
+    logger.error('[ERROR] Failed to update water level data:', error);
+    res.status(500).type('text/plain').send('Internal server error');
+  }
+});
+
+/**
+ * POST /api/water-level/batch
+ * 
+ * Accepts readings a device buffered while offline, in one request.
+ * Counts once against the POST rate limit.
+ * 
+ * Security: Same as POST /api/water-level (API key or signed request)
+ * Rate Limit: 200 requests per 15 minutes per device (default policy), AUTH_FAILURE_LIMIT failed auths per IP
+ * 
+ * Request Body: [ { ...reading with timestamp }, ... ]  or  { "readings": [...] }
+ * (max BATCH_MAX_READINGS items, 256kb)
+ * 
+ * Response: 200 OK with {
+ *   success, accepted, duplicates, rejected,
+ *   results: [{ index, status: "accepted" | "duplicate" | "rejected", deviceId, timestamp, ... }]
+ * }
+ */
+app.post('/api/water-level/batch', batchJsonParser, authFailureLimiter, authenticateAPI, postLimiter, (req, res) => {
+  try {
+    const items = Array.isArray(req.body) ? req.body : req.body && req.body.readings;
+    
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: 'Body must be a non-empty array of readings (or { "readings": [...] })'
+      });
+    }
+    if (items.length > BATCH_MAX_READINGS) {
+      return res.status(413).json({
+        success: false,
+        error: 'Batch too large',
+        message: `A batch may contain at most ${BATCH_MAX_READINGS} readings`
+      });
+    }
+    
+    const results = ingestBatch(items, {
+      auth: req.auth,
+      origin: `IP: ${req.ip} (batch)`
+    });
+    const count = (status) => results.filter((result) => result.status === status).length;
+    
+    logger.info(`[BATCH] ${count('accepted')}/${items.length} readings accepted from IP: ${req.ip}`);
+    res.status(200).json({
+      success: true,
+      accepted: count('accepted'),
+      duplicates: count('duplicate'),
+      rejected: count('rejected'),
+      results
+    });
+  } catch (error) {
+    // Errors are always logged (critical)
+    logger.error('[ERROR] Failed to ingest water level batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/devices/:deviceId/commands
+ * 
+ * Command poll for devices that don't post readings (e.g. a pump relay, see
+ * PUMP CONTROL): acknowledges commands and returns the open ones, like the
+ * downlink response of POST /api/water-level.
+ * 
+ * Security: Same as POST /api/water-level (API key or signed request); a
+ * per-device key only polls its own device
+ * Rate Limit: 200 requests per 15 minutes per device (default policy), AUTH_FAILURE_LIMIT failed auths per IP
+ * 
+ * Request Body: { "acks": ["<commandId>"] }  (optional, see DEVICE DOWNLINK)
+ * 
+ * Response: 200 OK with { success, acknowledged: [commandId], commands: [{ commandId, type, params, expiresAt }] }
+ */
+app.post('/api/devices/:deviceId/commands', authFailureLimiter, authenticateAPI, postLimiter, (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    if (req.auth.deviceId && req.auth.deviceId !== deviceId) {
+      incCounter('auth_failures_total', { reason: 'device-mismatch' });
+      // Security warnings are always logged (critical)
+      logger.security(`[SECURITY] Credential for ${req.auth.deviceId} used to poll commands of ${deviceId} from IP: ${req.ip}`);
+      return res.status(403).json({
+        success: false,
+        error: 'Device mismatch',
+        message: 'The deviceId in the path does not match the API key'
+      });
+    }
+    
+    setLogDeviceId(deviceId);
+    const acknowledged = acknowledgeCommands(deviceId, req.body && req.body.acks);
+    res.status(200).json({ success: true, acknowledged, commands: takeOpenCommands(deviceId) });
+  } catch (error) {
+    // Errors are always logged (critical)
+    logger.error('[ERROR] Failed to poll device commands:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/latest
+ * 
+ * Returns the most recent water level data stored in the in-memory buffer.
+ * Without a filter this is the most recent reading across all devices the
+ * caller may read; with ?deviceId=ESP32_001 it is the latest reading of that device.
+ * 
+ * Security: Read token (see READ ACCESS TOKENS); public while ANONYMOUS_READS is on
+ * Rate Limit: 60 requests per minute per IP or key (default policy)
+ * 
+ * Query Parameters:
+ *   token    (optional): Read token, if not sent as Authorization: Bearer
+ *   deviceId (optional): Only return the latest reading of this device
+ *   include  (optional): "analytics" adds the device's analytics block
+ *   values   (optional): "filtered" (default) or "raw" sensor values
+ *   wait     (optional): Long-poll: hold the request up to this many seconds
+ *                        (max LONG_POLL_MAX_WAIT_SECONDS) until a new reading arrives
+ *   after    (optional): ETag the client already has (default: If-None-Match)
+ * 
+ * Conditional GET: responses carry a weak ETag and Last-Modified; a request
+ * with a matching If-None-Match / If-Modified-Since gets 304 Not Modified.
+ * 
+ * Response: 200 OK with latest water level data, 304 if unchanged (or the
+ * long-poll wait expired), 404 if no data exists yet, 401 without a valid
+ * read token (when required), or 403 if the token doesn't cover deviceId
+ * 
+ * Use Cases:
+ * 1. Mobile App Dashboard: Polls every 10-30 seconds to display current water level
+ * 2. Web Dashboard: Real-time updates using polling or WebSocket fallback
+ * 3. Monitoring System: Health checks and alerting based on water level
+ * 4. Third-party Integrations: External systems fetching latest readings
+ * 
+ * Standard Approach:
+ * - Public read access by default, scoped read tokens when ANONYMOUS_READS=false
+ * - Rate limited to prevent abuse
+ * - Returns structured JSON with metadata
+ * - Includes ageSeconds for cache control
+ */
+app.get('/api/latest', getLimiter, authenticateRead, (req, res) => {
+  try {
+    const { deviceId, after } = req.query;
+    const values = parseValuesParam(req.query.values);
+    const withAnalytics = String(req.query.include || '').split(',').includes('analytics');
+    const wait = req.query.wait === undefined ? 0 : Number(req.query.wait);
+    const variant = `${values}|${withAnalytics}`;
+    const findEntry = () => (deviceId ? deviceStore.get(String(deviceId)) : getLatestEntry(req.readScope));
+    
+    if (deviceId && !canReadDevice(req.readScope, String(deviceId))) {
+      return sendOutOfScope(res, deviceId);
+    }
+    if (!values) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid values: use raw or filtered'
+      });
+    }
+    if (!Number.isFinite(wait) || wait < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid wait: must be a number of seconds'
+      });
+    }
+    
+    // Unchanged = same reading as the client's ETag (after, else If-None-Match)
+    const isUnchanged = (entry) => {
+      if (!entry) return true;
+      const etag = getLatestEtag(entry, variant);
+      return after ? normalizeEtag(after) === normalizeEtag(etag) : isNotModified(req, etag, entry.lastUpdateTimestamp);
+    };
+    
+    const respond = (reason) => {
+      const entry = findEntry();
+      if (!entry) {
+        // No data has been received yet (for this device)
+        return res.status(404).json({
+          success: false,
+          message: deviceId
+            ? `No water level data available yet for device ${deviceId}`
+            : 'No water level data available yet',
+          data: null
+        });
+      }
+      
+      const etag = getLatestEtag(entry, variant);
+      res.set('ETag', etag);
+      res.set('Last-Modified', new Date(entry.lastUpdateTimestamp).toUTCString());
+      res.set('Cache-Control', 'no-cache');
+      if (isNotModified(req, etag, entry.lastUpdateTimestamp) || (reason === 'timeout' && isUnchanged(entry))) {
+        return res.status(304).end();
+      }
+      
+      // Return the latest water level data along with metadata
+      const body = formatLatestResponse(entry, { values });
+      if (withAnalytics) {
+        body.analytics = computeAnalytics(getDeviceKey(entry.data.deviceId));
+      }
+      res.status(200).json(body);
+    };
+    
+    if (wait > 0 && isUnchanged(findEntry())) {
+      const waitMs = Math.min(wait, LONG_POLL_MAX_WAIT_SECONDS) * 1000;
+      const matchesDevice = (key) => (deviceId ? key === String(deviceId) : canReadDevice(req.readScope, key));
+      const waiting = waitForReading(res, matchesDevice, waitMs, (reason) => {
+        if (reason !== 'closed') respond(reason);
+      });
+      if (!waiting) {
+        return res.status(503).json({
+          success: false,
+          message: 'Too many long-poll clients, please retry later'
+        });
+      }
+      return;
+    }
+    respond('immediate');
+  } catch (error) {
+    // Errors are always logged (critical)
+    logger.error('[ERROR] Failed to retrieve latest water level data:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/devices
+ * 
+ * Lists every device that has posted data since the server started,
+ * most recently seen first, with its watchdog status (online/stale/offline).
+ * Scoped read tokens only list the devices they cover.
+ * 
+ * Security: Read token (see READ ACCESS TOKENS); public while ANONYMOUS_READS is on
+ * Rate Limit: 60 requests per minute per IP or key (default policy)
+ * 
+ * Query Parameters:
+ *   include (optional): "latest" adds each device's latest reading (same
+ *                       shape as /api/latest data), so a dashboard needs one request
+ * 
+ * Response: 200 OK with { success, count, devices: [...] }
+ */
+app.get('/api/devices', getLimiter, authenticateRead, (req, res) => {
+  try {
+    const now = Date.now();
+    const withLatest = String(req.query.include || '').split(',').includes('latest');
+    const devices = Array.from(deviceStore.entries())
+      .filter(([key]) => canReadDevice(req.readScope, key))
+      .sort(([, a], [, b]) => b.lastUpdateTimestamp - a.lastUpdateTimestamp)
+      .map(([key, entry]) => ({
+        deviceId: key,
+        firstSeen: new Date(entry.firstSeenTimestamp).toISOString(),
+        lastSeen: new Date(entry.lastUpdateTimestamp).toISOString(),
+        ageSeconds: Math.floor((now - entry.lastUpdateTimestamp) / 1000),
+        status: entry.status,
+        monitored: getWatchdogConfig(key).monitored,
+        ...(withLatest ? { latest: formatLatestResponse(entry).data } : {})
+      }));
+    
+    res.status(200).json({
+      success: true,
+      count: devices.length,
+      devices
+    });
+  } catch (error) {
+    // Errors are always logged (critical)
+    logger.error('[ERROR] Failed to list devices:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/devices/:deviceId/latest
+ * 
+ * Returns the latest water level data of a single device.
+ * 
+ * Security: Read token covering the device (see READ ACCESS TOKENS); public while ANONYMOUS_READS is on
+ * Rate Limit: 60 requests per minute per IP or key (default policy)
+ * 
+ * Query Parameters:
+ *   values (optional): "filtered" (default) or "raw" sensor values
+ * 
+ * Response: 200 OK with the same shape as /api/latest, or 404 if the
+ * device has not posted any data yet
+ */
+app.get('/api/devices/:deviceId/latest', getLimiter, authenticateRead, (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    if (!canReadDevice(req.readScope, deviceId)) {
+      return sendOutOfScope(res, deviceId);
+    }
+    const values = parseValuesParam(req.query.values);
+    const entry = deviceStore.get(deviceId);
+    
+    if (!values) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid values: use raw or filtered'
+      });
+    }
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: `No water level data available yet for device ${deviceId}`,
+        data: null
+      });
+    }
+    
+    res.status(200).json(formatLatestResponse(entry, { values }));
+  } catch (error) {
+    // Errors are always logged (critical)
+    logger.error('[ERROR] Failed to retrieve device water level data:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/devices/:deviceId/history
+ * 
+ * Returns recent readings of a single device from the in-memory history.
+ * History is bounded (HISTORY_MAX_POINTS per device, HISTORY_MAX_AGE_HOURS).
+ * 
+ * Security: Read token covering the device (see READ ACCESS TOKENS); public while ANONYMOUS_READS is on
+ * Rate Limit: 60 requests per minute per IP or key (default policy)
+ * 
+ * Query Parameters:
+ *   from   (optional): Start time, ISO 8601 or epoch ms (inclusive)
+ *   to     (optional): End time, ISO 8601 or epoch ms (inclusive)
+ *   limit  (optional): Max number of points/buckets, most recent kept (default: 1000)
+ *   bucket (optional): Bucket size such as 30s, 5m, 1h, 1d. When set, returns
+ *                      min/avg/max per bucket instead of raw points
+ *   values (optional): "filtered" (default) or "raw" sensor values
+ * 
+ * Response: 200 OK with { success, deviceId, count, points } or
+ *           { success, deviceId, bucket, count, buckets }
+ */
+app.get('/api/devices/:deviceId/history', getLimiter, authenticateRead, (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    if (!canReadDevice(req.readScope, deviceId)) {
+      return sendOutOfScope(res, deviceId);
+    }
+    const from = parseTimeParam(req.query.from);
+    const to = parseTimeParam(req.query.to);
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 1000;
+    const bucketMs = req.query.bucket !== undefined ? parseBucketMs(req.query.bucket) : undefined;
+    const values = parseValuesParam(req.query.values);
+    
+    if (from === null || to === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid from/to: use ISO 8601 or epoch milliseconds'
+      });
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid limit: must be a positive integer'
+      });
+    }
+    if (bucketMs === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid bucket: use a size such as 30s, 5m, 1h or 1d'
+      });
+    }
+    if (!values) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid values: use raw or filtered'
+      });
+    }
+    
+    const buffer = historyStore.get(deviceId);
+    if (!buffer) {
+      return res.status(404).json({
+        success: false,
+        message: `No history available for device ${deviceId}`
+      });
+    }
+    
+    pruneHistory(buffer);
+    const points = buffer.toArray()
+      .filter((point) => (from === undefined || point.t >= from) && (to === undefined || point.t <= to))
+      .map((point) => ({ ...point, data: withVolume(deviceId, values === 'raw' ? toRawReading(point.data) : point.data) }));
+    
+    if (bucketMs) {
+      const buckets = bucketHistory(points, bucketMs).slice(-limit);
+      return res.status(200).json({
+        success: true,
+        deviceId,
+        bucket: req.query.bucket,
+        values,
+        count: buckets.length,
+        buckets
+      });
+    }
+    
+    const selected = points.slice(-limit).map((point) => point.data);
+    res.status(200).json({
+      success: true,
+      deviceId,
+      values,
+      count: selected.length,
+      points: selected
+    });
+  } catch (error) {
+    // Errors are always logged (critical)
+    logger.error('[ERROR] Failed to retrieve device history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/devices/:deviceId/analytics
+ * 
+ * Returns the smoothed fill/drain rate, time-to-empty / time-to-full
+ * estimates and daily / weekly consumption of a device.
+ * 
+ * Security: Read token covering the device (see READ ACCESS TOKENS); public while ANONYMOUS_READS is on
+ * Rate Limit: 60 requests per minute per IP or key (default policy)
+ * 
+ * Response: 200 OK with { success, deviceId, analytics }, or 404 if the
+ * device has not posted any data yet
+ */
+app.get('/api/devices/:deviceId/analytics', getLimiter, authenticateRead, (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    if (!canReadDevice(req.readScope, deviceId)) {
+      return sendOutOfScope(res, deviceId);
+    }
+    const analytics = computeAnalytics(deviceId);
+    
+    if (!analytics) {
+      return res.status(404).json({
+        success: false,
+        message: `No water level data available yet for device ${deviceId}`
+      });
+    }
+    
+    res.status(200).json({ success: true, deviceId, analytics });
+  } catch (error) {
+    // Errors are always logged (critical)
+    logger.error('[ERROR] Failed to compute device analytics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/devices/:deviceId/summary
+ * 
+ * Daily, weekly or monthly report of a device from its stored readings (see
+ * READING REPORTS): min/avg/max level, refills and estimated consumption per
+ * period in the requested time zone. Periods without readings are omitted.
+ * 
+ * Security: Read token covering the device (see READ ACCESS TOKENS); public while ANONYMOUS_READS is on
+ * Rate Limit: 60 requests per minute per IP or key (default policy)
+ * 
+ * Query Parameters:
+ *   period (optional): "day" (default), "week" (Monday to Sunday) or "month"
+ *   tz     (optional): IANA time zone, e.g. Europe/Berlin (default: REPORT_TIMEZONE or UTC)
+ *   from   (optional): Start time, ISO 8601 or epoch ms (default: 31 days, 12 weeks or 366 days before `to`)
+ *   to     (optional): End time, ISO 8601 or epoch ms (default: now)
+ * 
+ * Response: 200 OK with { success, deviceId, period, tz, from, to, source, count, periods }
+ *           (source: "archive" with file storage, "history" = in-memory history only)
+ */
+app.get('/api/devices/:deviceId/summary', getLimiter, authenticateRead, async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    if (!canReadDevice(req.readScope, deviceId)) {
+      return sendOutOfScope(res, deviceId);
+    }
+    const period = req.query.period !== undefined ? String(req.query.period) : 'day';
+    const tz = req.query.tz !== undefined ? String(req.query.tz) : REPORT_TIMEZONE;
+    const from = parseTimeParam(req.query.from);
+    const to = parseTimeParam(req.query.to);
+    
+    if (!Object.prototype.hasOwnProperty.call(SUMMARY_DEFAULT_DAYS, period)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid period: use day, week or month'
+      });
+    }
+    if (!isValidTimeZone(tz)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tz: use an IANA time zone such as Europe/Berlin'
+      });
+    }
+    if (from === null || to === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid from/to: use ISO 8601 or epoch milliseconds'
+      });
+    }
+    if (!deviceStore.has(deviceId)) {
+      return res.status(404).json({
+        success: false,
+        message: `No water level data available yet for device ${deviceId}`
+      });
+    }
+    
+    const rangeTo = to === undefined ? Date.now() : to;
+    const rangeFrom = from === undefined ? rangeTo - SUMMARY_DEFAULT_DAYS[period] * 24 * MS_PER_HOUR : from;
+    const periods = await summarizeReadings(deviceId, storage.readReadings(deviceId, rangeFrom, rangeTo), period, tz);
+    
+    res.status(200).json({
+      success: true,
+      deviceId,
+      period,
+      tz,
+      from: new Date(rangeFrom).toISOString(),
+      to: new Date(rangeTo).toISOString(),
+      source: storage.readingsSource,
+      count: periods.length,
+      periods
+    });
+  } catch (error) {
+    // Errors are always logged (critical)
+    logger.error('[ERROR] Failed to compute device summary:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/devices/:deviceId/export
+ * 
+ * Downloads the stored readings of a device (see READING REPORTS), oldest
+ * first, as CSV (one header row) or NDJSON (one JSON object per line).
+ * Rows are streamed as they are read, so large ranges are never buffered.
+ * 
+ * Security: Read token covering the device (see READ ACCESS TOKENS); public while ANONYMOUS_READS is on
+ * Rate Limit: 60 requests per minute per IP or key (default policy)
+ * 
+ * Query Parameters:
+ *   format (optional): "csv" (default) or "ndjson"
+ *   from   (optional): Start time, ISO 8601 or epoch ms (inclusive)
+ *   to     (optional): End time, ISO 8601 or epoch ms (inclusive)
+ *   values (optional): "filtered" (default) or "raw" sensor values
+ * 
+ * Response: 200 text/csv or application/x-ndjson attachment with the columns
+ *           timestamp, receivedAt, deviceId, distanceCm, waterLevelCm, waterPercentage,
+ *           tankHeightCm, volumeLitres, volumePercentage, anomaly, anomalyReason
+ * 
+ * Example:
+ *   curl -o tank.csv "https://your-app.onrender.com/api/devices/ESP32_001/export?from=2024-01-01"
+ */
+app.get('/api/devices/:deviceId/export', getLimiter, authenticateRead, async (req, res) => {
+  const { deviceId } = req.params;
+  if (!canReadDevice(req.readScope, deviceId)) {
+    return sendOutOfScope(res, deviceId);
+  }
+  const format = req.query.format !== undefined ? String(req.query.format) : 'csv';
+  const from = parseTimeParam(req.query.from);
+  const to = parseTimeParam(req.query.to);
+  const values = parseValuesParam(req.query.values);
+  
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid format: use csv or ndjson'
+    });
+  }
+  if (from === null || to === null) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid from/to: use ISO 8601 or epoch milliseconds'
+    });
+  }
+  if (!values) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid values: use raw or filtered'
+    });
+  }
+  if (!deviceStore.has(deviceId)) {
+    return res.status(404).json({
+      success: false,
+      message: `No water level data available yet for device ${deviceId}`
+    });
+  }
+  
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+  
+  const filename = `${deviceId.replace(/[^A-Za-z0-9._-]/g, '_')}-readings.${format}`;
+  res.status(200).set({
+    'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store'
+  });
+  
+  let chunk = format === 'csv' ? `${EXPORT_COLUMNS.join(',')}\n` : '';
+  let count = 0;
+  try {
+    const readings = storage.readReadings(deviceId, from === undefined ? -Infinity : from, to === undefined ? Infinity : to);
+    for await (const point of readings) {
+      if (closed) break;
+      const row = toExportRow(deviceId, point, values);
+      chunk += format === 'csv'
+        ? `${EXPORT_COLUMNS.map((column) => toCsvCell(row[column])).join(',')}\n`
+        : `${JSON.stringify(row)}\n`;
+      count++;
+      if (chunk.length >= EXPORT_CHUNK_SIZE) {
+        const flushed = res.write(chunk);
+        chunk = '';
+        if (!flushed) await waitForDrain(res);
+      }
+    }
+    
+    if (closed) {
+      logger.info(`[EXPORT] ${deviceId}: client went away after ${count} readings`);
+      return;
+    }
+    res.end(chunk);
+    logger.info(`[EXPORT] ${deviceId}: ${count} readings as ${format}`);
+  } catch (error) {
+    // Errors are always logged (critical)
+    logger.error('[ERROR] Failed to export readings:', error);
+    if (res.headersSent) {
+      // Part of the file is out: cut it off so it isn't mistaken for complete
+      return res.destroy(error);
+    }
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/stream
+ * 
+ * Server-Sent Events stream of accepted readings (event type: "reading").
+ * Each event has an id; reconnecting clients send the Last-Event-ID header
+ * (browsers do this automatically) and receive the events they missed,
+ * as long as they are still in the replay buffer (EVENT_REPLAY_SIZE).
+ * Only events of devices the read token covers are sent.
+ * 
+ * Security: Read token (see READ ACCESS TOKENS, ?token= for EventSource); public while ANONYMOUS_READS is on
+ * Rate Limit: 60 connections per minute per IP or key, SSE_MAX_CLIENTS concurrent streams
+ * 
+ * Query Parameters:
+ *   token       (optional): Read token (EventSource can't set headers)
+ *   deviceId    (optional): Only stream events of this device
+ *   lastEventId (optional): Same as the Last-Event-ID header (for clients that can't set headers)
+ * 
+ * Response: 200 text/event-stream, or 503 if too many clients are connected
+ * 
+ * Example:
+ *   curl -N https://your-app.onrender.com/api/stream?deviceId=ESP32_001
+ */
+app.get('/api/stream', getLimiter, authenticateRead, (req, res) => {
+  const deviceId = req.query.deviceId ? String(req.query.deviceId) : null;
+  if (deviceId && !canReadDevice(req.readScope, deviceId)) {
+    return sendOutOfScope(res, deviceId);
+  }
+  if (sseClients.size >= SSE_MAX_CLIENTS) {
+    logger.warn(`[SSE] Connection rejected (limit ${SSE_MAX_CLIENTS} reached) from IP: ${req.ip}`);
+    return res.status(503).json({
+      success: false,
+      message: 'Too many stream clients connected, please try again later'
+    });
+  }
+  
+  const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId, 10);
+  
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering
+  });
+  res.flushHeaders();
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+  
+  const client = { res, deviceId, tokenId: req.readScope.tokenId };
+  const matches = (event) => (client.deviceId ? event.deviceId === client.deviceId : canReadDevice(req.readScope, event.deviceId));
+  
+  // Replay missed events for resuming clients
+  if (Number.isInteger(lastEventId)) {
+    getEventsSince(lastEventId).filter(matches).forEach((event) => writeSseEvent(res, event));
+  }
+  
+  const onEvent = (event) => {
+    if (matches(event)) writeSseEvent(res, event);
+  };
+  eventBus.on('event', onEvent);
+  sseClients.add(client);
+  logger.debug(`[SSE] Client connected (${sseClients.size}/${SSE_MAX_CLIENTS}) device=${deviceId || '*'}`);
+  
+  req.on('close', () => {
+    eventBus.off('event', onEvent);
+    sseClients.delete(client);
+    logger.debug(`[SSE] Client disconnected (${sseClients.size}/${SSE_MAX_CLIENTS})`);
+  });
+});
+
+/**
+ * GET /api/alerts
+ * 
+ * Returns the log of fired and resolved alerts, newest first.
+ * The log keeps the last ALERT_LOG_SIZE alerts in memory.
+ * Scoped read tokens only see alerts of the devices they cover.
+ * 
+ * Security: Read token (see READ ACCESS TOKENS); public while ANONYMOUS_READS is on
+ * Rate Limit: 60 requests per minute per IP or key (default policy)
+ * 
+ * Query Parameters:
+ *   deviceId (optional): Only alerts of this device
+ *   status   (optional): fired | resolved | active (fired and not yet resolved)
+ *   limit    (optional): Max number of alerts, 1 to ALERT_LOG_SIZE (default: 100)
+ */
+app.get('/api/alerts', getLimiter, authenticateRead, (req, res) => {
+  try {
+    const { deviceId, status } = req.query;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 100;
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid limit: must be a positive integer'
+      });
+    }
+    const activeAlertIds = new Set(
+      Array.from(alertRuleState.values()).filter((state) => state.active).map((state) => state.alertId)
+    );
+    
+    const alerts = alertLog.toArray()
+      .filter((alert) => canReadDevice(req.readScope, alert.deviceId))
+      .filter((alert) => !deviceId || alert.deviceId === deviceId)
+      .filter((alert) => {
+        if (status === 'active') return alert.status === 'fired' && activeAlertIds.has(alert.alertId);
+        return !status || alert.status === status;
+      })
+      .reverse()
+      .slice(0, Math.min(limit, ALERT_LOG_SIZE));
+    
+    res.status(200).json({ success: true, count: alerts.length, alerts });
+  } catch (error) {
+    // Errors are always logged (critical)
+    logger.error('[ERROR] Failed to retrieve alerts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+// ============================================================================
+// ADMIN ENDPOINTS (Authorization: Bearer ADMIN_TOKEN)
+// ============================================================================
+
+/**
+ * GET /api/admin/keys
+ * 
+ * Lists registered API keys (hashes are never returned).
+ * Optional filter: ?deviceId=ESP32_001
+ */
+app.get('/api/admin/keys', getLimiter, authenticateAdmin, (req, res) => {
+  const { deviceId } = req.query;
+  const keys = Array.from(apiKeyRegistry.values())
+    .filter((record) => !deviceId || record.deviceId === deviceId)
+    .map(formatApiKey);
+  
+  res.status(200).json({ success: true, count: keys.length, keys });
+});
+
+/**
+ * POST /api/admin/keys
+ * 
+ * Issues a new API key bound to a device.
+ * Request Body: { "deviceId": "ESP32_001", "label": "kitchen tank", "expiresInDays": 365 }
+ * (expiresInDays: 0 means no expiry)
+ * 
+ * Response: 201 Created with { success, key, apiKey } - apiKey is only shown once
+ */
+app.post('/api/admin/keys', postLimiter, authenticateAdmin, (req, res) => {
+  const { deviceId, label, expiresInDays } = req.body || {};
+  const ttlDays = expiresInDays === undefined ? API_KEY_DEFAULT_TTL_DAYS : Number(expiresInDays);
+  
+  if (!deviceId || !DEVICE_ID_PATTERN.test(String(deviceId))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: 'deviceId is required (1-64 characters: letters, digits, _ . : -)'
+    });
+  }
+  if (!Number.isFinite(ttlDays) || ttlDays < 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: 'expiresInDays must be a non-negative number'
+    });
+  }
+  
+  const { record, key } = issueApiKey(String(deviceId), { label: label ? String(label) : null, ttlDays });
+  persistCollection('apiKeys');
+  logger.info(`[ADMIN] Issued API key ${record.keyId} for device ${record.deviceId}`);
+  res.status(201).json({ success: true, key: formatApiKey(record), apiKey: key });
+});
+
+/**
+ * POST /api/admin/keys/:keyId/rotate
+ * 
+ * Issues a replacement key for the same device. The old key keeps working
+ * for an overlap window so the device can be updated without downtime.
+ * Request Body: { "overlapSeconds": 86400, "expiresInDays": 365 } (both optional)
+ * 
+ * Response: 201 Created with { success, key, apiKey, previousKey }
+ */
+app.post('/api/admin/keys/:keyId/rotate', postLimiter, authenticateAdmin, (req, res) => {
+  const record = apiKeyRegistry.get(req.params.keyId);
+  if (!record) {
+    return res.status(404).json({ success: false, message: `API key ${req.params.keyId} not found` });
+  }
+  
+  const { overlapSeconds = 24 * 60 * 60, expiresInDays } = req.body || {};
+  const overlapMs = Number(overlapSeconds) * 1000;
+  const ttlDays = expiresInDays === undefined ? API_KEY_DEFAULT_TTL_DAYS : Number(expiresInDays);
+  if (!Number.isFinite(overlapMs) || overlapMs < 0 || !Number.isFinite(ttlDays) || ttlDays < 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: 'overlapSeconds and expiresInDays must be non-negative numbers'
+    });
+  }
+  
+  const { record: newRecord, key } = issueApiKey(record.deviceId, {
+    label: record.label,
+    ttlDays,
+    rotatedFrom: record.keyId
+  });
+  const overlapEnd = Date.now() + overlapMs;
+  record.expiresAt = record.expiresAt === null ? overlapEnd : Math.min(record.expiresAt, overlapEnd);
+  
+  persistCollection('apiKeys');
+  logger.info(`[ADMIN] Rotated API key ${record.keyId} -> ${newRecord.keyId} for device ${record.deviceId}`);
+  res.status(201).json({
+    success: true,
+    key: formatApiKey(newRecord),
+    apiKey: key,
+    previousKey: formatApiKey(record)
+  });
+});
+
+/**
+ * POST /api/admin/keys/:keyId/revoke
+ * 
+ * Disables a key immediately.
+ */
+app.post('/api/admin/keys/:keyId/revoke', postLimiter, authenticateAdmin, (req, res) => {
+  const record = apiKeyRegistry.get(req.params.keyId);
+  if (!record) {
+    return res.status(404).json({ success: false, message: `API key ${req.params.keyId} not found` });
+  }
+  
+  record.enabled = false;
+  persistCollection('apiKeys');
+  logger.info(`[ADMIN] Revoked API key ${record.keyId} for device ${record.deviceId}`);
+  res.status(200).json({ success: true, key: formatApiKey(record) });
+});
+
+/**
+ * GET /api/admin/read-tokens
+ * 
+ * Lists read tokens (hashes are never returned).
+ */
+app.get('/api/admin/read-tokens', getLimiter, authenticateAdmin, (req, res) => {
+  const tokens = Array.from(readTokenRegistry.values()).map(formatReadToken);
+  res.status(200).json({ success: true, count: tokens.length, anonymousReads: ANONYMOUS_READS, tokens });
+});
+
+/**
+ * POST /api/admin/read-tokens
+ * 
+ * Issues a read token limited to devices and/or tanks ("*" for all).
+ * Request Body: { "label": "building manager", "devices": ["ESP32_001"], "tanks": [], "expiresInDays": 90 }
+ * (expiresInDays: omitted or 0 means no expiry)
+ * 
+ * Response: 201 Created with { success, token, readToken } - readToken is only shown once
+ */
+app.post('/api/admin/read-tokens', postLimiter, authenticateAdmin, (req, res) => {
+  const body = req.body || {};
+  const { scope, errors } = validateReadScope(body);
+  const ttlDays = body.expiresInDays === undefined ? 0 : Number(body.expiresInDays);
+  if (!Number.isFinite(ttlDays) || ttlDays < 0) {
+    errors.push({ field: 'expiresInDays', message: 'must be a non-negative number' });
+  }
+  
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.map((e) => `${e.field} ${e.message}`).join('; '),
+      details: errors
+    });
+  }
+  
+  const { record, token } = issueReadToken({ label: body.label ? String(body.label) : null, ...scope, ttlDays });
+  persistCollection('readTokens');
+  logger.info(`[ADMIN] Issued read token ${record.tokenId} for devices [${record.devices}] tanks [${record.tanks}]`);
+  res.status(201).json({ success: true, token: formatReadToken(record), readToken: token });
+});
+
+/**
+ * POST /api/admin/read-tokens/:tokenId/revoke
+ * 
+ * Disables a read token immediately (open streams of the token are closed).
+ */
+app.post('/api/admin/read-tokens/:tokenId/revoke', postLimiter, authenticateAdmin, (req, res) => {
+  const record = readTokenRegistry.get(req.params.tokenId);
+  if (!record) {
+    return res.status(404).json({ success: false, message: `Read token ${req.params.tokenId} not found` });
+  }
+  
+  record.enabled = false;
+  closeReadStreams(record.tokenId);
+  persistCollection('readTokens');
+  logger.info(`[ADMIN] Revoked read token ${record.tokenId}`);
+  res.status(200).json({ success: true, token: formatReadToken(record) });
+});
+
+/**
+ * PUT /api/admin/devices/:deviceId/auth-mode
+ * 
+ * Sets which device authentication a device must use.
+ * Request Body: { "mode": "hmac" }  ('api-key' accepts plain keys and signatures,
+ * 'hmac' requires signed requests)
+ */
+app.put('/api/admin/devices/:deviceId/auth-mode', postLimiter, authenticateAdmin, (req, res) => {
+  const { deviceId } = req.params;
+  const { mode } = req.body || {};
+  
+  if (!AUTH_MODES.includes(mode)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: `mode must be one of: ${AUTH_MODES.join(', ')}`
+    });
+  }
+  
+  deviceAuthModes.set(deviceId, mode);
+  persistCollection('deviceAuthModes');
+  logger.info(`[ADMIN] Auth mode for device ${deviceId} set to ${mode}`);
+  res.status(200).json({ success: true, deviceId, mode });
+});
+
+/**
+ * GET /api/admin/alert-rules
+ * 
+ * Lists alert rules with their current state. Optional filter: ?deviceId=
+ */
+app.get('/api/admin/alert-rules', getLimiter, authenticateAdmin, (req, res) => {
+  const { deviceId } = req.query;
+  const rules = Array.from(alertRules.values())
+    .filter((rule) => !deviceId || rule.deviceId === deviceId)
+    .map((rule) => ({ ...rule, active: Boolean((alertRuleState.get(rule.ruleId) || {}).active) }));
+  
+  res.status(200).json({ success: true, count: rules.length, rules });
+});
+
+/**
+ * POST /api/admin/alert-rules
+ * 
+ * Creates an alert rule.
+ * Request Body: {
+ *   "deviceId": "ESP32_001",
+ *   "name": "Tank low",
+ *   "type": "below",              // below | above | drop
+ *   "field": "waterPercentage",   // waterPercentage | waterLevelCm | distanceCm
+ *   "threshold": 20,
+ *   "hysteresis": 2,              // optional (default 2)
+ *   "cooldownSeconds": 300,       // optional (default 300)
+ *   "windowMinutes": 5,           // drop rules only (default 5)
+ *   "webhookUrls": ["https://example.com/hook"]
+ * }
+ */
+app.post('/api/admin/alert-rules', postLimiter, authenticateAdmin, (req, res) => {
+  if (alertRules.size >= MAX_ALERT_RULES) {
+    return res.status(409).json({ success: false, message: `Rule limit reached (max ${MAX_ALERT_RULES})` });
+  }
+  
+  const { rule, errors } = validateAlertRule(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.map((e) => `${e.field} ${e.message}`).join('; '),
+      details: errors
+    });
+  }
+  
+  alertRules.set(rule.ruleId, rule);
+  persistCollection('alertRules');
+  logger.info(`[ADMIN] Created alert rule ${rule.ruleId} for device ${rule.deviceId}`);
+  res.status(201).json({ success: true, rule });
 });
 
-const getLimiter = rateLimit({
-  windowMs: 1 * 60 * 1000, // 1 minute
-  max: 60, // Allow 60 GET requests per minute per IP
-  message: 'Too many requests from this IP, please try again later.',
-  standardHeaders: true,
-  legacyHeaders: false,
+/**
+ * PUT /api/admin/alert-rules/:ruleId
+ * 
+ * Updates an alert rule (fields not given keep their value).
+ * Changing a rule resets its fired/resolved state.
+ */
+app.put('/api/admin/alert-rules/:ruleId', postLimiter, authenticateAdmin, (req, res) => {
+  const existing = alertRules.get(req.params.ruleId);
+  if (!existing) {
+    return res.status(404).json({ success: false, message: `Alert rule ${req.params.ruleId} not found` });
+  }
+  
+  const { rule, errors } = validateAlertRule(req.body, existing);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.map((e) => `${e.field} ${e.message}`).join('; '),
+      details: errors
+    });
+  }
+  
+  alertRules.set(rule.ruleId, rule);
+  alertRuleState.delete(rule.ruleId);
+  persistCollection('alertRules');
+  logger.info(`[ADMIN] Updated alert rule ${rule.ruleId}`);
+  res.status(200).json({ success: true, rule });
 });
 
-// 4. Request logging middleware (minimal, flag-based)
-app.use((req, res, next) => {
-  // Only log requests if logging is enabled
-  logger.log(`[${new Date().toISOString()}] ${req.method} ${req.path} - IP: ${req.ip}`);
-  next();
+/**
+ * DELETE /api/admin/alert-rules/:ruleId
+ */
+app.delete('/api/admin/alert-rules/:ruleId', postLimiter, authenticateAdmin, (req, res) => {
+  if (!alertRules.delete(req.params.ruleId)) {
+    return res.status(404).json({ success: false, message: `Alert rule ${req.params.ruleId} not found` });
+  }
+  
+  alertRuleState.delete(req.params.ruleId);
+  persistCollection('alertRules');
+  logger.info(`[ADMIN] Deleted alert rule ${req.params.ruleId}`);
+  res.status(200).json({ success: true, ruleId: req.params.ruleId });
 });
 
-// 5. API Key Authentication Middleware (for POST requests)
-const authenticateAPI = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'] || req.headers['api-key'];
+/**
+ * PUT /api/admin/devices/:deviceId/watchdog
+ * 
+ * Sets the silence thresholds of one device.
+ * Request Body: { "staleAfterSeconds": 30, "offlineAfterSeconds": 120, "monitored": true }
+ * (monitored: false keeps an offline device from degrading /health)
+ */
+app.put('/api/admin/devices/:deviceId/watchdog', postLimiter, authenticateAdmin, (req, res) => {
+  const { deviceId } = req.params;
+  const current = getWatchdogConfig(deviceId);
+  const body = req.body || {};
+  const staleAfterMs = body.staleAfterSeconds === undefined ? current.staleAfterMs : Number(body.staleAfterSeconds) * 1000;
+  const offlineAfterMs = body.offlineAfterSeconds === undefined ? current.offlineAfterMs : Number(body.offlineAfterSeconds) * 1000;
   
-  if (!apiKey) {
-    return res.status(401).json({
+  if (!(staleAfterMs > 0) || !(offlineAfterMs >= staleAfterMs)) {
+    return res.status(400).json({
       success: false,
-      error: 'API key required',
-      message: 'Please provide API key in header: x-api-key'
+      error: 'Validation failed',
+      message: 'staleAfterSeconds must be positive and offlineAfterSeconds must be >= staleAfterSeconds'
+    });
+  }
+  if (body.monitored !== undefined && typeof body.monitored !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: 'monitored must be true or false'
     });
   }
   
-  if (apiKey !== API_KEY) {
-    // Security warnings are always logged (critical)
-    logger.warn(`[SECURITY] Invalid API key attempt from IP: ${req.ip}`);
-    return res.status(403).json({
+  const config = { staleAfterMs, offlineAfterMs, monitored: body.monitored === undefined ? current.monitored : body.monitored };
+  deviceWatchdogConfig.set(deviceId, config);
+  const entry = deviceStore.get(deviceId);
+  if (entry) updateDeviceStatus(deviceId, entry);
+  
+  persistCollection('deviceWatchdog');
+  logger.info(`[ADMIN] Watchdog for device ${deviceId}: stale ${staleAfterMs / 1000}s, offline ${offlineAfterMs / 1000}s`);
+  res.status(200).json({
+    success: true,
+    deviceId,
+    staleAfterSeconds: staleAfterMs / 1000,
+    offlineAfterSeconds: offlineAfterMs / 1000,
+    monitored: config.monitored
+  });
+});
+
+/**
+ * PUT /api/admin/devices/:deviceId/filter
+ * 
+ * Sets the noise filter of one device (fields not given keep their value).
+ * Request Body: {
+ *   "mode": "median",            // none | median | ema
+ *   "window": 5,                 // median window (readings)
+ *   "alpha": 0.3,                // EMA smoothing factor (0-1]
+ *   "maxRateCmPerMinute": 10,    // null turns the rate check off
+ *   "rangeCheck": true
+ * }
+ */
+app.put('/api/admin/devices/:deviceId/filter', postLimiter, authenticateAdmin, (req, res) => {
+  const { deviceId } = req.params;
+  const { config, errors } = validateFilterConfig(req.body, getFilterConfig(deviceId));
+  
+  if (errors.length > 0) {
+    return res.status(400).json({
       success: false,
-      error: 'Invalid API key',
-      message: 'The provided API key is not valid'
+      error: 'Validation failed',
+      message: errors.map((e) => `${e.field} ${e.message}`).join('; '),
+      details: errors
     });
   }
   
-  next();
-};
+  deviceFilterConfig.set(deviceId, config);
+  persistCollection('deviceFilters');
+  logger.info(`[ADMIN] Filter for device ${deviceId}: ${config.mode}, rate limit ${config.maxRateCmPerMinute || 'off'}`);
+  res.status(200).json({ success: true, deviceId, filter: config });
+});
 
+/**
+ * GET /api/admin/devices/:deviceId/commands
+ * 
+ * Lists the downlink commands of a device, oldest first (open commands and
+ * the last finished ones). Optional filter: ?status=pending|delivered|acked|failed|expired|cancelled
+ */
+app.get('/api/admin/devices/:deviceId/commands', getLimiter, authenticateAdmin, (req, res) => {
+  const { deviceId } = req.params;
+  const { status } = req.query;
+  const commands = getDeviceCommands(deviceId).filter((command) => !status || command.status === status);
+  res.status(200).json({ success: true, deviceId, count: commands.length, commands });
+});
 
-// ============================================================================
-// API ENDPOINTS
-// ============================================================================
+/**
+ * POST /api/admin/devices/:deviceId/commands
+ * 
+ * Queues a command for a device; it is delivered with the response to the
+ * device's next POST /api/water-level (if the firmware opted in).
+ * Request Body: {
+ *   "type": "config",                                    // config | reboot | any firmware command
+ *   "params": { "reportIntervalSeconds": 30 },           // config: reportIntervalSeconds, tankHeightCm, calibrationOffsetCm
+ *   "ttlSeconds": 86400                                  // optional (default DOWNLINK_DEFAULT_TTL_SECONDS)
+ * }
+ * 
+ * Response: 201 Created with { success, command }
+ * Response: 409 Conflict if the device already has DOWNLINK_MAX_OPEN_COMMANDS open commands
+ */
+app.post('/api/admin/devices/:deviceId/commands', postLimiter, authenticateAdmin, (req, res) => {
+  const { deviceId } = req.params;
+  if (!DEVICE_ID_PATTERN.test(deviceId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: 'deviceId must be 1-64 characters (letters, digits, _ . : -)'
+    });
+  }
+  
+  const { command, errors } = validateCommand(deviceId, req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.map((e) => `${e.field} ${e.message}`).join('; '),
+      details: errors
+    });
+  }
+  if (!queueCommand(command)) {
+    return res.status(409).json({
+      success: false,
+      message: `Device ${deviceId} has ${DOWNLINK_MAX_OPEN_COMMANDS} open commands; wait for acknowledgements or cancel some`
+    });
+  }
+  
+  persistCollection('deviceCommands');
+  logger.info(`[ADMIN] Queued ${command.type} command ${command.commandId} for device ${deviceId}`);
+  res.status(201).json({ success: true, command });
+});
 
 /**
- * POST /api/water-level
+ * DELETE /api/admin/devices/:deviceId/commands/:commandId
  * 
- * Accepts water level data from IoT device (e.g., ESP32).
- * Updates the in-memory buffer with the latest data.
+ * Cancels an open (pending or delivered) command.
+ * Response: 409 Conflict if the command has already finished
+ */
+app.delete('/api/admin/devices/:deviceId/commands/:commandId', postLimiter, authenticateAdmin, (req, res) => {
+  const { deviceId, commandId } = req.params;
+  const command = getDeviceCommands(deviceId).find((c) => c.commandId === commandId);
+  if (!command) {
+    return res.status(404).json({ success: false, message: `Command ${commandId} not found for device ${deviceId}` });
+  }
+  if (!isOpenCommand(command)) {
+    return res.status(409).json({ success: false, message: `Command ${commandId} is already ${command.status}` });
+  }
+  
+  command.status = 'cancelled';
+  command.completedAt = new Date().toISOString();
+  incCounter('device_commands_total', { status: 'cancelled' });
+  persistCollection('deviceCommands');
+  logger.info(`[ADMIN] Cancelled command ${commandId} for device ${deviceId}`);
+  res.status(200).json({ success: true, command });
+});
+
+/**
+ * GET /api/admin/tanks
  * 
- * Security: Requires API key in header (x-api-key)
- * Rate Limit: 200 requests per 15 minutes per IP
+ * Lists tank definitions (with computed capacityLitres).
+ */
+app.get('/api/admin/tanks', getLimiter, authenticateAdmin, (req, res) => {
+  const tanks = Array.from(tankRegistry.values());
+  res.status(200).json({ success: true, count: tanks.length, tanks });
+});
+
+/**
+ * PUT /api/admin/tanks/:deviceId
  * 
- * Request Headers:
- *   x-api-key: WATER_TANK_API_KEY_2024_SECURE (or from env)
+ * Creates or replaces the tank definition of a device.
+ * Request Body: {
+ *   "shape": "vertical-cylinder",   // vertical-cylinder | cuboid | horizontal-cylinder
+ *   "diameterCm": 110,              // cylinders
+ *   "heightCm": 120,                // vertical-cylinder, cuboid
+ *   "lengthCm": 200,                // cuboid, horizontal-cylinder
+ *   "widthCm": 100,                 // cuboid
+ *   "sensorOffsetCm": 5,            // optional: sensor face to full level (default 0)
+ *   "deadZoneCm": 20                // optional: sensor blind range (default 0)
+ * }
+ */
+app.put('/api/admin/tanks/:deviceId', postLimiter, authenticateAdmin, (req, res) => {
+  const { deviceId } = req.params;
+  const { tank, errors } = validateTankDefinition(deviceId, req.body);
+  
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.map((e) => `${e.field} ${e.message}`).join('; '),
+      details: errors
+    });
+  }
+  
+  const created = !tankRegistry.has(deviceId);
+  tankRegistry.set(deviceId, tank);
+  rebaseConsumption(deviceId);
+  persistCollection('tanks');
+  persistCollection('consumption');
+  logger.info(`[ADMIN] Tank for device ${deviceId}: ${tank.shape}, ${tank.capacityLitres} L`);
+  res.status(created ? 201 : 200).json({ success: true, tank });
+});
+
+/**
+ * DELETE /api/admin/tanks/:deviceId
+ */
+app.delete('/api/admin/tanks/:deviceId', postLimiter, authenticateAdmin, (req, res) => {
+  const { deviceId } = req.params;
+  if (!tankRegistry.delete(deviceId)) {
+    return res.status(404).json({ success: false, message: `No tank defined for device ${deviceId}` });
+  }
+  
+  rebaseConsumption(deviceId);
+  persistCollection('tanks');
+  persistCollection('consumption');
+  logger.info(`[ADMIN] Deleted tank for device ${deviceId}`);
+  res.status(200).json({ success: true, deviceId });
+});
+
+/**
+ * GET /api/admin/pumps
  * 
- * Request Body: WaterLevelRequest JSON object
- * Example: {
- *   "deviceId": "ESP32_001",
- *   "distanceCm": "15.5",
- *   "waterLevelCm": "84.5",
- *   "waterPercentage": "75.5",
- *   "tankHeightCm": "100",
- *   "timestamp": "2024-01-15T10:30:45.123Z"
+ * Lists pump controllers with their state (mode, pumpOn, runningSince,
+ * lockout, last relay command).
+ */
+app.get('/api/admin/pumps', getLimiter, authenticateAdmin, (req, res) => {
+  const pumps = Array.from(pumpControllers.values()).map(formatPumpController);
+  res.status(200).json({ success: true, count: pumps.length, pumps });
+});
+
+/**
+ * PUT /api/admin/pumps/:deviceId
+ * 
+ * Creates or updates the pump controller of a tank (deviceId of its level
+ * sensor); fields not given keep their value.
+ * Request Body: {
+ *   "relayDeviceId": "RELAY_001",   // device that switches the pump (polls its commands)
+ *   "lowPercent": 20,               // pump on below (default 20)
+ *   "highPercent": 90,              // pump off at (default 90)
+ *   "maxRunMinutes": 60,            // interlock: longest run (default 60)
+ *   "dryRunMinutes": 10,            // interlock: max time without a level rise (default 10)
+ *   "minRiseCm": 1,                 // rise that counts as filling (default 1)
+ *   "minOffMinutes": 5,             // shortest off-time before a restart (default 5)
+ *   "enabled": true
  * }
  * 
- * Response: 200 OK with plain text "OK" (matches Java controller)
+ * Disabling a controller (or changing its relay) switches a running pump off.
+ */
+app.put('/api/admin/pumps/:deviceId', postLimiter, authenticateAdmin, (req, res) => {
+  const { deviceId } = req.params;
+  const existing = pumpControllers.get(deviceId);
+  const { controller, errors } = validatePumpController(deviceId, req.body, existing);
+  
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.map((e) => `${e.field} ${e.message}`).join('; '),
+      details: errors
+    });
+  }
+  
+  if (existing && getPumpState(deviceId).pumpOn && (!controller.enabled || controller.relayDeviceId !== existing.relayDeviceId)) {
+    switchPump(existing, false, controller.enabled ? 'relay-changed' : 'disabled', { actor: 'admin' });
+  }
+  pumpControllers.set(deviceId, controller);
+  recordPumpAudit(controller, { action: existing ? 'config-updated' : 'config-created', reason: null, actor: 'admin' });
+  persistCollection('pumpControllers');
+  logger.info(`[ADMIN] Pump controller for tank ${deviceId}: relay ${controller.relayDeviceId}, ${controller.lowPercent}-${controller.highPercent}%`);
+  res.status(existing ? 200 : 201).json({ success: true, pump: formatPumpController(controller) });
+});
+
+/**
+ * DELETE /api/admin/pumps/:deviceId
  * 
- * Use Case: IoT device (ESP32) sends water level readings every 5 seconds
- * - Device includes API key in header for authentication
- * - No payload validation (accepts any form of data from IoT hardware)
- * - Rate limiting prevents abuse while allowing normal IoT frequency
+ * Removes a pump controller (a running pump is switched off first).
  */
-app.post('/api/water-level', postLimiter, authenticateAPI, (req, res) => {
-  try {
-    const request = req.body;
-    
-    // Update the in-memory buffer with incoming data
-    latestData = {
-      deviceId: request.deviceId || null,
-      distanceCm: request.distanceCm || null,
-      waterLevelCm: request.waterLevelCm || null,
-      waterPercentage: request.waterPercentage || null,
-      tankHeightCm: request.tankHeightCm || null,
-      timestamp: request.timestamp || new Date().toISOString()
-    };
-    lastUpdateTimestamp = Date.now();
-    
-    // Minimal logging - only if flag is enabled (saves resources on free tier)
-    if (ENABLE_LOGGING) {
-      logger.log('📡 Water Level Data Received');
-      logger.log(`Device: ${latestData.deviceId}, Level: ${latestData.waterLevelCm}cm, %: ${latestData.waterPercentage}`);
-    }
-    
-    // Return plain text "OK" to match Java controller response
-    res.status(200).type('text/plain').send('OK');
-  } catch (error) {
-    // Errors are always logged (critical)
-    logger.error('[ERROR] Failed to update water level data:', error);
-    res.status(500).type('text/plain').send('Internal server error');
+app.delete('/api/admin/pumps/:deviceId', postLimiter, authenticateAdmin, (req, res) => {
+  const { deviceId } = req.params;
+  const controller = pumpControllers.get(deviceId);
+  if (!controller) {
+    return res.status(404).json({ success: false, message: `No pump controller for tank ${deviceId}` });
+  }
+  
+  if (getPumpState(deviceId).pumpOn) {
+    switchPump(controller, false, 'controller-removed', { actor: 'admin' });
   }
+  recordPumpAudit(controller, { action: 'config-deleted', reason: null, actor: 'admin' });
+  pumpControllers.delete(deviceId);
+  pumpState.delete(deviceId);
+  alertRuleState.delete(`pump:${deviceId}`);
+  persistCollection('pumpControllers');
+  logger.info(`[ADMIN] Deleted pump controller for tank ${deviceId}`);
+  res.status(200).json({ success: true, deviceId });
 });
 
 /**
- * GET /api/latest
+ * PUT /api/admin/pumps/:deviceId/override
  * 
- * Returns the most recent water level data stored in the in-memory buffer.
+ * Manual override: { "mode": "on" | "off" | "auto", "durationMinutes": 30 }
+ * (durationMinutes optional: without it the override lasts until set back to auto).
+ * Applied at once against the latest reading; interlocks and the high level
+ * still stop the pump, and a locked-out controller can't be switched on.
  * 
- * Security: Public endpoint (no authentication required)
- * Rate Limit: 60 requests per minute per IP
+ * Response: 409 Conflict if the controller is locked out and mode is "on"
+ */
+app.put('/api/admin/pumps/:deviceId/override', postLimiter, authenticateAdmin, (req, res) => {
+  const { deviceId } = req.params;
+  const controller = pumpControllers.get(deviceId);
+  if (!controller) {
+    return res.status(404).json({ success: false, message: `No pump controller for tank ${deviceId}` });
+  }
+  
+  const { mode, durationMinutes } = req.body || {};
+  if (!PUMP_OVERRIDE_MODES.includes(mode)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: `mode must be one of: ${PUMP_OVERRIDE_MODES.join(', ')}`
+    });
+  }
+  if (durationMinutes !== undefined && (typeof durationMinutes !== 'number' || !(durationMinutes > 0))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: 'durationMinutes must be a positive number'
+    });
+  }
+  const state = getPumpState(deviceId);
+  if (mode === 'on' && state.lockout) {
+    return res.status(409).json({
+      success: false,
+      message: `Pump of tank ${deviceId} is locked out (${state.lockout.reason}); reset it first`
+    });
+  }
+  
+  controller.override = mode === 'auto' ? null : {
+    mode,
+    until: durationMinutes ? new Date(Date.now() + durationMinutes * 60 * 1000).toISOString() : null
+  };
+  recordPumpAudit(controller, {
+    action: 'override',
+    reason: mode === 'auto' ? 'auto' : `manual ${mode}${durationMinutes ? ` for ${durationMinutes} min` : ''}`,
+    actor: 'admin'
+  });
+  persistCollection('pumpControllers');
+  
+  // Apply now rather than on the next reading
+  const entry = deviceStore.get(deviceId);
+  const data = entry && !entry.data.anomaly ? entry.data : null;
+  if (mode === 'off' && state.pumpOn) {
+    switchPump(controller, false, 'manual-off', { data, actor: 'admin' });
+  } else {
+    evaluatePump(controller, data);
+  }
+  logger.info(`[ADMIN] Pump override for tank ${deviceId}: ${mode}`);
+  res.status(200).json({ success: true, pump: formatPumpController(controller) });
+});
+
+/**
+ * POST /api/admin/pumps/:deviceId/reset
  * 
- * Response: 200 OK with latest water level data, or 404 if no data exists yet
+ * Clears an interlock lockout (resolves its alert); the controller resumes
+ * with the next reading.
+ */
+app.post('/api/admin/pumps/:deviceId/reset', postLimiter, authenticateAdmin, (req, res) => {
+  const { deviceId } = req.params;
+  const controller = pumpControllers.get(deviceId);
+  if (!controller) {
+    return res.status(404).json({ success: false, message: `No pump controller for tank ${deviceId}` });
+  }
+  const state = getPumpState(deviceId);
+  if (!state.lockout) {
+    return res.status(409).json({ success: false, message: `Pump of tank ${deviceId} is not locked out` });
+  }
+  
+  const { reason, alertId } = state.lockout;
+  state.lockout = null;
+  alertRuleState.delete(`pump:${deviceId}`);
+  const entry = deviceStore.get(deviceId);
+  const levelCm = entry ? getLevelCm(deviceId, entry.data) : NaN;
+  emitAlert(getPumpAlertRule(controller, `lockout (${reason}) reset by admin`), 'resolved',
+    Number.isFinite(levelCm) ? levelCm : 0, entry ? entry.data : null, alertId);
+  recordPumpAudit(controller, { action: 'lockout-reset', reason, actor: 'admin' });
+  persistCollection('pumpControllers');
+  logger.info(`[ADMIN] Reset pump lockout (${reason}) for tank ${deviceId}`);
+  res.status(200).json({ success: true, pump: formatPumpController(controller) });
+});
+
+/**
+ * GET /api/admin/pumps/:deviceId/audit
  * 
- * Use Cases:
- * 1. Mobile App Dashboard: Polls every 10-30 seconds to display current water level
- * 2. Web Dashboard: Real-time updates using polling or WebSocket fallback
- * 3. Monitoring System: Health checks and alerting based on water level
- * 4. Third-party Integrations: External systems fetching latest readings
+ * Pump decisions and admin actions of a tank, newest first, each with the
+ * reading that triggered it.
  * 
- * Standard Approach:
- * - No authentication required (public read access)
- * - Rate limited to prevent abuse
- * - Returns structured JSON with metadata
- * - Includes ageSeconds for cache control
+ * Query Parameters:
+ *   action (optional): on | off | lockout | lockout-reset | override | override-expired | override-ended | config-created | config-updated | config-deleted
+ *   from / to (optional): ISO 8601 or epoch ms
+ *   limit (optional): Max number of entries, 1 to PUMP_AUDIT_SIZE (default: 100)
  */
-app.get('/api/latest', getLimiter, (req, res) => {
-  try {
-    if (latestData === null) {
-      // No data has been received yet
-      res.status(404).json({
-        success: false,
-        message: 'No water level data available yet',
-        data: null
-      });
-    } else {
-      // Return the latest water level data along with metadata
-      res.status(200).json({
-        success: true,
-        data: {
-          deviceId: latestData.deviceId,
-          distanceCm: latestData.distanceCm,
-          waterLevelCm: latestData.waterLevelCm,
-          waterPercentage: latestData.waterPercentage,
-          tankHeightCm: latestData.tankHeightCm,
-          timestamp: latestData.timestamp
-        },
-        lastUpdate: new Date(lastUpdateTimestamp).toISOString(),
-        ageSeconds: Math.floor((Date.now() - lastUpdateTimestamp) / 1000)
-      });
-    }
-  } catch (error) {
-    // Errors are always logged (critical)
-    logger.error('[ERROR] Failed to retrieve latest water level data:', error);
-    res.status(500).json({
+app.get('/api/admin/pumps/:deviceId/audit', getLimiter, authenticateAdmin, (req, res) => {
+  const { deviceId } = req.params;
+  const { action } = req.query;
+  const from = parseTimeParam(req.query.from);
+  const to = parseTimeParam(req.query.to);
+  if (from === null || to === null) {
+    return res.status(400).json({
       success: false,
-      message: 'Internal server error',
-      error: error.message
+      error: 'Invalid query',
+      message: 'from and to must be ISO 8601 dates or epoch milliseconds'
     });
   }
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 100;
+  if (!Number.isInteger(limit) || limit < 1) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query',
+      message: 'limit must be a positive integer'
+    });
+  }
+  
+  const entries = pumpAuditLog.toArray()
+    .filter((entry) => entry.deviceId === deviceId)
+    .filter((entry) => !action || entry.action === action)
+    .filter((entry) => {
+      const t = Date.parse(entry.timestamp);
+      return (from === undefined || t >= from) && (to === undefined || t <= to);
+    })
+    .reverse()
+    .slice(0, Math.min(limit, PUMP_AUDIT_SIZE));
+  
+  res.status(200).json({ success: true, deviceId, count: entries.length, entries });
+});
+
+/**
+ * GET /metrics
+ * 
+ * Prometheus text-format metrics: request counts and latency per route and
+ * status, rate-limit rejections, auth failures by reason, per-device level /
+ * percentage / last-reading age gauges, and process memory.
+ * 
+ * Security: Authorization: Bearer METRICS_TOKEN when METRICS_TOKEN is set
+ */
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN) {
+    const auth = req.headers.authorization || '';
+    const token = auth.startsWith('Bearer ') ? auth.slice(7) : null;
+    if (!token || !safeEqual(token, METRICS_TOKEN)) {
+      incCounter('auth_failures_total', { reason: 'metrics-token' });
+      return res.status(401).type('text/plain').send('Unauthorized');
+    }
+  }
+  
+  res.status(200).type('text/plain; version=0.0.4').send(renderMetrics());
 });
 
 /**
  * GET /health
  * 
  * Health check endpoint for monitoring and deployment verification.
- * Returns server status, uptime, and memory usage.
+ * Returns server status, uptime, memory usage and device watchdog summary.
  * 
- * Response: 200 OK with health information
+ * Security: Always answers (platform health checks). The device details
+ * (counts, offlineDevices, lastUpdate) only cover the devices of the caller's
+ * read token; without a token they are omitted when ANONYMOUS_READS=false.
+ * 
+ * Response: 200 OK with health information. status is "degraded" while any
+ * monitored device is offline (still 200 so the platform doesn't restart us)
  */
 app.get('/health', (req, res) => {
   try {
+    // An invalid token counts as anonymous: health checks never fail on auth
+    const token = getReadToken(req);
+    const result = token ? verifyReadToken(token) : null;
+    const scope = result && result.ok ? result.scope : (ANONYMOUS_READS ? FULL_READ_SCOPE : null);
+    
     const uptimeMs = Date.now() - SERVER_START_TIME;
     const uptimeSeconds = Math.floor(uptimeMs / 1000);
     const uptimeMinutes = Math.floor(uptimeSeconds / 60);
@@ -293,19 +5626,45 @@ app.get('/health', (req, res) => {
     // Get memory usage
     const memoryUsage = process.memoryUsage();
     
-    res.status(200).json({
-      status: 'healthy',
+    // Device watchdog summary (status covers all devices, details the readable ones)
+    let degraded = false;
+    let deviceCount = 0;
+    const deviceStatus = { online: 0, stale: 0, offline: 0 };
+    const offlineDevices = [];
+    deviceStore.forEach((entry, key) => {
+      const offline = entry.status === 'offline' && getWatchdogConfig(key).monitored;
+      degraded = degraded || offline;
+      if (!scope || !canReadDevice(scope, key)) return;
+      deviceCount++;
+      deviceStatus[entry.status] = (deviceStatus[entry.status] || 0) + 1;
+      if (offline) offlineDevices.push(key);
+    });
+    
+    const health = {
+      status: degraded ? 'degraded' : 'healthy',
       uptime: uptimeString,
       uptimeSeconds: uptimeSeconds,
       timestamp: new Date().toISOString(),
-      serverStartTime: new Date(SERVER_START_TIME).toISOString(),
+      serverStartTime: new Date(SERVER_START_TIME).toISOString()
+    };
+    if (!scope) {
+      return res.status(200).json(health);
+    }
+    
+    const latestEntry = getLatestEntry(scope);
+    res.status(200).json({
+      ...health,
       memory: {
         heapUsed: `${Math.round(memoryUsage.heapUsed / 1024 / 1024)} MB`,
         heapTotal: `${Math.round(memoryUsage.heapTotal / 1024 / 1024)} MB`,
         rss: `${Math.round(memoryUsage.rss / 1024 / 1024)} MB`
       },
-      hasData: latestData !== null,
-      lastUpdate: lastUpdateTimestamp ? new Date(lastUpdateTimestamp).toISOString() : null
+      hasData: deviceCount > 0,
+      streamClients: sseClients.size,
+      deviceCount,
+      deviceStatus,
+      offlineDevices,
+      lastUpdate: latestEntry ? new Date(latestEntry.lastUpdateTimestamp).toISOString() : null
     });
   } catch (error) {
     // Errors are always logged (critical)
@@ -317,17 +5676,90 @@ app.get('/health', (req, res) => {
   }
 });
 
+// ============================================================================
+// WEB DASHBOARD
+// ============================================================================
+// Self-contained live dashboard (public/dashboard, no CDN assets) served at
+// /dashboard, and at / when a browser asks for HTML (API clients still get
+// the JSON endpoint list). It reads the read endpoints, follows
+// /api/stream and falls back to polling /api/latest. With
+// ANONYMOUS_READS=false it is opened as /dashboard#token=<read token>.
+// The CSP only allows the dashboard's own assets and same-origin requests,
+// and only ALLOWED_ORIGINS may embed it in a frame.
+// Set ENABLE_DASHBOARD=false to turn it off.
+const ENABLE_DASHBOARD = process.env.ENABLE_DASHBOARD !== 'false';
+const DASHBOARD_DIR = path.join(__dirname, 'public', 'dashboard');
+const DASHBOARD_FRAME_ANCESTORS = ALLOWED_ORIGINS.includes('*')
+  ? '*'
+  : ["'self'", ...ALLOWED_ORIGINS.map((origin) => origin.trim())].join(' ');
+const DASHBOARD_CSP = [
+  "default-src 'self'",
+  "connect-src 'self'",
+  "img-src 'self' data:",
+  "object-src 'none'",
+  "base-uri 'none'",
+  "form-action 'none'",
+  `frame-ancestors ${DASHBOARD_FRAME_ANCESTORS}`
+].join('; ');
+
+const setDashboardHeaders = (res) => {
+  res.set('Content-Security-Policy', DASHBOARD_CSP);
+  res.set('X-Content-Type-Options', 'nosniff');
+};
+
+const sendDashboard = (req, res) => {
+  setDashboardHeaders(res);
+  res.sendFile(path.join(DASHBOARD_DIR, 'index.html'));
+};
+
+/**
+ * GET /dashboard
+ * 
+ * Serves the live web dashboard (HTML; assets under /dashboard/*).
+ * 
+ * Security: Public page; the data it loads needs a read token when
+ * ANONYMOUS_READS=false (passed as /dashboard#token=<token>)
+ * Rate Limit: 60 requests per minute per IP or key (default policy)
+ */
+if (ENABLE_DASHBOARD) {
+  app.get('/dashboard', getLimiter, sendDashboard);
+  app.use('/dashboard', express.static(DASHBOARD_DIR, {
+    index: false,
+    setHeaders: setDashboardHeaders
+  }));
+}
+
 // ============================================================================
 // ROOT ENDPOINT (Optional - for quick testing)
 // ============================================================================
+// API information (or the dashboard for browsers)
 app.get('/', (req, res) => {
+  if (ENABLE_DASHBOARD && req.accepts(['json', 'html']) === 'html') {
+    return sendDashboard(req, res);
+  }
   res.json({
     message: 'IoT Pub/Sub API Server - Water Tank Level Tracker',
     version: '1.0.0',
     endpoints: {
       'POST /api/water-level': 'Update the in-memory buffer with water level data',
-      'GET /api/latest': 'Get the most recent water level data',
-      'GET /health': 'Health check and server status'
+      'POST /api/water-level/batch': 'Replay buffered readings (array, deduped by deviceId + timestamp)',
+      'GET /api/latest': 'Get the most recent water level data (optional ?deviceId=)',
+      'GET /api/devices': 'List every known device with its last-seen time',
+      'GET /api/devices/:deviceId/latest': 'Get the latest water level data of one device',
+      'GET /api/devices/:deviceId/history': 'Get recent readings of one device (?from=&to=&limit=&bucket=5m)',
+      'GET /api/devices/:deviceId/analytics': 'Fill/drain rate, time-to-empty/full and consumption of one device',
+      'GET /api/devices/:deviceId/summary': 'Daily, weekly or monthly report of one device (?period=, ?tz=)',
+      'GET /api/devices/:deviceId/export': 'Stored readings of one device as CSV or NDJSON (?format=)',
+      'GET /api/stream': 'Server-Sent Events stream of new readings (optional ?deviceId=)',
+      'WS /ws': 'WebSocket pub/sub channel (requires a read token, subscribe to device:/tank: topics)',
+      'GET /api/alerts': 'Log of fired and resolved alerts (?deviceId=&status=&limit=)',
+      '/api/admin/keys': 'Manage per-device API keys (requires ADMIN_TOKEN)',
+      '/api/admin/read-tokens': 'Issue and revoke scoped read tokens (requires ADMIN_TOKEN)',
+      '/api/admin/alert-rules': 'Manage threshold alert rules (requires ADMIN_TOKEN)',
+      '/api/admin/tanks': 'Manage tank geometry for volume in litres (requires ADMIN_TOKEN)',
+      'GET /metrics': 'Prometheus metrics (Bearer METRICS_TOKEN if set)',
+      'GET /health': 'Health check and server status',
+      'GET /dashboard': 'Live web dashboard (also served at / to browsers)'
     }
   });
 });
@@ -363,25 +5795,105 @@ app.use((err, req, res, next) => {
 // ============================================================================
 // SERVER STARTUP
 // ============================================================================
-app.listen(PORT, () => {
-  // Minimal startup message (always shown - essential for deployment verification)
-  console.log(`🚀 Server started on port ${PORT} (Logging: ${ENABLE_LOGGING ? 'ON' : 'OFF'})`);
+let server = null;
+let wss = null;
+
+const startServer = async () => {
+  // Restore persisted state before accepting any request
+  const restored = await restoreState();
+  startStorageTimers();
+  
+  server = app.listen(PORT, () => {
+    // Minimal startup message (always shown - essential for deployment verification)
+    logger.notice('🚀 IoT Pub/Sub API Server Started - Water Tank Level Tracker', {
+      port: Number(PORT),
+      environment: process.env.NODE_ENV || 'development',
+      logLevel: LOG_LEVEL,
+      anonymousReads: ANONYMOUS_READS,
+      storage: storage.name,
+      restored,
+      devices: deviceStore.size
+    });
+    
+    // Without any key source no device can post (always shown - misconfiguration)
+    if (!API_KEY && apiKeyRegistry.size === 0 && !ADMIN_TOKEN) {
+      logger.security('⚠️  No API_KEY, DEVICE_KEYS or ADMIN_TOKEN configured - devices cannot post readings');
+    }
+    if (!SIGNING_KEY_SECRET && storage.name !== 'memory') {
+      logger.security('⚠️  SIGNING_KEY_SECRET not set - restored keys cannot sign requests until rotated');
+    }
+    
+    // Endpoint list only at debug level
+    logger.debug('Available Endpoints', {
+      endpoints: [
+        'POST   /api/water-level  - Update water level data from IoT device',
+        'POST   /api/water-level/batch - Replay buffered readings',
+        'POST   /api/devices/:deviceId/commands - Command poll (pump relays)',
+        'GET    /api/latest       - Get latest water level data',
+        'GET    /api/devices      - List known devices',
+        'GET    /api/devices/:deviceId/latest - Latest data of one device',
+        'GET    /api/devices/:deviceId/history - Recent readings of one device',
+        'GET    /api/devices/:deviceId/analytics - Rates and consumption of one device',
+        'GET    /api/devices/:deviceId/summary - Daily/weekly/monthly report of one device',
+        'GET    /api/devices/:deviceId/export - CSV/NDJSON export of one device',
+        'GET    /api/stream       - Server-Sent Events stream of readings',
+        'WS     /ws               - WebSocket pub/sub channel',
+        'GET    /api/alerts       - Alert log',
+        '*      /api/admin/keys   - Per-device API key registry (admin)',
+        '*      /api/admin/read-tokens - Scoped read tokens (admin)',
+        '*      /api/admin/alert-rules - Alert rules (admin)',
+        '*      /api/admin/tanks  - Tank geometry (admin)',
+        '*      /api/admin/devices/:deviceId/commands - Device downlink commands (admin)',
+        '*      /api/admin/pumps  - Pump control and audit log (admin)',
+        'GET    /metrics          - Prometheus metrics',
+        'GET    /health           - Health check',
+        ...(ENABLE_DASHBOARD ? ['GET    /dashboard        - Live web dashboard'] : [])
+      ]
+    });
+  });
+  
+  // Attach the WebSocket channel to the same HTTP server
+  wss = attachWebSocketServer(server);
+  
+  await startMqttBridge();
+};
+
+// ============================================================================
+// GRACEFUL SHUTDOWN
+// ============================================================================
+// On SIGTERM (Render redeploy) / SIGINT: stop accepting connections, close
+// push clients and the MQTT bridge, flush storage, then exit. Forced exit after 10 seconds.
+const SHUTDOWN_TIMEOUT_MS = 10000;
+
+const shutdown = async (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.notice(`🛑 ${signal} received - shutting down`);
+  setTimeout(() => process.exit(1), SHUTDOWN_TIMEOUT_MS).unref();
   
-  // Detailed startup info only if logging enabled
-  if (ENABLE_LOGGING) {
-    logger.log('='.repeat(60));
-    logger.log('🚀 IoT Pub/Sub API Server Started - Water Tank Level Tracker');
-    logger.log('='.repeat(60));
-    logger.log(`📍 Server running on port ${PORT}`);
-    logger.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
-    logger.log(`⏰ Started at: ${new Date().toISOString()}`);
-    logger.log('='.repeat(60));
-    logger.log('\nAvailable Endpoints:');
-    logger.log('  POST   /api/water-level  - Update water level data from IoT device');
-    logger.log('  GET    /api/latest       - Get latest water level data');
-    logger.log('  GET    /health           - Health check');
-    logger.log('='.repeat(60));
+  // Stop accepting new connections; open ones get 503 from the guard middleware
+  const closed = server ? new Promise((resolve) => server.close(resolve)) : Promise.resolve();
+  sseClients.forEach((client) => client.res.end());
+  longPollWaiters.forEach((waiter) => waiter.finish('shutdown'));
+  if (wss) wss.clients.forEach((ws) => ws.close(1001, 'Server shutting down'));
+  if (server) server.closeIdleConnections();
+  
+  try {
+    await stopMqttBridge();
+    await storage.flush();
+  } catch (error) {
+    // Errors are always logged (critical)
+    logger.error('[ERROR] Failed to flush storage on shutdown:', error);
   }
-});
+  await closed;
+  process.exit(0);
+};
 
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
+startServer().catch((error) => {
+  // Errors are always logged (critical)
+  logger.error('[ERROR] Failed to start server:', error);
+  process.exit(1);
+});
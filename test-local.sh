@@ -4,6 +4,8 @@
 # This script tests all endpoints locally
 
 BASE_URL="http://localhost:3000"
+# The key the server was started with (there is no built-in default)
+API_KEY="${API_KEY:?Set API_KEY to the key the server was started with}"
 
 echo "=========================================="
 echo "🧪 Testing Water Tank Level API Locally"
@@ -16,7 +18,7 @@ if curl -s "$BASE_URL/health" > /dev/null 2>&1; then
     echo "✅ Server is running!"
 else
     echo "❌ Server is not running. Please start it first:"
-    echo "   npm start"
+    echo "   API_KEY=$API_KEY npm start"
     echo ""
     exit 1
 fi
@@ -30,7 +32,7 @@ echo ""
 echo "3️⃣  Testing POST /api/water-level..."
 RESPONSE=$(curl -s -X POST "$BASE_URL/api/water-level" \
   -H "Content-Type: application/json" \
-  -H "x-api-key: WATER_TANK_API_KEY_2024_SECURE" \
+  -H "x-api-key: $API_KEY" \
   -d '{
     "deviceId": "ESP32_001",
     "distanceCm": "15.5",
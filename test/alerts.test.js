@@ -0,0 +1,127 @@
+/**
+ * Alert rules: fire / resolve with hysteresis, cooldown, webhook delivery
+ * and the /api/alerts log.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startServer, waitFor } = require('./helpers');
+
+const SHARED_KEY = 'shared-test-key';
+const ADMIN = { Authorization: 'Bearer admin-test-token' };
+
+let server;
+let webhook;
+let webhookUrl;
+const deliveries = [];
+
+const sendLevel = async (deviceId, percent) => {
+  const response = await server.request('POST', '/api/water-level', {
+    headers: { 'x-api-key': SHARED_KEY },
+    body: { deviceId, waterPercentage: percent }
+  });
+  assert.equal(response.status, 200);
+};
+
+const createRule = async (rule) => {
+  const response = await server.request('POST', '/api/admin/alert-rules', { headers: ADMIN, body: rule });
+  assert.equal(response.status, 201);
+  return response.body.rule;
+};
+
+const getAlerts = async (query = '') => (await server.request('GET', `/api/alerts${query}`)).body.alerts;
+
+before(async () => {
+  webhook = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      deliveries.push(JSON.parse(body));
+      res.end('ok');
+    });
+  });
+  await new Promise((resolve) => webhook.listen(0, '127.0.0.1', resolve));
+  webhookUrl = `http://127.0.0.1:${webhook.address().port}/hook`;
+  server = await startServer({ API_KEY: SHARED_KEY, ADMIN_TOKEN: 'admin-test-token' });
+});
+
+after(async () => {
+  if (server) await server.stop();
+  if (webhook) await new Promise((resolve) => webhook.close(resolve));
+});
+
+test('a below rule fires, holds within the hysteresis and resolves', async () => {
+  const rule = await createRule({
+    deviceId: 'ALERT_1', name: 'Tank low', type: 'below', threshold: 20, hysteresis: 2, cooldownSeconds: 0, webhookUrls: [webhookUrl]
+  });
+
+  await sendLevel('ALERT_1', 50);
+  assert.equal((await getAlerts('?deviceId=ALERT_1')).length, 0);
+
+  await sendLevel('ALERT_1', 15);
+  const [fired] = await getAlerts('?deviceId=ALERT_1');
+  assert.equal(fired.status, 'fired');
+  assert.equal(fired.ruleId, rule.ruleId);
+  assert.equal(fired.observed, 15);
+  assert.equal((await getAlerts('?deviceId=ALERT_1&status=active')).length, 1);
+
+  // Above the threshold but within the hysteresis: still active
+  await sendLevel('ALERT_1', 21);
+  assert.equal((await getAlerts('?deviceId=ALERT_1')).length, 1);
+
+  await sendLevel('ALERT_1', 23);
+  const [resolved] = await getAlerts('?deviceId=ALERT_1');
+  assert.equal(resolved.status, 'resolved');
+  assert.equal(resolved.alertId, fired.alertId);
+  assert.equal((await getAlerts('?deviceId=ALERT_1&status=active')).length, 0);
+
+  await waitFor(() => deliveries.filter((delivery) => delivery.deviceId === 'ALERT_1').length === 2);
+  assert.deepEqual(deliveries.filter((delivery) => delivery.deviceId === 'ALERT_1').map((delivery) => delivery.status), ['fired', 'resolved']);
+});
+
+test('a rule does not fire again within its cooldown', async () => {
+  await createRule({ deviceId: 'ALERT_2', type: 'above', threshold: 90, cooldownSeconds: 300 });
+
+  await sendLevel('ALERT_2', 95);
+  await sendLevel('ALERT_2', 50);
+  await sendLevel('ALERT_2', 95);
+  const statuses = (await getAlerts('?deviceId=ALERT_2')).map((alert) => alert.status);
+  assert.deepEqual(statuses, ['resolved', 'fired']);
+});
+
+test('a drop rule fires when the level falls fast', async () => {
+  await createRule({ deviceId: 'ALERT_3', type: 'drop', threshold: 10, windowMinutes: 5, cooldownSeconds: 0 });
+
+  await sendLevel('ALERT_3', 80);
+  await sendLevel('ALERT_3', 75);
+  assert.equal((await getAlerts('?deviceId=ALERT_3')).length, 0);
+  await sendLevel('ALERT_3', 60);
+  const [fired] = await getAlerts('?deviceId=ALERT_3');
+  assert.equal(fired.status, 'fired');
+  assert.equal(fired.observed, 20);
+});
+
+test('invalid rules are rejected', async () => {
+  const response = await server.request('POST', '/api/admin/alert-rules', {
+    headers: ADMIN,
+    body: { deviceId: 'ALERT_4', type: 'sideways', threshold: 'x', webhookUrls: ['ftp://nope'] }
+  });
+  assert.equal(response.status, 400);
+  const fields = response.body.details.map((detail) => detail.field).sort();
+  assert.deepEqual(fields, ['threshold', 'type', 'webhookUrls']);
+
+  const anonymous = await server.request('POST', '/api/admin/alert-rules', { body: { deviceId: 'ALERT_4', type: 'below', threshold: 1 } });
+  assert.equal(anonymous.status, 401);
+});
+
+test('the alert log limit must be a positive integer', async () => {
+  for (const limit of ['abc', '0', '-1']) {
+    const response = await server.request('GET', `/api/alerts?limit=${limit}`);
+    assert.equal(response.status, 400, limit);
+  }
+  const one = await server.request('GET', '/api/alerts?limit=1');
+  assert.equal(one.body.count, 1);
+  const huge = await server.request('GET', '/api/alerts?limit=100000000');
+  assert.equal(huge.status, 200);
+  assert.ok(huge.body.count > 1);
+});
@@ -0,0 +1,63 @@
+/**
+ * Analytics: fill rate from a least-squares fit, time to empty / full and
+ * daily consumption (level drops only, refills ignored).
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const SHARED_KEY = 'shared-test-key';
+
+let server;
+
+// Readings minutesAgo in the past, levels in cm of a 100 cm tank
+const sendLevels = async (deviceId, levels) => {
+  for (const [minutesAgo, cm] of levels) {
+    const response = await server.request('POST', '/api/water-level', {
+      headers: { 'x-api-key': SHARED_KEY },
+      body: { deviceId, waterLevelCm: cm, waterPercentage: cm, tankHeightCm: 100, timestamp: new Date(Date.now() - minutesAgo * 60000).toISOString() }
+    });
+    assert.equal(response.status, 200);
+  }
+};
+
+const getAnalytics = async (deviceId) => {
+  const response = await server.request('GET', `/api/devices/${deviceId}/analytics`);
+  assert.equal(response.status, 200);
+  return response.body.analytics;
+};
+
+before(async () => {
+  server = await startServer({ API_KEY: SHARED_KEY, LITRES_PER_CM: '10' });
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+test('a draining tank reports its rate and time to empty', async () => {
+  await sendLevels('AN_DRAIN', [[10, 60], [5, 55], [0, 50]]);
+  const analytics = await getAnalytics('AN_DRAIN');
+  assert.equal(analytics.sampleCount, 3);
+  assert.equal(analytics.rate.trend, 'draining');
+  assert.ok(Math.abs(analytics.rate.cmPerHour + 60) < 1, `cmPerHour ${analytics.rate.cmPerHour}`);
+  assert.ok(Math.abs(analytics.rate.litresPerHour + 600) < 10, `litresPerHour ${analytics.rate.litresPerHour}`);
+  assert.ok(Math.abs(analytics.timeToEmptyHours - 50 / 60) < 0.05, `timeToEmptyHours ${analytics.timeToEmptyHours}`);
+  assert.equal(analytics.timeToFullHours, null);
+  assert.equal(analytics.consumption.last7DaysCm, 10);
+  assert.equal(analytics.consumption.last7DaysLitres, 100);
+});
+
+test('refills are not counted as consumption', async () => {
+  await sendLevels('AN_FILL', [[10, 40], [8, 35], [5, 70], [0, 90]]);
+  const analytics = await getAnalytics('AN_FILL');
+  assert.equal(analytics.rate.trend, 'filling');
+  assert.ok(analytics.timeToFullHours > 0);
+  assert.equal(analytics.timeToEmptyHours, null);
+  assert.equal(analytics.consumption.last7DaysCm, 5);
+});
+
+test('a device without readings has no analytics', async () => {
+  const response = await server.request('GET', '/api/devices/AN_NONE/analytics');
+  assert.equal(response.status, 404);
+});
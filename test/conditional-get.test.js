@@ -0,0 +1,77 @@
+/**
+ * Conditional GET and long-polling on /api/latest: ETags, 304 for unchanged
+ * readings, held requests released by the next reading.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, sleep } = require('./helpers');
+
+const SHARED_KEY = 'shared-test-key';
+
+let server;
+
+const sendLevel = async (deviceId, percent) => {
+  const response = await server.request('POST', '/api/water-level', {
+    headers: { 'x-api-key': SHARED_KEY },
+    body: { deviceId, waterPercentage: percent }
+  });
+  assert.equal(response.status, 200);
+};
+
+const getLatest = (query, headers = {}) => server.request('GET', `/api/latest${query}`, { headers });
+
+before(async () => {
+  server = await startServer({ API_KEY: SHARED_KEY, LONG_POLL_MAX_CLIENTS: '1' });
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+test('an unchanged reading returns 304 for its ETag', async () => {
+  await sendLevel('ETAG_1', 10);
+  const first = await getLatest('?deviceId=ETAG_1');
+  const etag = first.headers.get('etag');
+  assert.match(etag, /^W\//);
+  assert.ok(first.headers.get('last-modified'));
+
+  const unchanged = await getLatest('?deviceId=ETAG_1', { 'If-None-Match': etag });
+  assert.equal(unchanged.status, 304);
+  assert.equal(unchanged.body, '');
+
+  await sendLevel('ETAG_1', 11);
+  const changed = await getLatest('?deviceId=ETAG_1', { 'If-None-Match': etag });
+  assert.equal(changed.status, 200);
+  assert.notEqual(changed.headers.get('etag'), etag);
+  assert.equal(changed.body.data.waterPercentage, 11);
+});
+
+test('a long-poll is released by the next reading', async () => {
+  await sendLevel('POLL_1', 20);
+  const etag = (await getLatest('?deviceId=POLL_1')).headers.get('etag');
+
+  const started = Date.now();
+  const held = getLatest(`?deviceId=POLL_1&wait=10&after=${encodeURIComponent(etag)}`);
+  await sleep(300);
+  await sendLevel('POLL_1', 21);
+  const response = await held;
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.waterPercentage, 21);
+  assert.ok(Date.now() - started < 5000);
+});
+
+test('a long-poll without a new reading ends with 304', async () => {
+  const etag = (await getLatest('?deviceId=POLL_1')).headers.get('etag');
+  const response = await getLatest(`?deviceId=POLL_1&wait=1&after=${encodeURIComponent(etag)}`);
+  assert.equal(response.status, 304);
+});
+
+test('requests beyond LONG_POLL_MAX_CLIENTS get 503', async () => {
+  const etag = (await getLatest('?deviceId=POLL_1')).headers.get('etag');
+  const query = `?deviceId=POLL_1&wait=2&after=${encodeURIComponent(etag)}`;
+  const held = getLatest(query);
+  await sleep(200);
+  const rejected = await getLatest(query);
+  assert.equal(rejected.status, 503);
+  assert.equal((await held).status, 304);
+});
@@ -0,0 +1,54 @@
+/**
+ * Web dashboard: served with its own assets and CSP at /dashboard, and at /
+ * for browsers only.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startServer({ ALLOWED_ORIGINS: 'https://tanks.example.com' });
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+test('the dashboard page and its assets are served with a CSP', async () => {
+  const page = await server.request('GET', '/dashboard');
+  assert.equal(page.status, 200);
+  assert.match(page.headers.get('content-type'), /^text\/html/);
+  const csp = page.headers.get('content-security-policy');
+  assert.match(csp, /default-src 'self'/);
+  assert.match(csp, /frame-ancestors 'self' https:\/\/tanks\.example\.com/);
+
+  for (const [asset, type] of [['dashboard.js', /javascript/], ['dashboard.css', /^text\/css/]]) {
+    assert.ok(page.body.includes(asset), asset);
+    const response = await server.request('GET', `/dashboard/${asset}`);
+    assert.equal(response.status, 200, asset);
+    assert.match(response.headers.get('content-type'), type);
+    assert.equal(response.headers.get('x-content-type-options'), 'nosniff');
+  }
+});
+
+test('/ serves the dashboard to browsers and JSON to API clients', async () => {
+  const browser = await server.request('GET', '/', { headers: { Accept: 'text/html,application/xhtml+xml,*/*;q=0.8' } });
+  assert.match(browser.headers.get('content-type'), /^text\/html/);
+
+  const client = await server.request('GET', '/', { headers: { Accept: 'application/json' } });
+  assert.match(client.headers.get('content-type'), /^application\/json/);
+  assert.ok(client.body.endpoints);
+});
+
+test('ENABLE_DASHBOARD=false turns it off', async () => {
+  const disabled = await startServer({ ENABLE_DASHBOARD: 'false' });
+  try {
+    assert.equal((await disabled.request('GET', '/dashboard')).status, 404);
+    const root = await disabled.request('GET', '/', { headers: { Accept: 'text/html' } });
+    assert.match(root.headers.get('content-type'), /^application\/json/);
+  } finally {
+    await disabled.stop();
+  }
+});
@@ -0,0 +1,147 @@
+/**
+ * Per-device auth modes: a device in 'hmac' mode only accepts signed
+ * requests, on every path a reading or command poll can take.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mqtt = require('mqtt');
+const { startServer, signRequest, getFreePort, waitFor } = require('./helpers');
+
+const SHARED_KEY = 'shared-test-key';
+const ADMIN = { Authorization: 'Bearer admin-test-token' };
+
+let server;
+let mqttPort;
+let hmacDeviceKey;
+
+const reading = (deviceId, extra = {}) => ({ deviceId, waterLevelCm: 50, waterPercentage: 50, ...extra });
+
+before(async () => {
+  mqttPort = await getFreePort();
+  server = await startServer({
+    API_KEY: SHARED_KEY,
+    ADMIN_TOKEN: 'admin-test-token',
+    DEVICE_AUTH_MODES: 'HMAC_1:hmac',
+    MQTT_EMBEDDED_PORT: String(mqttPort)
+  });
+  const issued = await server.request('POST', '/api/admin/keys', { headers: ADMIN, body: { deviceId: 'HMAC_1' } });
+  assert.equal(issued.status, 201);
+  hmacDeviceKey = issued.body.apiKey;
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+test('single POST with the shared key is refused for an hmac device', async () => {
+  const response = await server.request('POST', '/api/water-level', {
+    headers: { 'x-api-key': SHARED_KEY },
+    body: reading('HMAC_1')
+  });
+  assert.equal(response.status, 403);
+  assert.match(response.body.message, /signed requests/);
+});
+
+test('single POST with the device\'s own plain key is refused', async () => {
+  const response = await server.request('POST', '/api/water-level', {
+    headers: { 'x-api-key': hmacDeviceKey },
+    body: reading('HMAC_1')
+  });
+  assert.equal(response.status, 403);
+});
+
+test('signed single POST is accepted', async () => {
+  const raw = JSON.stringify(reading('HMAC_1'));
+  const response = await server.request('POST', '/api/water-level', {
+    headers: signRequest(hmacDeviceKey, raw),
+    raw
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.body, 'OK');
+});
+
+test('batch with the shared key rejects hmac-device items and accepts the rest', async () => {
+  const timestamp = new Date(Date.now() - 60000).toISOString();
+  const response = await server.request('POST', '/api/water-level/batch', {
+    headers: { 'x-api-key': SHARED_KEY },
+    body: [reading('HMAC_1', { timestamp }), reading('PLAIN_1', { timestamp })]
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.accepted, 1);
+  assert.equal(response.body.rejected, 1);
+  const [hmacItem, plainItem] = response.body.results;
+  assert.equal(hmacItem.status, 'rejected');
+  assert.equal(hmacItem.reason, 'hmac-required');
+  assert.equal(plainItem.status, 'accepted');
+});
+
+test('signed batch for an hmac device is accepted', async () => {
+  const raw = JSON.stringify([reading('HMAC_1', { timestamp: new Date(Date.now() - 30000).toISOString() })]);
+  const response = await server.request('POST', '/api/water-level/batch', {
+    headers: signRequest(hmacDeviceKey, raw),
+    raw
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.accepted, 1);
+});
+
+test('command poll follows the mode of the device in the path', async () => {
+  const refused = await server.request('POST', '/api/devices/HMAC_1/commands', {
+    headers: { 'x-api-key': SHARED_KEY },
+    body: {}
+  });
+  assert.equal(refused.status, 403);
+  assert.match(refused.body.message, /signed requests/);
+
+  const plain = await server.request('POST', '/api/devices/PLAIN_1/commands', {
+    headers: { 'x-api-key': SHARED_KEY },
+    body: {}
+  });
+  assert.equal(plain.status, 200);
+
+  const raw = '{}';
+  const signed = await server.request('POST', '/api/devices/HMAC_1/commands', {
+    headers: signRequest(hmacDeviceKey, raw),
+    raw
+  });
+  assert.equal(signed.status, 200);
+});
+
+test('MQTT readings of hmac devices are rejected (MQTT cannot carry a signature)', async () => {
+  const client = mqtt.connect(`mqtt://127.0.0.1:${mqttPort}`, {
+    username: 'device',
+    password: SHARED_KEY,
+    reconnectPeriod: 0
+  });
+  try {
+    await new Promise((resolve, reject) => {
+      client.once('connect', resolve);
+      client.once('error', reject);
+    });
+    const before = await server.request('GET', '/api/devices/HMAC_1/latest');
+    await client.publishAsync('tanks/HMAC_1/level', JSON.stringify({ waterLevelCm: 11, waterPercentage: 11 }), { qos: 1 });
+    await client.publishAsync('tanks/MQTT_PLAIN/level', JSON.stringify({ waterLevelCm: 12, waterPercentage: 12 }), { qos: 1 });
+
+    // Messages are bridged in order: once the second one is stored, the first was handled
+    await waitFor(async () => (await server.request('GET', '/api/devices/MQTT_PLAIN/latest')).status === 200);
+    const after = await server.request('GET', '/api/devices/HMAC_1/latest');
+    assert.equal(after.body.data.waterLevelCm, before.body.data.waterLevelCm);
+    assert.notEqual(after.body.data.waterLevelCm, 11);
+  } finally {
+    await client.endAsync();
+  }
+});
+
+test('switching a device to hmac at runtime applies to batches too', async () => {
+  const mode = await server.request('PUT', '/api/admin/devices/PLAIN_2/auth-mode', {
+    headers: ADMIN,
+    body: { mode: 'hmac' }
+  });
+  assert.equal(mode.status, 200);
+  const response = await server.request('POST', '/api/water-level/batch', {
+    headers: { 'x-api-key': SHARED_KEY },
+    body: { readings: [reading('PLAIN_2', { timestamp: new Date().toISOString() })] }
+  });
+  assert.equal(response.body.rejected, 1);
+  assert.equal(response.body.results[0].reason, 'hmac-required');
+});
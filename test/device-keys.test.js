@@ -0,0 +1,90 @@
+/**
+ * Per-device API keys: issued keys only post for their own device, rotation
+ * keeps the old key for the overlap window, revocation is immediate, and
+ * keys can be preloaded as hashes.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer } = require('./helpers');
+
+const ADMIN = { Authorization: 'Bearer admin-test-token' };
+const PRELOADED_KEY = 'wtk_0123456789abcdef_preloaded-secret-of-32-characters';
+
+let server;
+
+const admin = (method, route, body) => server.request(method, route, { headers: ADMIN, body });
+
+const post = (apiKey, deviceId) => server.request('POST', '/api/water-level', {
+  headers: { 'x-api-key': apiKey },
+  body: { deviceId, waterPercentage: 50 }
+});
+
+const issueKey = async (deviceId, body = {}) => {
+  const response = await admin('POST', '/api/admin/keys', { deviceId, ...body });
+  assert.equal(response.status, 201);
+  return response.body;
+};
+
+before(async () => {
+  // No API_KEY: only per-device keys are accepted
+  server = await startServer({
+    ADMIN_TOKEN: 'admin-test-token',
+    DEVICE_KEYS: `KEY_PRELOADED:${crypto.createHash('sha256').update(PRELOADED_KEY).digest('hex')}`
+  });
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+test('an issued key posts only for its own device', async () => {
+  const { apiKey, key } = await issueKey('KEY_1', { label: 'roof tank' });
+  assert.equal(key.deviceId, 'KEY_1');
+  assert.equal(key.label, 'roof tank');
+
+  assert.equal((await post(apiKey, 'KEY_1')).status, 200);
+  assert.equal((await post(apiKey, 'KEY_2')).status, 403);
+  assert.equal((await post('not-a-key', 'KEY_1')).status, 403);
+  const anonymous = await server.request('POST', '/api/water-level', { body: { deviceId: 'KEY_1', waterPercentage: 50 } });
+  assert.equal(anonymous.status, 401);
+});
+
+test('listing keys never returns the key or its hash', async () => {
+  const { apiKey } = await issueKey('KEY_LIST');
+  const response = await admin('GET', '/api/admin/keys?deviceId=KEY_LIST');
+  assert.equal(response.status, 200);
+  assert.equal(response.body.count, 1);
+  const listed = JSON.stringify(response.body);
+  assert.ok(!listed.includes(apiKey));
+  assert.ok(!listed.includes(crypto.createHash('sha256').update(apiKey).digest('hex')));
+});
+
+test('a rotated key stays valid for the overlap window only', async () => {
+  const first = await issueKey('KEY_ROT');
+  const kept = await admin('POST', `/api/admin/keys/${first.key.keyId}/rotate`, { overlapSeconds: 3600 });
+  assert.equal(kept.status, 201);
+  assert.equal((await post(first.apiKey, 'KEY_ROT')).status, 200);
+  assert.equal((await post(kept.body.apiKey, 'KEY_ROT')).status, 200);
+
+  const replaced = await admin('POST', `/api/admin/keys/${kept.body.key.keyId}/rotate`, { overlapSeconds: 0 });
+  assert.equal((await post(kept.body.apiKey, 'KEY_ROT')).status, 403);
+  assert.equal((await post(replaced.body.apiKey, 'KEY_ROT')).status, 200);
+});
+
+test('a revoked key is refused at once', async () => {
+  const { apiKey, key } = await issueKey('KEY_REV');
+  const revoked = await admin('POST', `/api/admin/keys/${key.keyId}/revoke`);
+  assert.equal(revoked.status, 200);
+  assert.equal((await post(apiKey, 'KEY_REV')).status, 403);
+  assert.equal((await admin('POST', '/api/admin/keys/0000000000000000/revoke')).status, 404);
+});
+
+test('preloaded key hashes authenticate', async () => {
+  assert.equal((await post(PRELOADED_KEY, 'KEY_PRELOADED')).status, 200);
+});
+
+test('the admin API needs the admin token', async () => {
+  assert.equal((await server.request('GET', '/api/admin/keys')).status, 401);
+  assert.equal((await admin('POST', '/api/admin/keys', { deviceId: 'bad id!' })).status, 400);
+});
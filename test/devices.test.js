@@ -0,0 +1,67 @@
+/**
+ * Per-device latest readings: /api/latest with and without a device filter,
+ * the device list and the per-device endpoint.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const SHARED_KEY = 'shared-test-key';
+
+let server;
+
+const sendLevel = async (deviceId, percent) => {
+  const response = await server.request('POST', '/api/water-level', {
+    headers: { 'x-api-key': SHARED_KEY },
+    body: { deviceId, waterPercentage: percent }
+  });
+  assert.equal(response.status, 200);
+};
+
+before(async () => {
+  server = await startServer({ API_KEY: SHARED_KEY });
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+test('/api/latest has no data before the first reading', async () => {
+  const response = await server.request('GET', '/api/latest');
+  assert.equal(response.status, 404);
+});
+
+test('each device keeps its own latest reading', async () => {
+  await sendLevel('DEV_A', 10);
+  await sendLevel('DEV_B', 20);
+  await sendLevel('DEV_A', 11);
+
+  const latest = await server.request('GET', '/api/latest');
+  assert.equal(latest.body.data.deviceId, 'DEV_A');
+  assert.equal(latest.body.data.waterPercentage, 11);
+
+  const filtered = await server.request('GET', '/api/latest?deviceId=DEV_B');
+  assert.equal(filtered.body.data.waterPercentage, 20);
+
+  const own = await server.request('GET', '/api/devices/DEV_B/latest');
+  assert.equal(own.status, 200);
+  assert.equal(own.body.data.deviceId, 'DEV_B');
+  assert.equal(own.body.data.waterPercentage, 20);
+});
+
+test('the device list is ordered by last seen', async () => {
+  const response = await server.request('GET', '/api/devices');
+  assert.equal(response.status, 200);
+  assert.equal(response.body.count, 2);
+  assert.deepEqual(response.body.devices.map((device) => device.deviceId), ['DEV_A', 'DEV_B']);
+  const [deviceA] = response.body.devices;
+  assert.ok(Date.parse(deviceA.firstSeen) <= Date.parse(deviceA.lastSeen));
+
+  const health = await server.request('GET', '/health');
+  assert.equal(health.body.deviceCount, 2);
+});
+
+test('unknown devices get 404', async () => {
+  assert.equal((await server.request('GET', '/api/devices/DEV_NONE/latest')).status, 404);
+  assert.equal((await server.request('GET', '/api/latest?deviceId=DEV_NONE')).status, 404);
+});
@@ -0,0 +1,110 @@
+/**
+ * Device downlink: admin-queued commands delivered in ingest responses,
+ * acknowledged by the device, with expiry, cancellation and a per-device cap.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, sleep } = require('./helpers');
+
+const SHARED_KEY = 'shared-test-key';
+const ADMIN = { Authorization: 'Bearer admin-test-token' };
+
+let server;
+
+const admin = (method, route, body) => server.request(method, route, { headers: ADMIN, body });
+
+const postReading = (deviceId, extra = {}, headers = { Accept: 'application/json' }) => server.request('POST', '/api/water-level', {
+  headers: { 'x-api-key': SHARED_KEY, ...headers },
+  body: { deviceId, waterPercentage: 50, ...extra }
+});
+
+before(async () => {
+  server = await startServer({ API_KEY: SHARED_KEY, ADMIN_TOKEN: 'admin-test-token' });
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+test('a queued command is delivered until acknowledged', async () => {
+  const queued = await admin('POST', '/api/admin/devices/DL_1/commands', {
+    type: 'config',
+    params: { reportIntervalSeconds: 30 }
+  });
+  assert.equal(queued.status, 201);
+  const { commandId } = queued.body.command;
+
+  // Old firmware keeps getting the plain text response
+  const plain = await postReading('DL_1', {}, {});
+  assert.equal(plain.body, 'OK');
+
+  const first = await postReading('DL_1');
+  assert.deepEqual(first.body.commands.map((command) => command.commandId), [commandId]);
+  assert.deepEqual(first.body.commands[0].params, { reportIntervalSeconds: 30 });
+  const resent = await postReading('DL_1');
+  assert.equal(resent.body.commands.length, 1);
+
+  const acked = await postReading('DL_1', { acks: [{ commandId, status: 'ok' }] });
+  assert.deepEqual(acked.body.acknowledged, [commandId]);
+  assert.equal(acked.body.commands.length, 0);
+
+  const list = await admin('GET', '/api/admin/devices/DL_1/commands');
+  const [command] = list.body.commands;
+  assert.equal(command.status, 'acked');
+  // The plain text response carried nothing, so it is not a delivery
+  assert.equal(command.deliveries, 2);
+});
+
+test('a device cannot acknowledge commands of another device', async () => {
+  const queued = await admin('POST', '/api/admin/devices/DL_2/commands', { type: 'reboot' });
+  const { commandId } = queued.body.command;
+
+  const other = await postReading('DL_3', { acks: [commandId] });
+  assert.deepEqual(other.body.acknowledged, []);
+  const list = await admin('GET', '/api/admin/devices/DL_2/commands');
+  assert.equal(list.body.commands[0].status, 'pending');
+});
+
+test('invalid commands are rejected', async () => {
+  const cases = [
+    { type: 'Not A Type' },
+    { type: 'config', params: {} },
+    { type: 'config', params: { reportIntervalSeconds: 0 } },
+    { type: 'config', params: { colour: 'red' } },
+    { type: 'reboot', ttlSeconds: -1 }
+  ];
+  for (const body of cases) {
+    const response = await admin('POST', '/api/admin/devices/DL_4/commands', body);
+    assert.equal(response.status, 400, JSON.stringify(body));
+  }
+});
+
+test('commands expire and can be cancelled', async () => {
+  const expiring = await admin('POST', '/api/admin/devices/DL_5/commands', { type: 'reboot', ttlSeconds: 1 });
+  const cancelled = await admin('POST', '/api/admin/devices/DL_5/commands', { type: 'blink' });
+
+  const cancel = await admin('DELETE', `/api/admin/devices/DL_5/commands/${cancelled.body.command.commandId}`);
+  assert.equal(cancel.status, 200);
+  assert.equal(cancel.body.command.status, 'cancelled');
+  const again = await admin('DELETE', `/api/admin/devices/DL_5/commands/${cancelled.body.command.commandId}`);
+  assert.equal(again.status, 409);
+
+  await sleep(1100);
+  const response = await postReading('DL_5');
+  assert.equal(response.body.commands.length, 0);
+  const list = await admin('GET', '/api/admin/devices/DL_5/commands?status=expired');
+  assert.deepEqual(list.body.commands.map((command) => command.commandId), [expiring.body.command.commandId]);
+});
+
+test('a device has at most 20 open commands', async () => {
+  for (let i = 0; i < 20; i++) {
+    const response = await admin('POST', '/api/admin/devices/DL_6/commands', { type: 'blink', params: { i } });
+    assert.equal(response.status, 201);
+  }
+  const full = await admin('POST', '/api/admin/devices/DL_6/commands', { type: 'blink' });
+  assert.equal(full.status, 409);
+
+  // A response carries at most 5 of them, oldest first
+  const response = await postReading('DL_6');
+  assert.deepEqual(response.body.commands.map((command) => command.params.i), [0, 1, 2, 3, 4]);
+});
@@ -0,0 +1,87 @@
+/**
+ * Noise filtering: range and rate checks flag anomalies and keep the last
+ * good values, median smoothing, and ?values=raw for what the device sent.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const SHARED_KEY = 'shared-test-key';
+const ADMIN = { Authorization: 'Bearer admin-test-token' };
+
+let server;
+
+const setFilter = (deviceId, filter) => server.request('PUT', `/api/admin/devices/${deviceId}/filter`, { headers: ADMIN, body: filter });
+
+const sendLevel = async (deviceId, cm) => {
+  const response = await server.request('POST', '/api/water-level', {
+    headers: { 'x-api-key': SHARED_KEY },
+    body: { deviceId, waterLevelCm: cm, tankHeightCm: 100 }
+  });
+  assert.equal(response.status, 200);
+};
+
+const getLatest = async (deviceId, query = '') => (await server.request('GET', `/api/devices/${deviceId}/latest${query}`)).body;
+
+before(async () => {
+  server = await startServer({ API_KEY: SHARED_KEY, ADMIN_TOKEN: 'admin-test-token' });
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+test('an out-of-range reading is flagged and keeps the last good level', async () => {
+  await sendLevel('FILTER_RANGE', 40);
+  await sendLevel('FILTER_RANGE', 150);
+
+  const filtered = await getLatest('FILTER_RANGE');
+  assert.equal(filtered.values, 'filtered');
+  assert.equal(filtered.data.waterLevelCm, 40);
+  assert.equal(filtered.data.anomaly, true);
+  assert.equal(filtered.data.anomalyReason, 'out-of-range');
+
+  const raw = await getLatest('FILTER_RANGE', '?values=raw');
+  assert.equal(raw.values, 'raw');
+  assert.equal(raw.data.waterLevelCm, 150);
+});
+
+test('the median filter drops a single spike', async () => {
+  assert.equal((await setFilter('FILTER_MEDIAN', { mode: 'median', window: 3 })).status, 200);
+  for (const cm of [50, 52, 90]) {
+    await sendLevel('FILTER_MEDIAN', cm);
+  }
+  const latest = await getLatest('FILTER_MEDIAN');
+  assert.equal(latest.data.waterLevelCm, 52);
+  assert.equal(latest.data.anomaly, false);
+  assert.equal((await getLatest('FILTER_MEDIAN', '?values=raw')).data.waterLevelCm, 90);
+});
+
+test('the rate check rejects jumps until the change is sustained', async () => {
+  const response = await setFilter('FILTER_RATE', { maxRateCmPerMinute: 10 });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.filter.maxRateCmPerMinute, 10);
+
+  await sendLevel('FILTER_RATE', 50);
+  await sendLevel('FILTER_RATE', 80);
+  let latest = await getLatest('FILTER_RATE');
+  assert.equal(latest.data.anomalyReason, 'rate-of-change');
+  assert.equal(latest.data.waterLevelCm, 50);
+
+  // Three anomalies in a row are a real step (e.g. a pump refilling)
+  await sendLevel('FILTER_RATE', 80);
+  await sendLevel('FILTER_RATE', 80);
+  latest = await getLatest('FILTER_RATE');
+  assert.equal(latest.data.anomaly, false);
+  assert.equal(latest.data.waterLevelCm, 80);
+
+  const history = await server.request('GET', '/api/devices/FILTER_RATE/history');
+  assert.deepEqual(history.body.points.map((point) => point.anomaly), [false, true, true, false]);
+});
+
+test('invalid filter settings are rejected', async () => {
+  for (const filter of [{ mode: 'mean' }, { window: 0 }, { alpha: 1.5 }, { maxRateCmPerMinute: -1 }]) {
+    assert.equal((await setFilter('FILTER_BAD', filter)).status, 400, JSON.stringify(filter));
+  }
+  assert.equal((await server.request('GET', '/api/devices/FILTER_RANGE/latest?values=smooth')).status, 400);
+});
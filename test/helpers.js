@@ -0,0 +1,126 @@
+/**
+ * Test helpers: each test file starts its own server.js child process on a
+ * free port with the environment it needs, and talks to it over HTTP like a
+ * device or client would.
+ */
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const net = require('net');
+const path = require('path');
+
+const SERVER_PATH = path.join(__dirname, '..', 'server.js');
+const START_TIMEOUT_MS = 10000;
+
+const getFreePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.once('error', reject);
+  probe.listen(0, '127.0.0.1', () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Tests make many requests from one address: limits high enough to never
+// trip unless a test sets its own RATE_LIMIT_POLICIES
+const TEST_RATE_LIMITS = JSON.stringify({
+  default: { post: { windowSeconds: 60, max: 100000 }, get: { windowSeconds: 60, max: 100000 } }
+});
+
+/**
+ * Starts server.js with env (on top of PATH only, so the caller's API_KEY
+ * etc. never leak in). Returns { url, request, stop, logs }.
+ */
+const startServer = async (env = {}) => {
+  const port = await getFreePort();
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      RATE_LIMIT_POLICIES: TEST_RATE_LIMITS,
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  const logs = [];
+  child.stdout.on('data', (chunk) => logs.push(chunk.toString()));
+  child.stderr.on('data', (chunk) => logs.push(chunk.toString()));
+  const exited = new Promise((resolve) => child.once('exit', resolve));
+
+  const url = `http://127.0.0.1:${port}`;
+
+  // fetch wrapper: JSON bodies in, { status, headers, body } out
+  const request = async (method, route, { body, headers = {}, raw } = {}) => {
+    const init = { method, headers: { ...headers } };
+    if (raw !== undefined) {
+      init.body = raw;
+      init.headers['Content-Type'] = 'application/json';
+    } else if (body !== undefined) {
+      init.body = JSON.stringify(body);
+      init.headers['Content-Type'] = 'application/json';
+    }
+    const response = await fetch(`${url}${route}`, init);
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      // Plain text responses ("OK") stay strings
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  };
+
+  const deadline = Date.now() + START_TIMEOUT_MS;
+  for (;;) {
+    if (child.exitCode !== null) {
+      throw new Error(`server.js exited during startup:\n${logs.join('')}`);
+    }
+    try {
+      const response = await fetch(`${url}/health`);
+      if (response.ok) break;
+    } catch (error) {
+      // Not listening yet
+    }
+    if (Date.now() > deadline) {
+      child.kill('SIGKILL');
+      throw new Error(`server.js did not start within ${START_TIMEOUT_MS} ms:\n${logs.join('')}`);
+    }
+    await sleep(50);
+  }
+
+  const stop = async () => {
+    if (child.exitCode === null) child.kill('SIGTERM');
+    await exited;
+  };
+
+  return { url, port, request, stop, logs };
+};
+
+// Headers of a signed request (see SIGNED REQUESTS in server.js)
+const signRequest = (apiKey, rawBody, { nonce = crypto.randomBytes(12).toString('hex'), timestamp } = {}) => {
+  const keyId = apiKey.split('_')[1];
+  const secret = crypto.createHmac('sha256', apiKey).update('sign').digest('hex');
+  const ts = String(timestamp === undefined ? Math.floor(Date.now() / 1000) : timestamp);
+  const signature = crypto.createHmac('sha256', secret).update(`${ts}.${nonce}.${rawBody}`).digest('hex');
+  return { 'x-key-id': keyId, 'x-timestamp': ts, 'x-nonce': nonce, 'x-signature': signature };
+};
+
+// Polls fn until it returns a truthy value (for asynchronous paths like MQTT)
+const waitFor = async (fn, { timeoutMs = 5000, intervalMs = 50 } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await fn();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await sleep(intervalMs);
+  }
+};
+
+module.exports = {
+  startServer,
+  signRequest,
+  getFreePort,
+  sleep,
+  waitFor
+};
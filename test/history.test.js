@@ -0,0 +1,77 @@
+/**
+ * Reading history: bounded per-device buffer, time range and limit queries,
+ * and min/avg/max buckets.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const SHARED_KEY = 'shared-test-key';
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+let server;
+// Start of an hour two hours ago, so the readings below fall in two 1h buckets
+const base = Math.floor(Date.now() / HOUR_MS) * HOUR_MS - 2 * HOUR_MS;
+
+const sendLevels = async (deviceId, levels) => {
+  for (const [offsetMs, percent] of levels) {
+    const response = await server.request('POST', '/api/water-level', {
+      headers: { 'x-api-key': SHARED_KEY },
+      body: { deviceId, waterPercentage: percent, timestamp: new Date(base + offsetMs).toISOString() }
+    });
+    assert.equal(response.status, 200);
+  }
+};
+
+const getHistory = (deviceId, query = '') => server.request('GET', `/api/devices/${deviceId}/history${query}`);
+
+before(async () => {
+  server = await startServer({ API_KEY: SHARED_KEY, HISTORY_MAX_POINTS: '6' });
+  await sendLevels('HIST_1', [[0, 10], [MINUTE_MS, 20], [2 * MINUTE_MS, 30], [HOUR_MS + MINUTE_MS, 40]]);
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+test('history returns readings oldest first, filtered by time and limit', async () => {
+  const all = await getHistory('HIST_1');
+  assert.equal(all.status, 200);
+  assert.equal(all.body.count, 4);
+  assert.deepEqual(all.body.points.map((point) => point.waterPercentage), [10, 20, 30, 40]);
+
+  const from = new Date(base + MINUTE_MS).toISOString();
+  const ranged = await getHistory('HIST_1', `?from=${from}&to=${base + 2 * MINUTE_MS}`);
+  assert.deepEqual(ranged.body.points.map((point) => point.waterPercentage), [20, 30]);
+
+  // limit keeps the most recent points
+  const limited = await getHistory('HIST_1', '?limit=2');
+  assert.deepEqual(limited.body.points.map((point) => point.waterPercentage), [30, 40]);
+});
+
+test('bucketed history summarizes each bucket', async () => {
+  const response = await getHistory('HIST_1', '?bucket=1h');
+  assert.equal(response.status, 200);
+  assert.equal(response.body.count, 2);
+  const [first, second] = response.body.buckets;
+  assert.equal(first.start, new Date(base).toISOString());
+  assert.equal(first.end, new Date(base + HOUR_MS).toISOString());
+  assert.equal(first.count, 3);
+  assert.deepEqual(first.waterPercentage, { min: 10, avg: 20, max: 30 });
+  assert.equal(second.count, 1);
+  assert.deepEqual(second.waterPercentage, { min: 40, avg: 40, max: 40 });
+});
+
+test('each device keeps at most HISTORY_MAX_POINTS readings', async () => {
+  await sendLevels('HIST_2', [1, 2, 3, 4, 5, 6, 7, 8].map((i) => [i * MINUTE_MS, i * 10]));
+  const response = await getHistory('HIST_2');
+  assert.deepEqual(response.body.points.map((point) => point.waterPercentage), [30, 40, 50, 60, 70, 80]);
+});
+
+test('invalid queries and unknown devices are rejected', async () => {
+  for (const query of ['?from=yesterday', '?limit=0', '?limit=abc', '?bucket=5x']) {
+    assert.equal((await getHistory('HIST_1', query)).status, 400, query);
+  }
+  assert.equal((await getHistory('HIST_NONE')).status, 404);
+});
@@ -0,0 +1,62 @@
+/**
+ * load-test.js against a live server: a short run writes a JSON report, and
+ * --fail-if and a missing key set the exit code.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+const SHARED_KEY = 'shared-test-key';
+const LOAD_TEST_PATH = path.join(__dirname, '..', 'load-test.js');
+
+let server;
+let reportDir;
+
+// Runs load-test.js to the end; resolves with { code, stdout, stderr }
+const runLoadTest = (args, env = {}) => new Promise((resolve) => {
+  execFile(process.execPath, [LOAD_TEST_PATH, `--url=${server.url}`, '--quiet', ...args], {
+    env: { PATH: process.env.PATH, ...env },
+    timeout: 60000
+  }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+});
+
+before(async () => {
+  server = await startServer({ API_KEY: SHARED_KEY });
+  reportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tank-load-'));
+});
+
+after(async () => {
+  if (server) await server.stop();
+  fs.rmSync(reportDir, { recursive: true, force: true });
+});
+
+test('a short run with readers writes a passing report', async () => {
+  const reportFile = path.join(reportDir, 'report.json');
+  const { code } = await runLoadTest([
+    '--devices=2', '--interval=0.5', '--duration=0.03', '--scenario=cycles', '--readers=1',
+    `--report=${reportFile}`, '--fail-if=errorRate>0'
+  ], { API_KEY: SHARED_KEY });
+  assert.equal(code, 0);
+
+  const report = JSON.parse(fs.readFileSync(reportFile, 'utf8'));
+  assert.equal(report.passed, true);
+  assert.equal(report.config.apiKey, undefined);
+  assert.equal(report.scenario.name, 'cycles');
+  assert.ok(report.totals.requests > 0);
+  assert.equal(report.totals.failed, 0);
+  assert.equal(report.thresholds[0].metric, 'errorRate');
+});
+
+test('a breached threshold exits with code 2', async () => {
+  const { code } = await runLoadTest(['--devices=1', '--interval=0.5', '--duration=0.01', '--fail-if=requests<1000000'], { API_KEY: SHARED_KEY });
+  assert.equal(code, 2);
+});
+
+test('a missing key or a bad threshold exits with code 1', async () => {
+  assert.equal((await runLoadTest(['--duration=0.01'])).code, 1);
+  assert.equal((await runLoadTest(['--duration=0.01', '--fail-if=nonsense>1'], { API_KEY: SHARED_KEY })).code, 1);
+});
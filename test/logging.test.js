@@ -0,0 +1,79 @@
+/**
+ * Structured logging: one JSON line per entry, request IDs echoed and carried
+ * by the access log, LOG_LEVEL filtering with security events always logged.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor } = require('./helpers');
+
+const SHARED_KEY = 'shared-test-key';
+
+let server;
+
+// Log entries of a server so far (every line is one JSON object)
+const entries = (target) => target.logs.join('').split('\n').filter(Boolean).map((line) => JSON.parse(line));
+
+const waitForEntry = (target, predicate) => waitFor(() => entries(target).find(predicate));
+
+before(async () => {
+  server = await startServer({ API_KEY: SHARED_KEY, LOG_LEVEL: 'info' });
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+test('each request gets one access log line with its request ID', async () => {
+  const response = await server.request('POST', '/api/water-level', {
+    headers: { 'x-api-key': SHARED_KEY },
+    body: { deviceId: 'LOG_1', waterPercentage: 50 }
+  });
+  const requestId = response.headers.get('x-request-id');
+  assert.match(requestId, /^[0-9a-f-]{36}$/);
+
+  const entry = await waitForEntry(server, (candidate) => candidate.requestId === requestId && candidate.status !== undefined);
+  assert.equal(entry.level, 'info');
+  assert.equal(entry.msg, 'POST /api/water-level 200');
+  assert.equal(entry.deviceId, 'LOG_1');
+  assert.equal(entry.method, 'POST');
+  assert.equal(entry.path, '/api/water-level');
+  assert.ok(entry.latencyMs >= 0);
+  assert.ok(!Number.isNaN(Date.parse(entry.time)));
+});
+
+test('a well-formed incoming request ID is kept, a malformed one replaced', async () => {
+  const kept = await server.request('GET', '/health', { headers: { 'X-Request-Id': 'proxy-123.abc' } });
+  assert.equal(kept.headers.get('x-request-id'), 'proxy-123.abc');
+  await waitForEntry(server, (entry) => entry.requestId === 'proxy-123.abc');
+
+  const replaced = await server.request('GET', '/health', { headers: { 'X-Request-Id': 'bad id <script>' } });
+  assert.match(replaced.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+});
+
+test('client errors are logged as warnings', async () => {
+  const response = await server.request('GET', '/api/devices/LOG_NONE/latest');
+  assert.equal(response.status, 404);
+  const requestId = response.headers.get('x-request-id');
+  const entry = await waitForEntry(server, (candidate) => candidate.requestId === requestId && candidate.status === 404);
+  assert.equal(entry.level, 'warn');
+});
+
+test('LOG_LEVEL=error drops access logs but keeps security events', async () => {
+  const quiet = await startServer({ API_KEY: SHARED_KEY, LOG_LEVEL: 'error' });
+  try {
+    const ok = await quiet.request('GET', '/health');
+    const rejected = await quiet.request('POST', '/api/water-level', {
+      headers: { 'x-api-key': 'wrong-key' },
+      body: { deviceId: 'LOG_2', waterPercentage: 50 }
+    });
+    assert.equal(rejected.status, 403);
+
+    const security = await waitForEntry(quiet, (entry) => /SECURITY/.test(entry.msg));
+    assert.equal(security.level, 'warn');
+    assert.equal(security.requestId, rejected.headers.get('x-request-id'));
+    const okId = ok.headers.get('x-request-id');
+    assert.ok(!entries(quiet).some((entry) => entry.requestId === okId));
+  } finally {
+    await quiet.stop();
+  }
+});
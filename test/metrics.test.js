@@ -0,0 +1,61 @@
+/**
+ * Prometheus metrics: token-protected scrape endpoint, request counters and
+ * per-device gauges.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const SHARED_KEY = 'shared-test-key';
+const METRICS = { Authorization: 'Bearer metrics-test-token' };
+
+let server;
+
+// Value of one sample line ("name{labels} value"), undefined if absent
+const sample = (text, series) => {
+  const line = text.split('\n').find((candidate) => candidate.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+};
+
+before(async () => {
+  server = await startServer({ API_KEY: SHARED_KEY, METRICS_TOKEN: 'metrics-test-token' });
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+test('scraping needs the metrics token', async () => {
+  assert.equal((await server.request('GET', '/metrics')).status, 401);
+  assert.equal((await server.request('GET', '/metrics', { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+
+  const response = await server.request('GET', '/metrics', { headers: METRICS });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/plain/);
+  assert.match(response.body, /# TYPE http_requests_total counter/);
+  assert.ok(sample(response.body, 'process_uptime_seconds') > 0);
+});
+
+test('readings, requests and auth failures are counted', async () => {
+  for (const percent of [40, 45]) {
+    const response = await server.request('POST', '/api/water-level', {
+      headers: { 'x-api-key': SHARED_KEY },
+      body: { deviceId: 'MET_1', waterLevelCm: percent, waterPercentage: percent }
+    });
+    assert.equal(response.status, 200);
+  }
+  const refused = await server.request('POST', '/api/water-level', {
+    headers: { 'x-api-key': 'wrong-key' },
+    body: { deviceId: 'MET_1', waterPercentage: 50 }
+  });
+
+  const { body } = await server.request('GET', '/metrics', { headers: METRICS });
+  assert.equal(sample(body, 'readings_accepted_total{device_id="MET_1"}'), 2);
+  assert.equal(sample(body, 'device_water_level_cm{device_id="MET_1"}'), 45);
+  assert.equal(sample(body, 'device_water_percentage{device_id="MET_1"}'), 45);
+  assert.equal(sample(body, 'device_online{device_id="MET_1"}'), 1);
+  assert.equal(sample(body, 'http_requests_total{method="POST",route="/api/water-level",status="200"}'), 2);
+  assert.equal(sample(body, `http_requests_total{method="POST",route="/api/water-level",status="${refused.status}"}`), 1);
+  assert.equal(sample(body, 'http_request_duration_seconds_count{method="POST",route="/api/water-level",status="200"}'), 2);
+  assert.match(body, /^auth_failures_total\{reason="[\w-]+"\} 1$/m);
+});
@@ -0,0 +1,104 @@
+/**
+ * MQTT ingestion through the embedded broker: readings are stored like HTTP
+ * posts, connections need a valid key and per-device keys stay on their topics.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mqtt = require('mqtt');
+const { startServer, getFreePort, waitFor } = require('./helpers');
+
+const SHARED_KEY = 'shared-test-key';
+const ADMIN = { Authorization: 'Bearer admin-test-token' };
+
+let server;
+let mqttPort;
+
+// Connects to the embedded broker; rejects if the broker refuses the credentials
+const connect = (username, password) => new Promise((resolve, reject) => {
+  const client = mqtt.connect(`mqtt://127.0.0.1:${mqttPort}`, { username, password, reconnectPeriod: 0 });
+  client.once('connect', () => resolve(client));
+  client.once('error', (error) => {
+    client.end(true);
+    reject(error);
+  });
+});
+
+const getLatest = (deviceId) => server.request('GET', `/api/devices/${deviceId}/latest`);
+
+before(async () => {
+  mqttPort = await getFreePort();
+  server = await startServer({
+    API_KEY: SHARED_KEY,
+    ADMIN_TOKEN: 'admin-test-token',
+    MQTT_EMBEDDED_PORT: String(mqttPort),
+    MQTT_PROCESSED_TOPIC: 'tanks/{deviceId}/processed'
+  });
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+test('a published reading is stored under the deviceId of its topic', async () => {
+  const client = await connect('MQTT_1', SHARED_KEY);
+  try {
+    const processed = [];
+    client.on('message', (topic, payload) => processed.push({ topic, reading: JSON.parse(payload.toString()) }));
+    await client.subscribeAsync('tanks/MQTT_1/processed');
+
+    await client.publishAsync('tanks/MQTT_1/level', JSON.stringify({ distanceCm: 20, tankHeightCm: 100 }), { qos: 1 });
+    const latest = await waitFor(async () => {
+      const response = await getLatest('MQTT_1');
+      return response.status === 200 ? response : null;
+    });
+    assert.equal(latest.body.data.deviceId, 'MQTT_1');
+    assert.equal(latest.body.data.waterLevelCm, 80);
+
+    await waitFor(() => processed.length === 1);
+    assert.equal(processed[0].topic, 'tanks/MQTT_1/processed');
+    assert.equal(processed[0].reading.deviceId, 'MQTT_1');
+  } finally {
+    await client.endAsync();
+  }
+});
+
+test('invalid messages are dropped without stopping the bridge', async () => {
+  const client = await connect('MQTT_2', SHARED_KEY);
+  try {
+    await client.publishAsync('tanks/MQTT_2/level', 'not json', { qos: 1 });
+    await client.publishAsync('tanks/MQTT_2/level', JSON.stringify({ waterPercentage: 'lots' }), { qos: 1 });
+    await client.publishAsync('tanks/MQTT_2/level', JSON.stringify({ waterPercentage: 42 }), { qos: 1 });
+    const latest = await waitFor(async () => {
+      const response = await getLatest('MQTT_2');
+      return response.status === 200 ? response : null;
+    });
+    assert.equal(latest.body.data.waterPercentage, 42);
+  } finally {
+    await client.endAsync();
+  }
+});
+
+test('the broker refuses unknown credentials', async () => {
+  await assert.rejects(connect('MQTT_3', 'wrong-key'));
+});
+
+test('a per-device key only publishes for its own device', async () => {
+  const issued = await server.request('POST', '/api/admin/keys', { headers: ADMIN, body: { deviceId: 'MQTT_4' } });
+  assert.equal(issued.status, 201);
+
+  // A publish on another device's topic closes the connection
+  const intruder = await connect('MQTT_4', issued.body.apiKey);
+  const closed = new Promise((resolve) => intruder.once('close', resolve));
+  intruder.publish('tanks/MQTT_5/level', JSON.stringify({ waterPercentage: 10 }));
+  await closed;
+  await intruder.endAsync();
+
+  const client = await connect('MQTT_4', issued.body.apiKey);
+  try {
+    await client.publishAsync('tanks/MQTT_4/level', JSON.stringify({ waterPercentage: 40 }), { qos: 1 });
+    await waitFor(async () => (await getLatest('MQTT_4')).status === 200);
+    assert.equal((await getLatest('MQTT_5')).status, 404);
+  } finally {
+    await client.endAsync();
+  }
+});
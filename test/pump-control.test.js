@@ -0,0 +1,226 @@
+/**
+ * Pump controller state machine: auto hysteresis, manual override, the
+ * minimum off-time, volume-based percentages and the dry-run interlock.
+ * Every test uses its own tank so controller states don't mix.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor } = require('./helpers');
+
+const SHARED_KEY = 'shared-test-key';
+const ADMIN = { Authorization: 'Bearer admin-test-token' };
+
+let server;
+
+const admin = (method, route, body) => server.request(method, route, { headers: ADMIN, body });
+
+const configurePump = async (tankId, config) => {
+  const response = await admin('PUT', `/api/admin/pumps/${tankId}`, { relayDeviceId: `RELAY_${tankId}`, ...config });
+  assert.equal(response.status, 201);
+};
+
+const sendLevel = async (tankId, percent, extra = {}) => {
+  const response = await server.request('POST', '/api/water-level', {
+    headers: { 'x-api-key': SHARED_KEY },
+    body: { deviceId: tankId, waterLevelCm: percent, waterPercentage: percent, tankHeightCm: 100, ...extra }
+  });
+  assert.equal(response.status, 200);
+};
+
+const getPump = async (tankId) => {
+  const response = await admin('GET', '/api/admin/pumps');
+  return response.body.pumps.find((pump) => pump.deviceId === tankId);
+};
+
+const getAudit = async (tankId, action) => {
+  const query = action ? `?action=${action}` : '';
+  const response = await admin('GET', `/api/admin/pumps/${tankId}/audit${query}`);
+  return response.body.entries;
+};
+
+// State of the newest open pump command the relay would receive
+const getRelayCommand = async (tankId) => {
+  const response = await server.request('POST', `/api/devices/RELAY_${tankId}/commands`, {
+    headers: { 'x-api-key': SHARED_KEY },
+    body: {}
+  });
+  assert.equal(response.status, 200);
+  const pumpCommands = response.body.commands.filter((command) => command.type === 'pump');
+  return pumpCommands.length > 0 ? pumpCommands[pumpCommands.length - 1].params.state : null;
+};
+
+before(async () => {
+  server = await startServer({
+    API_KEY: SHARED_KEY,
+    ADMIN_TOKEN: 'admin-test-token',
+    PUMP_CHECK_INTERVAL_SECONDS: '1'
+  });
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+test('auto mode switches on below lowPercent and off at highPercent, with hysteresis', async () => {
+  await configurePump('PUMP_AUTO', { lowPercent: 20, highPercent: 90, minOffMinutes: 0 });
+
+  await sendLevel('PUMP_AUTO', 15);
+  assert.equal((await getPump('PUMP_AUTO')).pumpOn, true);
+  assert.equal(await getRelayCommand('PUMP_AUTO'), 'on');
+
+  await sendLevel('PUMP_AUTO', 50);
+  assert.equal((await getPump('PUMP_AUTO')).pumpOn, true);
+
+  await sendLevel('PUMP_AUTO', 90);
+  assert.equal((await getPump('PUMP_AUTO')).pumpOn, false);
+  assert.equal(await getRelayCommand('PUMP_AUTO'), 'off');
+
+  await sendLevel('PUMP_AUTO', 50);
+  assert.equal((await getPump('PUMP_AUTO')).pumpOn, false);
+
+  await sendLevel('PUMP_AUTO', 15);
+  assert.equal((await getPump('PUMP_AUTO')).pumpOn, true);
+
+  const switches = (await getAudit('PUMP_AUTO')).filter((entry) => entry.action === 'on' || entry.action === 'off');
+  assert.deepEqual(switches.map((entry) => entry.reason), ['low-level', 'high-level', 'low-level']);
+});
+
+test('the pump stays off for minOffMinutes after a stop', async () => {
+  await configurePump('PUMP_MINOFF', { lowPercent: 20, highPercent: 90, minOffMinutes: 5 });
+
+  await sendLevel('PUMP_MINOFF', 15);
+  await sendLevel('PUMP_MINOFF', 95);
+  assert.equal((await getPump('PUMP_MINOFF')).pumpOn, false);
+
+  await sendLevel('PUMP_MINOFF', 10);
+  assert.equal((await getPump('PUMP_MINOFF')).pumpOn, false);
+  assert.equal((await getAudit('PUMP_MINOFF', 'on')).length, 1);
+});
+
+test('manual on fills once: reaching highPercent ends the override', async () => {
+  await configurePump('PUMP_MANUAL', { lowPercent: 20, highPercent: 90, minOffMinutes: 0 });
+  await sendLevel('PUMP_MANUAL', 50);
+  assert.equal((await getPump('PUMP_MANUAL')).pumpOn, false);
+
+  const override = await admin('PUT', '/api/admin/pumps/PUMP_MANUAL/override', { mode: 'on' });
+  assert.equal(override.status, 200);
+  assert.equal(override.body.pump.mode, 'on');
+  assert.equal(override.body.pump.pumpOn, true);
+
+  await sendLevel('PUMP_MANUAL', 90);
+  const stopped = await getPump('PUMP_MANUAL');
+  assert.equal(stopped.pumpOn, false);
+  assert.equal(stopped.mode, 'auto');
+  const [ended] = await getAudit('PUMP_MANUAL', 'override-ended');
+  assert.equal(ended.reason, 'manual on reached highPercent');
+
+  // Back in auto: just below highPercent is inside the band, no restart
+  await sendLevel('PUMP_MANUAL', 85);
+  assert.equal((await getPump('PUMP_MANUAL')).pumpOn, false);
+});
+
+test('manual off stops a running pump and blocks auto restarts', async () => {
+  await configurePump('PUMP_OFF', { lowPercent: 20, highPercent: 90, minOffMinutes: 0 });
+  await sendLevel('PUMP_OFF', 10);
+  assert.equal((await getPump('PUMP_OFF')).pumpOn, true);
+
+  const override = await admin('PUT', '/api/admin/pumps/PUMP_OFF/override', { mode: 'off' });
+  assert.equal(override.body.pump.pumpOn, false);
+
+  await sendLevel('PUMP_OFF', 5);
+  assert.equal((await getPump('PUMP_OFF')).pumpOn, false);
+});
+
+test('thresholds apply to the volume percentage when the tank is defined', async () => {
+  const tank = await admin('PUT', '/api/admin/tanks/PUMP_VOLUME', { shape: 'horizontal-cylinder', diameterCm: 100, lengthCm: 200 });
+  assert.equal(tank.status, 201);
+  await configurePump('PUMP_VOLUME', { lowPercent: 20, highPercent: 90 });
+
+  // 25 cm in a 100 cm horizontal cylinder is 25% of the height but ~19.6% of the volume
+  await sendLevel('PUMP_VOLUME', 25);
+  assert.equal((await getPump('PUMP_VOLUME')).pumpOn, true);
+  const [on] = await getAudit('PUMP_VOLUME', 'on');
+  assert.ok(Math.abs(on.reading.volumePercentage - 19.55) < 0.1, `volumePercentage ${on.reading.volumePercentage}`);
+});
+
+test('old readings never switch the pump', async () => {
+  await configurePump('PUMP_OLD', { lowPercent: 20, highPercent: 90 });
+  const response = await server.request('POST', '/api/water-level/batch', {
+    headers: { 'x-api-key': SHARED_KEY },
+    body: [{ deviceId: 'PUMP_OLD', waterLevelCm: 5, waterPercentage: 5, timestamp: new Date(Date.now() - 3600000).toISOString() }]
+  });
+  assert.equal(response.body.accepted, 1);
+  assert.equal((await getPump('PUMP_OLD')).pumpOn, false);
+});
+
+test('the dry-run interlock locks the controller out until reset', async () => {
+  await configurePump('PUMP_DRY', { lowPercent: 20, highPercent: 90, dryRunMinutes: 0.02, minOffMinutes: 0 });
+  await sendLevel('PUMP_DRY', 10);
+  assert.equal((await getPump('PUMP_DRY')).pumpOn, true);
+
+  // No rising reading arrives: the periodic check trips the interlock
+  const locked = await waitFor(async () => {
+    const pump = await getPump('PUMP_DRY');
+    return pump.lockout ? pump : null;
+  });
+  assert.equal(locked.lockout.reason, 'dry-run');
+  assert.equal(locked.pumpOn, false);
+  assert.equal(await getRelayCommand('PUMP_DRY'), 'off');
+  assert.equal((await getAudit('PUMP_DRY', 'lockout')).length, 1);
+
+  const alerts = await server.request('GET', '/api/alerts');
+  assert.ok(alerts.body.alerts.some((alert) => alert.ruleId === 'pump:PUMP_DRY'));
+
+  // Locked out: neither readings nor a manual on restart it
+  await sendLevel('PUMP_DRY', 5);
+  assert.equal((await getPump('PUMP_DRY')).pumpOn, false);
+  const override = await admin('PUT', '/api/admin/pumps/PUMP_DRY/override', { mode: 'on' });
+  assert.equal(override.status, 409);
+
+  const reset = await admin('POST', '/api/admin/pumps/PUMP_DRY/reset');
+  assert.equal(reset.status, 200);
+  assert.equal(reset.body.pump.lockout, null);
+  assert.equal((await admin('POST', '/api/admin/pumps/PUMP_DRY/reset')).status, 409);
+
+  await sendLevel('PUMP_DRY', 5);
+  assert.equal((await getPump('PUMP_DRY')).pumpOn, true);
+});
+
+test('the audit limit must be a positive integer', async () => {
+  for (const limit of ['abc', '0', '-5']) {
+    const response = await admin('GET', `/api/admin/pumps/PUMP_AUTO/audit?limit=${limit}`);
+    assert.equal(response.status, 400, limit);
+  }
+  const one = await admin('GET', '/api/admin/pumps/PUMP_AUTO/audit?limit=1');
+  assert.equal(one.body.count, 1);
+  const huge = await admin('GET', '/api/admin/pumps/PUMP_AUTO/audit?limit=100000000');
+  assert.equal(huge.status, 200);
+  assert.ok(huge.body.count > 1);
+});
+
+test('pump switches share the relay queue with admin commands', async () => {
+  await configurePump('PUMP_QUEUE', { lowPercent: 20, highPercent: 90, minOffMinutes: 0 });
+  const relayCommands = `/api/admin/devices/RELAY_PUMP_QUEUE/commands`;
+
+  // A pump command queued by an admin is superseded by the next switch
+  const manual = await admin('POST', relayCommands, { type: 'pump', params: { state: 'off' } });
+  assert.equal(manual.status, 201);
+  await sendLevel('PUMP_QUEUE', 10);
+  const superseded = (await admin('GET', `${relayCommands}?status=cancelled`)).body.commands;
+  assert.deepEqual(superseded.map((command) => command.commandId), [manual.body.command.commandId]);
+
+  // The open pump command counts against the cap of 20
+  for (let i = 0; i < 19; i++) {
+    assert.equal((await admin('POST', relayCommands, { type: 'blink' })).status, 201);
+  }
+  assert.equal((await admin('POST', relayCommands, { type: 'blink' })).status, 409);
+
+  // A switch replaces the open pump command, so it still fits
+  await sendLevel('PUMP_QUEUE', 90);
+  assert.equal((await getPump('PUMP_QUEUE')).pumpOn, false);
+  const [off] = await getAudit('PUMP_QUEUE', 'off');
+  assert.ok(off.commandId);
+  const open = (await admin('GET', `${relayCommands}?status=pending`)).body.commands;
+  assert.equal(open.length, 20);
+  assert.deepEqual(open.filter((command) => command.type === 'pump').map((command) => command.commandId), [off.commandId]);
+});
@@ -0,0 +1,70 @@
+/**
+ * Rate limit policies: budgets per device (not per IP) for writes, per IP for
+ * anonymous reads, per-device overrides and the failed-auth limit.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const SHARED_KEY = 'shared-test-key';
+
+let server;
+
+const post = (deviceId, apiKey = SHARED_KEY) => server.request('POST', '/api/water-level', {
+  headers: { 'x-api-key': apiKey },
+  body: { deviceId, waterPercentage: 50 }
+});
+
+before(async () => {
+  server = await startServer({
+    API_KEY: SHARED_KEY,
+    AUTH_FAILURE_LIMIT: '3',
+    RATE_LIMIT_POLICIES: JSON.stringify({
+      default: { post: { windowSeconds: 60, max: 3 }, get: { windowSeconds: 60, max: 3 } },
+      devices: { RL_VIP: { post: { windowSeconds: 60, max: 10 } } }
+    })
+  });
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+test('devices behind one address each have their own budget', async () => {
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await post('RL_A')).status, 200);
+  }
+  const limited = await post('RL_A');
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.success, false);
+  assert.equal(limited.body.error, 'Too many requests');
+  assert.match(limited.body.message, /this device/);
+  assert.ok(limited.body.retryAfterSeconds > 0);
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+
+  assert.equal((await post('RL_B')).status, 200);
+});
+
+test('a device policy overrides the default', async () => {
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await post('RL_VIP')).status, 200);
+  }
+});
+
+test('anonymous reads are limited per IP', async () => {
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await server.request('GET', '/api/devices')).status, 200);
+  }
+  const limited = await server.request('GET', '/api/devices');
+  assert.equal(limited.status, 429);
+  assert.match(limited.body.message, /this IP/);
+});
+
+test('failed authentications are limited per IP', async () => {
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await post('RL_C', 'wrong-key')).status, 403);
+  }
+  const limited = await post('RL_C', 'wrong-key');
+  assert.equal(limited.status, 429);
+  assert.match(limited.body.message, /failed requests/);
+});
@@ -0,0 +1,102 @@
+/**
+ * Read tokens with ANONYMOUS_READS=false: reads need a token, a token only
+ * sees the devices it was issued for, and revoked tokens stop working.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const SHARED_KEY = 'shared-test-key';
+const ADMIN = { Authorization: 'Bearer admin-test-token' };
+
+let server;
+let tokenId;
+let readToken;
+
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+before(async () => {
+  server = await startServer({
+    API_KEY: SHARED_KEY,
+    ADMIN_TOKEN: 'admin-test-token',
+    ANONYMOUS_READS: 'false'
+  });
+  for (const deviceId of ['TANK_A', 'TANK_B']) {
+    const response = await server.request('POST', '/api/water-level', {
+      headers: { 'x-api-key': SHARED_KEY },
+      body: { deviceId, waterLevelCm: 30, waterPercentage: 30 }
+    });
+    assert.equal(response.status, 200);
+  }
+  const issued = await server.request('POST', '/api/admin/read-tokens', {
+    headers: ADMIN,
+    body: { label: 'tank A only', devices: ['TANK_A'] }
+  });
+  assert.equal(issued.status, 201);
+  tokenId = issued.body.token.tokenId;
+  readToken = issued.body.readToken;
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+test('reads without a token are refused', async () => {
+  for (const route of ['/api/latest', '/api/devices', '/api/devices/TANK_A/latest', '/api/alerts']) {
+    const response = await server.request('GET', route);
+    assert.equal(response.status, 401, route);
+    assert.equal(response.body.error, 'Read token required');
+  }
+});
+
+test('anonymous /health reports liveness only', async () => {
+  const response = await server.request('GET', '/health');
+  assert.equal(response.status, 200);
+  assert.equal(response.body.status, 'healthy');
+  assert.equal(response.body.deviceCount, undefined);
+  assert.equal(response.body.memory, undefined);
+});
+
+test('a scoped token only lists and reads its own devices', async () => {
+  const devices = await server.request('GET', '/api/devices', { headers: bearer(readToken) });
+  assert.equal(devices.status, 200);
+  assert.deepEqual(devices.body.devices.map((device) => device.deviceId), ['TANK_A']);
+
+  const latest = await server.request('GET', '/api/latest', { headers: bearer(readToken) });
+  assert.equal(latest.status, 200);
+  assert.equal(latest.body.data.deviceId, 'TANK_A');
+
+  const own = await server.request('GET', '/api/devices/TANK_A/latest', { headers: bearer(readToken) });
+  assert.equal(own.status, 200);
+
+  const health = await server.request('GET', '/health', { headers: bearer(readToken) });
+  assert.equal(health.body.deviceCount, 1);
+});
+
+test('a scoped token gets 403 for devices outside its scope', async () => {
+  const routes = [
+    '/api/latest?deviceId=TANK_B',
+    '/api/devices/TANK_B/latest',
+    '/api/devices/TANK_B/history',
+    '/api/devices/TANK_B/analytics',
+    '/api/devices/TANK_B/summary',
+    '/api/devices/TANK_B/export'
+  ];
+  for (const route of routes) {
+    const response = await server.request('GET', route, { headers: bearer(readToken) });
+    assert.equal(response.status, 403, route);
+  }
+});
+
+test('the token is also accepted as ?token=', async () => {
+  const response = await server.request('GET', `/api/devices/TANK_A/latest?token=${encodeURIComponent(readToken)}`);
+  assert.equal(response.status, 200);
+});
+
+test('a revoked token is refused', async () => {
+  const revoked = await server.request('POST', `/api/admin/read-tokens/${tokenId}/revoke`, { headers: ADMIN });
+  assert.equal(revoked.status, 200);
+
+  const response = await server.request('GET', '/api/devices/TANK_A/latest', { headers: bearer(readToken) });
+  assert.equal(response.status, 401);
+});
@@ -0,0 +1,93 @@
+/**
+ * Signed requests: timestamp skew, signature secret, nonce replay and the
+ * bounded nonce cache. The cases share one server and run in order, so the
+ * nonce counts below add up (NONCE_CACHE_MAX=4, NONCE_CACHE_MAX_PER_KEY=2).
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, signRequest } = require('./helpers');
+
+const ADMIN = { Authorization: 'Bearer admin-test-token' };
+
+let server;
+const keys = {};
+
+const postSigned = (apiKey, deviceId, options) => {
+  const raw = JSON.stringify({ deviceId, waterLevelCm: 40, waterPercentage: 40 });
+  return server.request('POST', '/api/water-level', { headers: signRequest(apiKey, raw, options), raw });
+};
+
+before(async () => {
+  server = await startServer({
+    API_KEY: 'shared-test-key',
+    ADMIN_TOKEN: 'admin-test-token',
+    NONCE_CACHE_MAX: '4',
+    NONCE_CACHE_MAX_PER_KEY: '2'
+  });
+  for (const deviceId of ['SIGN_A', 'SIGN_B', 'SIGN_C']) {
+    const issued = await server.request('POST', '/api/admin/keys', { headers: ADMIN, body: { deviceId } });
+    assert.equal(issued.status, 201);
+    keys[deviceId] = issued.body.apiKey;
+  }
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+test('a signed request is accepted once and its nonce cannot be replayed', async () => {
+  const first = await postSigned(keys.SIGN_A, 'SIGN_A', { nonce: 'nonce-a-1' });
+  assert.equal(first.status, 200);
+
+  const replay = await postSigned(keys.SIGN_A, 'SIGN_A', { nonce: 'nonce-a-1' });
+  assert.equal(replay.status, 403);
+  assert.match(replay.body.message, /nonce has already been used/);
+});
+
+test('a timestamp outside the allowed skew is rejected', async () => {
+  const response = await postSigned(keys.SIGN_A, 'SIGN_A', {
+    nonce: 'nonce-a-stale',
+    timestamp: Math.floor(Date.now() / 1000) - 3600
+  });
+  assert.equal(response.status, 403);
+  assert.match(response.body.message, /clock skew/);
+});
+
+test('a signature made with the stored key hash is rejected', async () => {
+  const apiKey = keys.SIGN_A;
+  const keyHash = crypto.createHash('sha256').update(apiKey).digest('hex');
+  const raw = JSON.stringify({ deviceId: 'SIGN_A', waterLevelCm: 40 });
+  const ts = String(Math.floor(Date.now() / 1000));
+  const nonce = 'nonce-a-hash';
+  const signature = crypto.createHmac('sha256', keyHash).update(`${ts}.${nonce}.${raw}`).digest('hex');
+  const response = await server.request('POST', '/api/water-level', {
+    headers: { 'x-key-id': apiKey.split('_')[1], 'x-timestamp': ts, 'x-nonce': nonce, 'x-signature': signature },
+    raw
+  });
+  assert.equal(response.status, 403);
+  assert.match(response.body.message, /signature is not valid/);
+});
+
+test('a key over its nonce quota gets 429 with Retry-After', async () => {
+  const second = await postSigned(keys.SIGN_A, 'SIGN_A', { nonce: 'nonce-a-2' });
+  assert.equal(second.status, 200);
+
+  const third = await postSigned(keys.SIGN_A, 'SIGN_A', { nonce: 'nonce-a-3' });
+  assert.equal(third.status, 429);
+  assert.ok(parseInt(third.headers.get('retry-after'), 10) > 0);
+});
+
+test('a full nonce cache refuses new nonces with 503 instead of evicting live ones', async () => {
+  assert.equal((await postSigned(keys.SIGN_B, 'SIGN_B', { nonce: 'nonce-b-1' })).status, 200);
+  assert.equal((await postSigned(keys.SIGN_B, 'SIGN_B', { nonce: 'nonce-b-2' })).status, 200);
+
+  const full = await postSigned(keys.SIGN_C, 'SIGN_C', { nonce: 'nonce-c-1' });
+  assert.equal(full.status, 503);
+  assert.ok(parseInt(full.headers.get('retry-after'), 10) > 0);
+
+  // The earliest nonce is still remembered
+  const replay = await postSigned(keys.SIGN_A, 'SIGN_A', { nonce: 'nonce-a-1' });
+  assert.equal(replay.status, 403);
+  assert.match(replay.body.message, /nonce has already been used/);
+});
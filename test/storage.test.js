@@ -0,0 +1,94 @@
+/**
+ * File storage: state survives a restart, including readings that arrive
+ * while the log is being compacted.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, sleep } = require('./helpers');
+
+const SHARED_KEY = 'shared-test-key';
+const ADMIN = { Authorization: 'Bearer admin-test-token' };
+
+let dataDir;
+let env;
+let server;
+
+const post = (deviceId, percent) => server.request('POST', '/api/water-level', {
+  headers: { 'x-api-key': SHARED_KEY },
+  body: { deviceId, waterPercentage: percent }
+});
+
+const restart = async () => {
+  await server.stop();
+  server = await startServer(env);
+};
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tank-storage-'));
+  env = {
+    API_KEY: SHARED_KEY,
+    ADMIN_TOKEN: 'admin-test-token',
+    STORAGE_ADAPTER: 'file',
+    STORAGE_FILE: path.join(dataDir, 'state.jsonl'),
+    STORAGE_FLUSH_SECONDS: '1',
+    // Every 0.3 s, so the tests below run through several compactions
+    STORAGE_COMPACT_MINUTES: '0.005'
+  };
+  server = await startServer(env);
+});
+
+after(async () => {
+  if (server) await server.stop();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('readings, history and admin state are restored after a restart', async () => {
+  for (const percent of [10, 20, 30]) {
+    assert.equal((await post('STORE_1', percent)).status, 200);
+  }
+  assert.equal((await post('STORE_2', 55)).status, 200);
+  const issued = await server.request('POST', '/api/admin/keys', { headers: ADMIN, body: { deviceId: 'STORE_1' } });
+  assert.equal(issued.status, 201);
+  const rule = await server.request('POST', '/api/admin/alert-rules', {
+    headers: ADMIN,
+    body: { deviceId: 'STORE_1', type: 'below', threshold: 5 }
+  });
+  assert.equal(rule.status, 201);
+
+  await restart();
+
+  const latest = await server.request('GET', '/api/devices/STORE_1/latest');
+  assert.equal(latest.status, 200);
+  assert.equal(latest.body.data.waterPercentage, 30);
+  const history = await server.request('GET', '/api/devices/STORE_1/history');
+  assert.deepEqual(history.body.points.map((point) => point.waterPercentage), [10, 20, 30]);
+  const devices = await server.request('GET', '/api/devices');
+  assert.deepEqual(devices.body.devices.map((device) => device.deviceId).sort(), ['STORE_1', 'STORE_2']);
+
+  // The restored per-device key still authenticates
+  const byKey = await server.request('POST', '/api/water-level', {
+    headers: { 'x-api-key': issued.body.apiKey },
+    body: { deviceId: 'STORE_1', waterPercentage: 40 }
+  });
+  assert.equal(byKey.status, 200);
+  const rules = await server.request('GET', '/api/admin/alert-rules', { headers: ADMIN });
+  assert.deepEqual(rules.body.rules.map((restored) => restored.ruleId), [rule.body.rule.ruleId]);
+});
+
+test('readings posted while the log is compacted survive a restart', async () => {
+  const total = 120;
+  // A few requests in flight at a time, spread over several compactions
+  for (let i = 0; i < total; i += 4) {
+    const batch = [0, 1, 2, 3].map((offset) => post('STORE_BUSY', (i + offset) % 100));
+    (await Promise.all(batch)).forEach((response) => assert.equal(response.status, 200));
+    await sleep(10);
+  }
+
+  await restart();
+
+  const history = await server.request('GET', '/api/devices/STORE_BUSY/history');
+  assert.equal(history.body.count, total);
+});
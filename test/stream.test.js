@@ -0,0 +1,119 @@
+/**
+ * Server-Sent Events: readings pushed as they arrive, per-device filtering,
+ * Last-Event-ID replay and the connection limit.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startServer, waitFor } = require('./helpers');
+
+const SHARED_KEY = 'shared-test-key';
+
+let server;
+
+const sendLevel = async (deviceId, percent) => {
+  const response = await server.request('POST', '/api/water-level', {
+    headers: { 'x-api-key': SHARED_KEY },
+    body: { deviceId, waterPercentage: percent }
+  });
+  assert.equal(response.status, 200);
+};
+
+/**
+ * Opens a stream and parses its reading events as they arrive.
+ * Resolves with { status, events, close } once the response headers are in.
+ */
+const openStream = (route, headers = {}) => new Promise((resolve, reject) => {
+  const req = http.get(`${server.url}${route}`, { headers }, (res) => {
+    const events = [];
+    let buffer = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      buffer += chunk;
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      blocks.forEach((block) => {
+        const event = {};
+        block.split('\n').forEach((line) => {
+          const [field, ...rest] = line.split(': ');
+          if (['id', 'event', 'data'].includes(field)) event[field] = rest.join(': ');
+        });
+        if (event.event === 'reading') events.push({ id: Number(event.id), event: event.event, data: JSON.parse(event.data) });
+      });
+    });
+    res.on('error', () => {});
+    resolve({ status: res.statusCode, events, close: () => req.destroy() });
+  });
+  req.on('error', (error) => {
+    if (!req.destroyed) reject(error);
+  });
+});
+
+before(async () => {
+  server = await startServer({ API_KEY: SHARED_KEY, SSE_MAX_CLIENTS: '2' });
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+test('readings are pushed to the stream of their device', async () => {
+  const all = await openStream('/api/stream');
+  const filtered = await openStream('/api/stream?deviceId=SSE_1');
+  try {
+    assert.equal(all.status, 200);
+    await sendLevel('SSE_2', 20);
+    await sendLevel('SSE_1', 10);
+
+    await waitFor(() => filtered.events.length === 1 && all.events.length === 2);
+    const [event] = filtered.events;
+    assert.equal(event.event, 'reading');
+    assert.equal(event.data.type, 'reading');
+    assert.equal(event.data.deviceId, 'SSE_1');
+    assert.equal(event.data.data.waterPercentage, 10);
+    assert.deepEqual(all.events.map((received) => received.data.deviceId), ['SSE_2', 'SSE_1']);
+    assert.ok(all.events[1].id > all.events[0].id);
+  } finally {
+    all.close();
+    filtered.close();
+  }
+});
+
+test('a reconnecting client gets the events it missed', async () => {
+  const first = await openStream('/api/stream?deviceId=SSE_3');
+  await sendLevel('SSE_3', 30);
+  await waitFor(() => first.events.length === 1);
+  first.close();
+  const lastEventId = first.events[0].id;
+
+  await sendLevel('SSE_3', 31);
+  await sendLevel('SSE_3', 32);
+  const resumed = await openStream('/api/stream?deviceId=SSE_3', { 'Last-Event-ID': String(lastEventId) });
+  try {
+    await waitFor(() => resumed.events.length === 2);
+    assert.deepEqual(resumed.events.map((event) => event.data.data.waterPercentage), [31, 32]);
+  } finally {
+    resumed.close();
+  }
+});
+
+test('connections beyond SSE_MAX_CLIENTS get 503', async () => {
+  // The streams closed above are gone once the server noticed
+  const streams = [];
+  try {
+    await waitFor(async () => {
+      const stream = await openStream('/api/stream');
+      if (stream.status === 200) {
+        streams.push(stream);
+      } else {
+        stream.close();
+      }
+      return streams.length === 2;
+    });
+    const rejected = await openStream('/api/stream');
+    rejected.close();
+    assert.equal(rejected.status, 503);
+  } finally {
+    streams.forEach((stream) => stream.close());
+  }
+});
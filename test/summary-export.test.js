@@ -0,0 +1,114 @@
+/**
+ * Reports from the reading archive: daily summaries in a time zone, and
+ * CSV / NDJSON export, both still complete after a restart.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+const SHARED_KEY = 'shared-test-key';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+let dataDir;
+let env;
+let server;
+// Midnight UTC three days ago
+const day0 = Math.floor(Date.now() / DAY_MS) * DAY_MS - 3 * DAY_MS;
+const day = (offset) => new Date(day0 + offset * DAY_MS).toISOString().slice(0, 10);
+
+const sendLevels = async (deviceId, levels) => {
+  for (const [offsetMs, cm] of levels) {
+    const response = await server.request('POST', '/api/water-level', {
+      headers: { 'x-api-key': SHARED_KEY },
+      body: { deviceId, waterLevelCm: cm, waterPercentage: Math.min(cm, 100), tankHeightCm: 100, timestamp: new Date(day0 + offsetMs).toISOString() }
+    });
+    assert.equal(response.status, 200);
+  }
+};
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tank-reports-'));
+  env = {
+    API_KEY: SHARED_KEY,
+    STORAGE_ADAPTER: 'file',
+    STORAGE_FILE: path.join(dataDir, 'state.jsonl'),
+    STORAGE_FLUSH_SECONDS: '1',
+    LITRES_PER_CM: '10'
+  };
+  server = await startServer(env);
+  await sendLevels('REPORT_1', [
+    [10 * HOUR_MS, 80],
+    [12 * HOUR_MS, 60],
+    [14 * HOUR_MS, 90], // refill
+    [23.5 * HOUR_MS, 70],
+    [DAY_MS + 10 * HOUR_MS, 50],
+    [DAY_MS + 11 * HOUR_MS, 150] // out of range: an anomaly
+  ]);
+  // Older readings than the in-memory history keeps are only in the archive
+  await server.stop();
+  server = await startServer(env);
+});
+
+after(async () => {
+  if (server) await server.stop();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('the daily summary has levels, refills and consumption per day', async () => {
+  const response = await server.request('GET', '/api/devices/REPORT_1/summary');
+  assert.equal(response.status, 200);
+  assert.equal(response.body.source, 'archive');
+  assert.equal(response.body.tz, 'UTC');
+  const [first, second] = response.body.periods;
+  assert.equal(response.body.count, 2);
+
+  assert.equal(first.period, day(0));
+  assert.equal(first.readings, 4);
+  assert.deepEqual(first.waterLevelCm, { min: 60, avg: 75, max: 90 });
+  assert.equal(first.refills, 1);
+  assert.deepEqual(first.consumption, { cm: 40, litres: 400 });
+
+  assert.equal(second.period, day(1));
+  assert.equal(second.readings, 2);
+  assert.equal(second.anomalies, 1);
+  assert.deepEqual(second.waterLevelCm, { min: 50, avg: 50, max: 50 });
+  assert.deepEqual(second.consumption, { cm: 20, litres: 200 });
+});
+
+test('periods follow the requested time zone', async () => {
+  // 23:30 UTC is already the next day in Tokyo (UTC+9, no daylight saving)
+  const response = await server.request('GET', '/api/devices/REPORT_1/summary?tz=Asia/Tokyo');
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.periods.map((period) => [period.period, period.readings]), [[day(0), 3], [day(1), 3]]);
+
+  const monthly = await server.request('GET', '/api/devices/REPORT_1/summary?period=month');
+  assert.equal(monthly.body.periods.reduce((sum, period) => sum + period.readings, 0), 6);
+});
+
+test('invalid summary queries are rejected', async () => {
+  for (const query of ['?period=year', '?tz=Mars/Olympus', '?from=soon']) {
+    const response = await server.request('GET', `/api/devices/REPORT_1/summary${query}`);
+    assert.equal(response.status, 400, query);
+  }
+});
+
+test('export streams every stored reading as CSV or NDJSON', async () => {
+  const csv = await server.request('GET', '/api/devices/REPORT_1/export');
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get('content-type'), /^text\/csv/);
+  const [header, ...rows] = csv.body.trim().split('\n');
+  assert.equal(header, 'timestamp,receivedAt,deviceId,distanceCm,waterLevelCm,waterPercentage,tankHeightCm,volumeLitres,volumePercentage,anomaly,anomalyReason');
+  assert.equal(rows.length, 6);
+  assert.ok(rows[0].startsWith(`${new Date(day0 + 10 * HOUR_MS).toISOString()},`));
+
+  const from = new Date(day0 + DAY_MS).toISOString();
+  const ndjson = await server.request('GET', `/api/devices/REPORT_1/export?format=ndjson&values=raw&from=${from}`);
+  assert.equal(ndjson.status, 200);
+  const readings = ndjson.body.trim().split('\n').map((line) => JSON.parse(line));
+  assert.deepEqual(readings.map((reading) => reading.waterLevelCm), [50, 150]);
+  assert.deepEqual(readings.map((reading) => reading.anomalyReason), [null, 'out-of-range']);
+});
@@ -0,0 +1,90 @@
+/**
+ * Tank geometry: volume and true volume percentage per shape, computed when
+ * read so a corrected definition also corrects history.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const SHARED_KEY = 'shared-test-key';
+const ADMIN = { Authorization: 'Bearer admin-test-token' };
+
+let server;
+
+const defineTank = (deviceId, tank) => server.request('PUT', `/api/admin/tanks/${deviceId}`, { headers: ADMIN, body: tank });
+
+const sendReading = async (deviceId, reading) => {
+  const response = await server.request('POST', '/api/water-level', {
+    headers: { 'x-api-key': SHARED_KEY },
+    body: { deviceId, ...reading }
+  });
+  assert.equal(response.status, 200);
+};
+
+const getLatest = async (deviceId) => (await server.request('GET', `/api/devices/${deviceId}/latest`)).body.data;
+
+const assertClose = (actual, expected, label) => assert.ok(Math.abs(actual - expected) < 0.1, `${label}: ${actual} vs ${expected}`);
+
+before(async () => {
+  server = await startServer({
+    API_KEY: SHARED_KEY,
+    ADMIN_TOKEN: 'admin-test-token',
+    TANK_DEFINITIONS: JSON.stringify([{ deviceId: 'TANK_BOX', shape: 'cuboid', lengthCm: 100, widthCm: 50, heightCm: 100 }])
+  });
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+test('a preloaded cuboid tank reports litres', async () => {
+  await sendReading('TANK_BOX', { waterLevelCm: 40, waterPercentage: 40, tankHeightCm: 100 });
+  const data = await getLatest('TANK_BOX');
+  assertClose(data.volumeLitres, 200, 'volumeLitres');
+  assertClose(data.volumePercentage, 40, 'volumePercentage');
+  assertClose(data.capacityLitres, 500, 'capacityLitres');
+});
+
+test('a vertical cylinder is measured from the sensor distance and offset', async () => {
+  const response = await defineTank('TANK_CYL', { shape: 'vertical-cylinder', diameterCm: 100, heightCm: 100, sensorOffsetCm: 10 });
+  assert.equal(response.status, 201);
+  // 60 cm from the sensor, 10 cm above the full level: 50 cm of water
+  await sendReading('TANK_CYL', { distanceCm: 60, tankHeightCm: 110 });
+  const data = await getLatest('TANK_CYL');
+  assertClose(data.volumeLitres, Math.PI * 50 * 50 * 50 / 1000, 'volumeLitres');
+  assertClose(data.volumePercentage, 50, 'volumePercentage');
+});
+
+test('a horizontal cylinder holds less than its fill height suggests', async () => {
+  await defineTank('TANK_HORIZ', { shape: 'horizontal-cylinder', diameterCm: 100, lengthCm: 200 });
+  await sendReading('TANK_HORIZ', { waterLevelCm: 25, waterPercentage: 25, tankHeightCm: 100 });
+  const data = await getLatest('TANK_HORIZ');
+  assertClose(data.volumePercentage, 19.55, 'volumePercentage');
+});
+
+test('a corrected definition also corrects history', async () => {
+  await defineTank('TANK_FIX', { shape: 'cuboid', lengthCm: 100, widthCm: 100, heightCm: 100 });
+  await sendReading('TANK_FIX', { waterLevelCm: 50, waterPercentage: 50, tankHeightCm: 100 });
+  const fixed = await defineTank('TANK_FIX', { shape: 'cuboid', lengthCm: 100, widthCm: 50, heightCm: 100 });
+  assert.equal(fixed.status, 200);
+
+  const history = await server.request('GET', '/api/devices/TANK_FIX/history');
+  assertClose(history.body.points[0].volumeLitres, 250, 'volumeLitres');
+
+  assert.equal((await server.request('DELETE', '/api/admin/tanks/TANK_FIX', { headers: ADMIN })).status, 200);
+  assert.equal((await getLatest('TANK_FIX')).volumeLitres, null);
+});
+
+test('invalid definitions are rejected', async () => {
+  const cases = [
+    { shape: 'sphere', diameterCm: 100 },
+    { shape: 'cuboid', lengthCm: 100, widthCm: 50 },
+    { shape: 'vertical-cylinder', diameterCm: -1, heightCm: 100 },
+    { shape: 'vertical-cylinder', diameterCm: 100, heightCm: 100, sensorOffsetCm: -5 }
+  ];
+  for (const tank of cases) {
+    assert.equal((await defineTank('TANK_BAD', tank)).status, 400, JSON.stringify(tank));
+  }
+  assert.equal((await defineTank('TANK_BAD', { shape: 'cuboid', lengthCm: 1, widthCm: 1, heightCm: 1 })).status, 201);
+  assert.equal((await server.request('PUT', '/api/admin/tanks/TANK_BAD', { body: { shape: 'cuboid' } })).status, 401);
+});
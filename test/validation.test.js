@@ -0,0 +1,106 @@
+/**
+ * Reading validation: strict by default, lenient (values stored as sent)
+ * only for devices the server is configured for, and deviceId / timestamp
+ * checked in both modes.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const SHARED_KEY = 'shared-test-key';
+
+let server;
+let lenientServer;
+
+const post = (target, body, headers = {}) => target.request('POST', '/api/water-level', {
+  headers: { 'x-api-key': SHARED_KEY, ...headers },
+  body
+});
+
+before(async () => {
+  server = await startServer({ API_KEY: SHARED_KEY, LENIENT_DEVICE_IDS: 'OLD_FW_1' });
+  lenientServer = await startServer({ API_KEY: SHARED_KEY, VALIDATION_MODE: 'lenient' });
+});
+
+after(async () => {
+  if (server) await server.stop();
+  if (lenientServer) await lenientServer.stop();
+});
+
+test('numeric strings are stored as numbers and missing fields are derived', async () => {
+  const response = await post(server, { deviceId: 'VAL_1', distanceCm: '25', tankHeightCm: '100' });
+  assert.equal(response.status, 200);
+
+  const latest = await server.request('GET', '/api/devices/VAL_1/latest');
+  assert.equal(latest.body.data.distanceCm, 25);
+  assert.equal(latest.body.data.waterLevelCm, 75);
+  assert.equal(latest.body.data.waterPercentage, 75);
+  assert.deepEqual(latest.body.data.derived, ['waterLevelCm', 'waterPercentage']);
+});
+
+test('a reading of 0 stays 0', async () => {
+  assert.equal((await post(server, { deviceId: 'VAL_ZERO', waterLevelCm: 0, waterPercentage: '0' })).status, 200);
+  const latest = await server.request('GET', '/api/devices/VAL_ZERO/latest');
+  assert.equal(latest.body.data.waterLevelCm, 0);
+  assert.equal(latest.body.data.waterPercentage, 0);
+});
+
+test('invalid readings get a structured 400', async () => {
+  const response = await post(server, { deviceId: 'VAL_2', waterPercentage: 150, distanceCm: 'abc' });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.success, false);
+  assert.equal(response.body.error, 'Validation failed');
+  const fields = response.body.details.map((detail) => detail.field).sort();
+  assert.deepEqual(fields, ['distanceCm', 'waterPercentage']);
+});
+
+test('deviceId, timestamp and a level field are required and checked', async () => {
+  const cases = [
+    [{ waterPercentage: 50 }, 'deviceId'],
+    [{ deviceId: { a: 1 }, waterPercentage: 50 }, 'deviceId'],
+    [{ deviceId: `../../${'x'.repeat(140)}`, waterPercentage: 50 }, 'deviceId'],
+    [{ deviceId: 'VAL_3' }, 'distanceCm'],
+    [{ deviceId: 'VAL_3', waterPercentage: 50, timestamp: 'garbage' }, 'timestamp'],
+    [{ deviceId: 'VAL_3', waterPercentage: 50, timestamp: new Date(Date.now() + 3600000).toISOString() }, 'timestamp']
+  ];
+  for (const [body, field] of cases) {
+    const response = await post(server, body);
+    assert.equal(response.status, 400, JSON.stringify(body));
+    assert.ok(response.body.details.some((detail) => detail.field === field), JSON.stringify(body));
+  }
+});
+
+test('a client cannot switch validation off with a header', async () => {
+  const response = await post(server, { deviceId: 'VAL_4', waterPercentage: -500 }, { 'x-compat-mode': 'lenient' });
+  assert.equal(response.status, 400);
+  assert.equal((await server.request('GET', '/api/devices/VAL_4/latest')).status, 404);
+});
+
+test('a configured lenient device stores values as sent', async () => {
+  const response = await post(server, { deviceId: 'OLD_FW_1', waterPercentage: 'abc', distanceCm: -5 });
+  assert.equal(response.status, 200);
+  const latest = await server.request('GET', '/api/devices/OLD_FW_1/latest');
+  assert.equal(latest.body.data.waterPercentage, 'abc');
+  assert.equal(latest.body.data.distanceCm, -5);
+});
+
+test('lenient mode still requires a valid deviceId and a parsable timestamp', async () => {
+  const invalid = [
+    { deviceId: { a: 1 }, waterPercentage: 'abc' },
+    { deviceId: `../../${'x'.repeat(140)}`, waterPercentage: -500 },
+    { deviceId: 'OLD_FW_2', waterPercentage: 'abc', timestamp: 'garbage' }
+  ];
+  for (const body of invalid) {
+    const response = await post(lenientServer, body);
+    assert.equal(response.status, 400, JSON.stringify(body));
+  }
+
+  const devices = await lenientServer.request('GET', '/api/devices');
+  assert.equal(devices.body.count, 0);
+
+  const valid = await post(lenientServer, { deviceId: 'OLD_FW_2', waterPercentage: -500, timestamp: '2024-01-15T10:30:45Z' });
+  assert.equal(valid.status, 200);
+  const latest = await lenientServer.request('GET', '/api/devices/OLD_FW_2/latest');
+  assert.equal(latest.body.data.waterPercentage, -500);
+  assert.equal(latest.body.data.timestamp, '2024-01-15T10:30:45.000Z');
+});
@@ -0,0 +1,81 @@
+/**
+ * Offline watchdog: silent devices go stale then offline, degrade /health
+ * unless unmonitored, and come back online with the next reading.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor } = require('./helpers');
+
+const SHARED_KEY = 'shared-test-key';
+const ADMIN = { Authorization: 'Bearer admin-test-token' };
+
+let server;
+
+const sendLevel = async (deviceId) => {
+  const response = await server.request('POST', '/api/water-level', {
+    headers: { 'x-api-key': SHARED_KEY },
+    body: { deviceId, waterPercentage: 50 }
+  });
+  assert.equal(response.status, 200);
+};
+
+const getStatus = async (deviceId) => (await server.request('GET', `/api/latest?deviceId=${deviceId}`)).body.status;
+
+// Polls slowly: every request counts against the read rate limit
+const waitForStatus = (deviceId, status) => waitFor(async () => (await getStatus(deviceId)) === status, { intervalMs: 250 });
+
+const setWatchdog = (deviceId, body) => server.request('PUT', `/api/admin/devices/${deviceId}/watchdog`, { headers: ADMIN, body });
+
+before(async () => {
+  server = await startServer({
+    API_KEY: SHARED_KEY,
+    ADMIN_TOKEN: 'admin-test-token',
+    WATCHDOG_INTERVAL_SECONDS: '1',
+    DEVICE_WATCHDOG: 'WD_1:1:2'
+  });
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+test('a silent device goes stale, then offline and degrades /health', async () => {
+  await sendLevel('WD_1');
+  assert.equal(await getStatus('WD_1'), 'online');
+
+  await waitForStatus('WD_1', 'stale');
+  await waitForStatus('WD_1', 'offline');
+  const health = await server.request('GET', '/health');
+  assert.equal(health.status, 200);
+  assert.equal(health.body.status, 'degraded');
+  assert.deepEqual(health.body.offlineDevices, ['WD_1']);
+
+  await sendLevel('WD_1');
+  assert.equal(await getStatus('WD_1'), 'online');
+});
+
+test('an unmonitored offline device does not degrade /health', async () => {
+  assert.equal((await setWatchdog('WD_1', { monitored: false })).status, 200);
+  const response = await setWatchdog('WD_2', { staleAfterSeconds: 1, offlineAfterSeconds: 2, monitored: false });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body, { success: true, deviceId: 'WD_2', staleAfterSeconds: 1, offlineAfterSeconds: 2, monitored: false });
+  await sendLevel('WD_2');
+
+  await waitForStatus('WD_2', 'offline');
+  const health = await server.request('GET', '/health');
+  assert.equal(health.body.status, 'healthy');
+  assert.deepEqual(health.body.offlineDevices, []);
+});
+
+test('invalid watchdog settings are rejected', async () => {
+  for (const body of [{ monitored: 'false' }, { monitored: 0 }, { monitored: null }, { staleAfterSeconds: 0 }, { staleAfterSeconds: 60, offlineAfterSeconds: 30 }]) {
+    const response = await setWatchdog('WD_3', body);
+    assert.equal(response.status, 400, JSON.stringify(body));
+  }
+
+  // Fields not given keep their value
+  assert.equal((await setWatchdog('WD_3', { monitored: false })).status, 200);
+  const response = await setWatchdog('WD_3', { staleAfterSeconds: 30 });
+  assert.equal(response.body.monitored, false);
+  assert.equal(response.body.offlineAfterSeconds, 300);
+});
@@ -0,0 +1,98 @@
+/**
+ * WebSocket channel: token checked at the handshake, topic subscriptions
+ * and events delivered per topic.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { startServer, waitFor } = require('./helpers');
+
+const SHARED_KEY = 'shared-test-key';
+const READ_TOKEN = 'read-test-token';
+
+let server;
+
+const sendLevel = async (deviceId, percent) => {
+  const response = await server.request('POST', '/api/water-level', {
+    headers: { 'x-api-key': SHARED_KEY },
+    body: { deviceId, waterPercentage: percent }
+  });
+  assert.equal(response.status, 200);
+};
+
+// Connects and collects every frame; rejects with the handshake status code
+const connect = (query = `?token=${READ_TOKEN}`) => new Promise((resolve, reject) => {
+  const ws = new WebSocket(`${server.url.replace('http', 'ws')}/ws${query}`);
+  ws.messages = [];
+  ws.on('message', (raw) => ws.messages.push(JSON.parse(raw.toString())));
+  ws.once('open', () => resolve(ws));
+  ws.once('unexpected-response', (req, res) => reject(Object.assign(new Error('Handshake rejected'), { status: res.statusCode })));
+  ws.once('error', reject);
+});
+
+// Sends a message (strings as they are) and waits for the reply of the given type
+const exchange = async (ws, message, replyType) => {
+  const seen = ws.messages.length;
+  ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+  await waitFor(() => ws.messages.slice(seen).some((reply) => reply.type === replyType));
+  return ws.messages.slice(seen).find((reply) => reply.type === replyType);
+};
+
+const readingEvents = (ws) => ws.messages.filter((message) => message.type === 'event' && message.event.type === 'reading');
+
+before(async () => {
+  server = await startServer({ API_KEY: SHARED_KEY, READ_TOKEN });
+});
+
+after(async () => {
+  if (server) await server.stop();
+});
+
+test('the handshake needs the read token', async () => {
+  await assert.rejects(connect(''), { status: 401 });
+  await assert.rejects(connect('?token=wrong'), { status: 401 });
+  const ws = await connect();
+  await waitFor(() => ws.messages.length > 0);
+  assert.deepEqual(ws.messages[0], { type: 'welcome', topics: [] });
+  ws.close();
+});
+
+test('subscribers receive events of their topics only', async () => {
+  const ws = await connect();
+  try {
+    const subscribed = await exchange(ws, { type: 'subscribe', topics: ['device:WS_1'] }, 'subscribed');
+    assert.deepEqual(subscribed.topics, ['device:WS_1']);
+
+    await sendLevel('WS_2', 20);
+    await sendLevel('WS_1', 10);
+    await waitFor(() => readingEvents(ws).length > 0);
+    const [frame] = readingEvents(ws);
+    assert.equal(frame.topic, 'device:WS_1');
+    assert.equal(frame.event.deviceId, 'WS_1');
+    assert.equal(frame.event.data.waterPercentage, 10);
+
+    const unsubscribed = await exchange(ws, { type: 'unsubscribe', topic: 'device:WS_1' }, 'unsubscribed');
+    assert.deepEqual(unsubscribed.topics, []);
+    await exchange(ws, { type: 'subscribe', topics: ['device:WS_2'] }, 'subscribed');
+    await sendLevel('WS_1', 11);
+    await sendLevel('WS_2', 21);
+    await waitFor(() => readingEvents(ws).length > 1);
+    assert.deepEqual(readingEvents(ws).map((message) => message.event.deviceId), ['WS_1', 'WS_2']);
+  } finally {
+    ws.close();
+  }
+});
+
+test('invalid messages get an error frame', async () => {
+  const ws = await connect();
+  try {
+    const badJson = await exchange(ws, 'not json', 'error');
+    assert.equal(badJson.message, 'Invalid JSON');
+    const badTopic = await exchange(ws, { type: 'subscribe', topics: ['pump:1'] }, 'error');
+    assert.deepEqual(badTopic.invalid, ['pump:1']);
+    const badType = await exchange(ws, { type: 'publish', topics: ['*'] }, 'error');
+    assert.match(badType.message, /Unknown message type/);
+  } finally {
+    ws.close();
+  }
+});